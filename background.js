@@ -1,67 +1,143 @@
 // ChromeTones — Background Service Worker
 // Handles scheduling, alarms, sunset/sunrise calculations, and messaging
 
-importScripts('ExtPay.js', 'analytics.js');
+importScripts('ExtPay.js', 'analytics.js', 'filter-engine.js', 'settings-io.js', 'sync.js');
 const extpay = ExtPay('chrometones');
 extpay.startBackground();
 
+// Bump when stored settings change shape, with a matching step in SETTINGS_MIGRATIONS
+const SETTINGS_VERSION = 2;
+
 const DEFAULT_SETTINGS = {
+  schemaVersion: SETTINGS_VERSION,
   enabled: true,
   mode: 'bluelight',        // 'bluelight', 'darkmode', 'both', 'combine', etc.
-  scheduleType: 'manual',   // 'manual' or 'auto'
+  scheduleType: 'manual',   // 'manual', 'auto', 'weekly' or 'circadian'
   startTime: '21:00',       // 9 PM
   endTime: '07:00',         // 7 AM
   latitude: null,
   longitude: null,
+  locationName: null,       // shown in the popup: a city, 'Custom coordinates', etc.
   intensity: 80,            // 0-100 percentage
-  currentIntensity: 0,      // actual current applied intensity
-  isActive: false,
   manualActive: false,      // persistent manual override (ignores schedule)
   timerEnabled: false,      // whether the manual schedule is armed
-  colorblindType: 'deuteranopia', // 'protanopia', 'deuteranopia', 'tritanopia'
+  colorblindType: 'deuteranopia', // a FilterEngine.CB_TYPES key: '…anomaly', '…anopia', 'achromatopsia', 'blue-cone-monochromacy'
+  colorblindSeverity: 0.6,       // 0.1-1, how strong an '…anomaly' type is (Machado et al. 2009)
+  dimGamma: 1.2,                 // Dim mode: midtone curve at full strength (0.5-2.5, 1 = linear)
+  dimFloor: 0,                   // Dim mode: level black is lifted to at full strength (0-0.2)
   combineFilter1: 'bluelight',   // first filter in combine mode
   combineFilter2: 'darkmode',    // second filter in combine mode
-  combineRatio: 0.5              // 0 = 100% filter1, 1 = 100% filter2
+  combineRatio: 0.5,             // 0 = 100% filter1, 1 = 100% filter2
+  transitionMinutes: 30,         // length of the scheduled fade-in / fade-out (10-45)
+  transitionCurve: 'ease-in-out', // 'linear', 'ease-in-out', 'sigmoid'
+  siteRules: [],                 // [{ pattern, action, mode?, intensity? }] — see Per-Site Rules
+  respectNativeDark: true,       // don't invert sites that are already dark
+  mediaAware: true,              // step aside for full-screen, large playing video and colorCriticalSites
+  mediaAction: 'suspend',        // …by pausing the filter ('suspend') or turning it down ('reduce')
+  colorCriticalSites: [          // host patterns, as in siteRules, where colors must stay true
+    '*.figma.com', '*.photopea.com', 'photoshop.adobe.com', 'lightroom.adobe.com', '*.canva.com'
+  ],
+  darkModeEngine: {              // per mode: 'invert' (html filter) or 'smart' (color remapping)
+    darkmode: 'invert',
+    combine: 'invert'
+  },
+  blueLightEngine: 'overlay',    // 'overlay' (amber multiply layer) or 'kelvin' (white-point shift)
+  colorTemperature: 3400,        // Kelvin engine: target at 100% intensity (1900-6500)
+  snoozeUntil: null,             // epoch ms; filter paused until then (see Snooze)
+  syncEnabled: true,             // mirror preferences to chrome.storage.sync (see sync.js)
+  syncLocation: false,           // …including latitude/longitude/locationName
+  weeklyRules: [],               // [{ days, start, end, mode, intensity, priority }] — see Weekly Schedule
+  customFilters: [],             // [{ id, name, keyframes }] — selected as mode 'custom:<id>' (filter-engine.js)
+  profiles: [],                  // [{ id, name, ...SettingsIO.PROFILE_FIELDS }] — see Profiles
+  sunStartEvent: 'sunset',       // auto schedule: a dusk key from SUN_EVENTS
+  sunStartOffset: 0,             // minutes relative to it (negative = before)
+  sunEndEvent: 'sunrise',        // auto schedule: a dawn key from SUN_EVENTS
+  sunEndOffset: 0,
+  circadianBedtime: '23:00',     // circadian schedule: the warmest, dimmest part starts here
+  circadianCurve: [              // [{ anchor, offset, kelvin, dim }] — see Circadian Schedule
+    { anchor: 'sunrise', offset: 0,    kelvin: 4000, dim: 10 },
+    { anchor: 'noon',    offset: 0,    kelvin: 6500, dim: 0 },
+    { anchor: 'sunset',  offset: -120, kelvin: 5500, dim: 0 },
+    { anchor: 'sunset',  offset: 0,    kelvin: 4000, dim: 5 },
+    { anchor: 'bedtime', offset: 0,    kelvin: 2300, dim: 25 },
+    { anchor: 'sunrise', offset: -30,  kelvin: 2300, dim: 25 }
+  ]
 };
 
 // ── Sunset/Sunrise Calculation ──────────────────────────────────
-// Simplified solar calculation (good enough for scheduling purposes)
+// NOAA solar calculator (equation of time + apparent declination), accurate to
+// about a minute outside the polar regions. Each event is the moment the sun's
+// centre crosses a zenith angle; 90.833° allows for refraction and the solar disc.
+const SUN_EVENTS = {
+  'sunrise':           { zenith: 90.833, rising: true },
+  'sunset':            { zenith: 90.833, rising: false },
+  'civil-dawn':        { zenith: 96,     rising: true },
+  'civil-dusk':        { zenith: 96,     rising: false },
+  'nautical-dawn':     { zenith: 102,    rising: true },
+  'nautical-dusk':     { zenith: 102,    rising: false },
+  'astronomical-dawn': { zenith: 108,    rising: true },
+  'astronomical-dusk': { zenith: 108,    rising: false }
+};
+
+function solarPosition(date) {
+  const rad = Math.PI / 180;
+  const julianDay = date.getTime() / 86400000 + 2440587.5;
+  const t = (julianDay - 2451545) / 36525; // Julian centuries since J2000
+
+  const meanLong = (280.46646 + t * (36000.76983 + t * 0.0003032)) % 360;
+  const meanAnomaly = 357.52911 + t * (35999.05029 - 0.0001537 * t);
+  const eccentricity = 0.016708634 - t * (0.000042037 + 0.0000001267 * t);
+  const center = Math.sin(meanAnomaly * rad) * (1.914602 - t * (0.004817 + 0.000014 * t)) +
+    Math.sin(2 * meanAnomaly * rad) * (0.019993 - 0.000101 * t) +
+    Math.sin(3 * meanAnomaly * rad) * 0.000289;
+  const omega = 125.04 - 1934.136 * t;
+  const apparentLong = meanLong + center - 0.00569 - 0.00478 * Math.sin(omega * rad);
+  const meanObliquity = 23 + (26 + (21.448 - t * (46.815 + t * (0.00059 - t * 0.001813))) / 60) / 60;
+  const obliquity = meanObliquity + 0.00256 * Math.cos(omega * rad);
+
+  const declination = Math.asin(Math.sin(obliquity * rad) * Math.sin(apparentLong * rad)) / rad;
+  const y = Math.tan(obliquity * rad / 2) ** 2;
+  const equationOfTime = 4 / rad * (
+    y * Math.sin(2 * meanLong * rad) -
+    2 * eccentricity * Math.sin(meanAnomaly * rad) +
+    4 * eccentricity * y * Math.sin(meanAnomaly * rad) * Math.cos(2 * meanLong * rad) -
+    0.5 * y * y * Math.sin(4 * meanLong * rad) -
+    1.25 * eccentricity * eccentricity * Math.sin(2 * meanAnomaly * rad)
+  );
+
+  return { declination, equationOfTime };
+}
+
+// Returns local 'HH:MM' for every event in SUN_EVENTS (null when it doesn't happen
+// today) and `polar`: 'day' if the sun never sets, 'night' if it never rises.
 function calculateSunTimes(lat, lng, date) {
   const rad = Math.PI / 180;
-  const dayOfYear = Math.floor((date - new Date(date.getFullYear(), 0, 0)) / 86400000);
-  
-  // Solar declination
-  const declination = -23.45 * Math.cos(rad * (360 / 365) * (dayOfYear + 10));
-  
-  // Hour angle
-  const cosHourAngle = (Math.cos(90.833 * rad) - Math.sin(lat * rad) * Math.sin(declination * rad)) /
-    (Math.cos(lat * rad) * Math.cos(declination * rad));
-  
-  const clampedCos = Math.max(-1, Math.min(1, cosHourAngle));
-  const hourAngle = Math.acos(clampedCos) / rad;
-  
-  // Solar noon in minutes from midnight (UTC)
-  const solarNoon = 720 - 4 * lng;
-  
-  const sunriseMinutes = solarNoon - hourAngle * 4;
-  const sunsetMinutes = solarNoon + hourAngle * 4;
-  
-  // Convert to local time offset
-  const timezoneOffset = date.getTimezoneOffset();
-  
-  const sunriseLocal = sunriseMinutes - timezoneOffset;
-  const sunsetLocal = sunsetMinutes - timezoneOffset;
-  
-  const toTimeString = (mins) => {
-    const h = Math.floor(((mins % 1440) + 1440) % 1440 / 60);
-    const m = Math.floor(((mins % 1440) + 1440) % 1440 % 60);
-    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
-  };
-  
-  return {
-    sunrise: toTimeString(sunriseLocal),
-    sunset: toTimeString(sunsetLocal)
-  };
+  const noon = new Date(date);
+  noon.setHours(12, 0, 0, 0);
+  const { declination, equationOfTime } = solarPosition(noon);
+
+  // Solar noon in minutes from midnight (UTC), then shifted to local time
+  const solarNoon = 720 - 4 * lng - equationOfTime - noon.getTimezoneOffset();
+
+  const hourAngleCos = (zenith) =>
+    Math.cos(zenith * rad) / (Math.cos(lat * rad) * Math.cos(declination * rad)) -
+    Math.tan(lat * rad) * Math.tan(declination * rad);
+
+  const times = {};
+  for (const [event, { zenith, rising }] of Object.entries(SUN_EVENTS)) {
+    const cos = hourAngleCos(zenith);
+    // |cos| > 1: the sun stays above (or below) this altitude all day
+    if (cos < -1 || cos > 1) {
+      times[event] = null;
+      continue;
+    }
+    const hourAngle = Math.acos(cos) / rad;
+    times[event] = minutesToTime(solarNoon + (rising ? -4 : 4) * hourAngle);
+  }
+
+  const horizonCos = hourAngleCos(SUN_EVENTS.sunset.zenith);
+  const polar = horizonCos < -1 ? 'day' : horizonCos > 1 ? 'night' : null;
+  return { times, polar };
 }
 
 // ── Time Utilities ──────────────────────────────────────────────
@@ -70,13 +146,17 @@ function timeToMinutes(timeStr) {
   return h * 60 + m;
 }
 
+function minutesToTime(mins) {
+  const wrapped = ((Math.round(mins) % 1440) + 1440) % 1440;
+  return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+}
+
 function getCurrentMinutes() {
   const now = new Date();
   return now.getHours() * 60 + now.getMinutes();
 }
 
-function isInActiveWindow(startTime, endTime) {
-  const now = getCurrentMinutes();
+function isInActiveWindow(startTime, endTime, now = getCurrentMinutes()) {
   const start = timeToMinutes(startTime);
   const end = timeToMinutes(endTime);
   
@@ -89,32 +169,386 @@ function isInActiveWindow(startTime, endTime) {
 }
 
 // ── Intensity Calculation ────────────────────────────────────────
-// Binary on/off based on the schedule window.
-// The 15-second visual fade-in/out is handled by CSS transitions in content.js.
-function calculateCurrentIntensity(settings) {
+// Easing curves for the scheduled ramp. Each maps progress 0→1 onto 0→1.
+const SIGMOID_STEEPNESS = 10;
+const sigmoid = (t) => 1 / (1 + Math.exp(-SIGMOID_STEEPNESS * (t - 0.5)));
+
+const TRANSITION_CURVES = {
+  'linear':      (t) => t,
+  'ease-in-out': (t) => 0.5 - 0.5 * Math.cos(Math.PI * t),
+  // Logistic curve rescaled so it starts at exactly 0 and ends at exactly 1
+  'sigmoid':     (t) => (sigmoid(t) - sigmoid(0)) / (sigmoid(1) - sigmoid(0))
+};
+
+// Ramps up over `transitionMinutes` after the window starts and back down over
+// the same length before it ends. Works in whole minutes so every caller within
+// the same tick (alarm, GET_STATUS, new tabs) gets the identical value.
+// The short CSS transitions in content.js smooth each 1-minute step.
+function calculateCurrentIntensity(settings, now = getCurrentMinutes()) {
   const { startTime, endTime, intensity } = settings;
-  return isInActiveWindow(startTime, endTime) ? intensity : 0;
+  if (!isInActiveWindow(startTime, endTime, now)) return 0;
+
+  const start = timeToMinutes(startTime);
+  const end = timeToMinutes(endTime);
+  const windowLength = (end - start + 1440) % 1440;
+  const sinceStart = (now - start + 1440) % 1440;
+  const untilEnd = (end - now + 1440) % 1440;
+
+  // In windows shorter than two ramps, fade in and out over half the window each
+  const ramp = Math.min(settings.transitionMinutes || 0, windowLength / 2);
+  if (ramp <= 0) return intensity;
+
+  const progress = Math.min(1, (sinceStart + 1) / ramp, untilEnd / ramp);
+  const curve = TRANSITION_CURVES[settings.transitionCurve] || TRANSITION_CURVES['linear'];
+
+  // Never round down to 0 inside the window — the filter would read as inactive
+  return Math.max(1, Math.round(intensity * curve(progress)));
+}
+
+// Near the poles the deeper twilights may not happen at all ("white nights").
+// Fall back towards sunset/sunrise until we find an event that does happen today.
+const TWILIGHT_FALLBACK = {
+  'astronomical-dusk': 'nautical-dusk',
+  'nautical-dusk':     'civil-dusk',
+  'civil-dusk':        'sunset',
+  'astronomical-dawn': 'nautical-dawn',
+  'nautical-dawn':     'civil-dawn',
+  'civil-dawn':        'sunrise'
+};
+
+function resolveSunEvent(times, event) {
+  let current = SUN_EVENTS[event] ? event : 'sunset';
+  while (!times[current] && TWILIGHT_FALLBACK[current]) {
+    current = TWILIGHT_FALLBACK[current];
+  }
+  return current;
+}
+
+// Auto mode: replace the stored window with today's chosen sun events (+ offsets).
+// `sunPolar` and `sunEvents` are recorded so the popup can explain what happened.
+function applySunSchedule(settings) {
+  // Compare against null — 0° is a perfectly good latitude or longitude
+  if (settings.scheduleType === 'auto' && settings.latitude != null && settings.longitude != null) {
+    const { times, polar } = calculateSunTimes(settings.latitude, settings.longitude, new Date());
+    settings.sunPolar = polar;
+    if (!polar) {
+      const startEvent = resolveSunEvent(times, settings.sunStartEvent);
+      const endEvent = resolveSunEvent(times, settings.sunEndEvent);
+      settings.startTime = minutesToTime(timeToMinutes(times[startEvent]) + (settings.sunStartOffset || 0));
+      settings.endTime = minutesToTime(timeToMinutes(times[endEvent]) + (settings.sunEndOffset || 0));
+      settings.sunEvents = { start: startEvent, end: endEvent };
+    }
+  }
+  return settings;
+}
+
+// ── Weekly Schedule ─────────────────────────────────────────────
+// scheduleType 'weekly' replaces the single start/end pair with a list of rules:
+//   { days: [1,2,3,4,5], start: '09:00', end: '17:00', mode: 'reader-mode', intensity: 60, priority: 2 }
+// days use Date#getDay() numbering (0 = Sunday). start === end means the whole day.
+// A rule that wraps midnight belongs to the day it starts on, so a Friday
+// 21:00–07:00 rule still covers Saturday 03:00 but not Friday 03:00.
+function isRuleActive(rule, date = new Date()) {
+  const days = rule.days || [];
+  const day = date.getDay();
+  const now = date.getHours() * 60 + date.getMinutes();
+  const start = timeToMinutes(rule.start);
+  const end = timeToMinutes(rule.end);
+
+  if (start === end) return days.includes(day);
+  if (start < end) return days.includes(day) && now >= start && now < end;
+  return (days.includes(day) && now >= start) || (days.includes((day + 6) % 7) && now < end);
+}
+
+// Highest priority wins; on a tie the rule listed first wins.
+function findActiveWeeklyRule(rules, date = new Date()) {
+  let best = null;
+  (rules || []).forEach((rule) => {
+    if (!rule || !isRuleActive(rule, date)) return;
+    if (!best || (rule.priority || 0) > (best.priority || 0)) best = rule;
+  });
+  return best;
+}
+
+// Weekly mode: the winning rule supplies mode, target intensity and the window
+// the ramp is computed against. Returns a copy — the rule's mode must never be
+// written back over the user's own mode.
+function applyWeeklySchedule(settings, date = new Date()) {
+  if (settings.scheduleType !== 'weekly') return settings;
+  const found = findActiveWeeklyRule(settings.weeklyRules, date);
+  if (!found) return { ...settings, weeklyRule: null };
+
+  // A rule that runs a profile takes everything the profile holds; if the profile
+  // has since been deleted, the rule's own mode and intensity still apply
+  const profile = found.profile && settings.profiles.find((p) => p.id === found.profile);
+  const rule = profile
+    ? { ...found, mode: profile.mode, intensity: profile.intensity, profileName: profile.name }
+    : found;
+  return {
+    ...(profile ? SettingsIO.applyProfile(settings, profile) : settings),
+    mode: rule.mode || settings.mode,
+    intensity: typeof rule.intensity === 'number' ? rule.intensity : settings.intensity,
+    startTime: rule.start,
+    endTime: rule.end,
+    weeklyRule: rule
+  };
+}
+
+// ── Circadian Schedule ──────────────────────────────────────────
+// scheduleType 'circadian' never switches off: color temperature and dimming follow
+// a curve through the whole day. Each point is pinned to sunrise, solar noon, sunset
+// or bedtime plus an offset in minutes, so the curve moves with the seasons.
+// Between points FilterEngine.curveValueAt interpolates Kelvin in mireds, dimming linearly.
+// Without a location, sunrise and sunset fall back to 07:00 and 19:00.
+const CIRCADIAN_FALLBACK = { sunrise: '07:00', sunset: '19:00' };
+
+function circadianAnchors(settings, date) {
+  let { sunrise, sunset } = CIRCADIAN_FALLBACK;
+  if (settings.latitude != null && settings.longitude != null) {
+    const { times, polar } = calculateSunTimes(settings.latitude, settings.longitude, date);
+    if (!polar) ({ sunrise, sunset } = times);
+  }
+  const rise = timeToMinutes(sunrise);
+  const set = timeToMinutes(sunset);
+  return {
+    sunrise: rise,
+    noon: Math.round((rise + set) / 2),
+    sunset: set,
+    bedtime: timeToMinutes(settings.circadianBedtime || '23:00')
+  };
+}
+
+// The curve's points as minutes of the day, sorted; `index` points back into circadianCurve.
+function resolveCircadianPoints(settings, date = new Date()) {
+  const anchors = circadianAnchors(settings, date);
+  return (settings.circadianCurve || [])
+    .map((point, index) => ({
+      index,
+      minute: ((anchors[point.anchor] ?? 0) + (point.offset || 0) + 1440) % 1440,
+      kelvin: point.kelvin,
+      dim: point.dim || 0
+    }))
+    .sort((a, b) => a.minute - b.minute);
+}
+
+// Circadian mode rides on the Kelvin engine: the curve supplies the target temperature,
+// and the intensity slider scales how far towards it (and how much of the dimming) to go.
+function applyCircadianSchedule(settings, date = new Date()) {
+  if (settings.scheduleType !== 'circadian') return settings;
+  const points = resolveCircadianPoints(settings, date);
+  const now = FilterEngine.curveValueAt(points, date.getHours() * 60 + date.getMinutes());
+  return {
+    ...settings,
+    mode: 'bluelight',
+    blueLightEngine: 'kelvin',
+    colorTemperature: now.kelvin,
+    dimming: Math.round(now.dim * (settings.intensity || 0) / 100),
+    circadian: { ...now, points }
+  };
+}
+
+// Schedule types that decide the mode/intensity themselves get the final say.
+function applyScheduleRules(settings, date = new Date()) {
+  if (settings.scheduleType === 'weekly') return applyWeeklySchedule(settings, date);
+  if (settings.scheduleType === 'circadian') return applyCircadianSchedule(settings, date);
+  return settings;
+}
+
+// Single source of truth for the intensity a tab should show right now.
+// Used by the tick, GET_STATUS and tabs.onUpdated so they never disagree mid-ramp.
+function resolveCurrentIntensity(settings) {
+  if (!settings.enabled) return 0;
+  if (settings.snoozeUntil && settings.snoozeUntil > Date.now()) return 0;
+  if (settings.manualActive) return settings.intensity;
+  if (settings.scheduleType === 'manual' && !settings.timerEnabled) return 0;
+  if (settings.scheduleType === 'circadian') return settings.intensity;
+  if (settings.scheduleType === 'auto' && settings.sunPolar) {
+    // No sunset today: stay off through polar day, on all day through polar night
+    return settings.sunPolar === 'night' ? settings.intensity : 0;
+  }
+  if (settings.scheduleType === 'weekly') {
+    if (!settings.weeklyRule) return 0;
+    // All-day rules don't fade — back-to-back days would dip at midnight
+    if (settings.startTime === settings.endTime) return settings.intensity;
+  }
+  return calculateCurrentIntensity(settings);
+}
+
+// ── Per-Site Rules ──────────────────────────────────────────────
+// A rule's pattern is a host glob with an optional path glob:
+//   '*.figma.com'                    → figma.com and all its subdomains, any path
+//   'docs.google.com/spreadsheets/*' → only that path on that exact host
+// Actions:
+//   'exclude'     — never filter the site
+//   'no-darkmode' — keep the warm/scientific part, drop dark mode
+//   'force'       — use rule.mode and/or rule.intensity instead of the global ones
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function matchesSitePattern(pattern, url) {
+  let parsed;
+  try { parsed = new URL(url); } catch (e) { return false; }
+
+  const slash = pattern.indexOf('/');
+  const hostGlob = slash === -1 ? pattern : pattern.slice(0, slash);
+  const pathGlob = slash === -1 ? null : pattern.slice(slash);
+
+  // '*.figma.com' should also cover the bare 'figma.com'
+  const hostMatches = hostGlob.startsWith('*.')
+    ? parsed.hostname === hostGlob.slice(2).toLowerCase() || globToRegExp(hostGlob).test(parsed.hostname)
+    : globToRegExp(hostGlob).test(parsed.hostname);
+  if (!hostMatches) return false;
+
+  return pathGlob === null || globToRegExp(pathGlob).test(parsed.pathname);
+}
+
+// The most specific matching rule wins (most non-wildcard characters),
+// so 'docs.google.com/spreadsheets/*' beats '*.google.com'.
+function findSiteRule(rules, url) {
+  let best = null;
+  let bestScore = -1;
+  (rules || []).forEach((rule, index) => {
+    if (!rule || !rule.pattern || !matchesSitePattern(rule.pattern, url)) return;
+    const score = rule.pattern.replace(/\*/g, '').length;
+    if (score > bestScore) {
+      best = { rule, index };
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+function isFilterableUrl(url) {
+  return !!url && !url.startsWith('chrome://') && !url.startsWith('chrome-extension://');
+}
+
+function buildFilterMessage(settings, currentIntensity) {
+  return {
+    type: 'UPDATE_FILTER',
+    mode: settings.mode,
+    intensity: currentIntensity,
+    enabled: settings.enabled && currentIntensity > 0,
+    colorblindType: settings.colorblindType,
+    colorblindSeverity: settings.colorblindSeverity,
+    simulateSplit: !!settings.simulateSplit,
+    dimGamma: settings.dimGamma,
+    dimFloor: settings.dimFloor,
+    combineFilter1: settings.combineFilter1,
+    combineFilter2: settings.combineFilter2,
+    combineRatio: settings.combineRatio,
+    respectNativeDark: settings.respectNativeDark,
+    mediaAware: settings.mediaAware !== false,
+    mediaAction: settings.mediaAction,
+    darkModeEngine: settings.darkModeEngine,
+    customFilters: settings.customFilters,
+    blueLightEngine: settings.blueLightEngine,
+    colorTemperature: settings.colorTemperature,
+    dimming: settings.dimming || 0
+  };
+}
+
+// Remove the dark-mode part of a message, keeping whatever else was blended with it.
+function stripDarkMode(message) {
+  if (message.mode === 'darkmode') {
+    return { ...message, intensity: 0, enabled: false };
+  }
+  if (message.mode === 'both') {
+    return { ...message, mode: 'bluelight' };
+  }
+  if (message.mode === 'combine') {
+    // Keep the other filter at the share of the intensity it had in the blend
+    const [intensityA, intensityB] = FilterEngine.combineIntensities(message.intensity, message.combineRatio);
+    if (message.combineFilter1 === 'darkmode') {
+      return { ...message, mode: message.combineFilter2, intensity: Math.round(intensityB) };
+    }
+    if (message.combineFilter2 === 'darkmode') {
+      return { ...message, mode: message.combineFilter1, intensity: Math.round(intensityA) };
+    }
+  }
+  return message;
+}
+
+// Resolve the UPDATE_FILTER payload for one tab from the global message and the site rules.
+function resolveTabMessage(message, settings, url) {
+  const match = findSiteRule(settings.siteRules, url);
+  if (!match || !message.enabled) return message;
+
+  const { rule } = match;
+  if (rule.action === 'exclude') {
+    return { ...message, intensity: 0, enabled: false };
+  }
+  if (rule.action === 'no-darkmode') {
+    return stripDarkMode(message);
+  }
+  if (rule.action === 'force') {
+    const forced = { ...message };
+    if (rule.mode) forced.mode = rule.mode;
+    // Scale rather than replace so the scheduled ramp still applies to the forced level
+    if (typeof rule.intensity === 'number' && settings.intensity > 0) {
+      forced.intensity = Math.max(1, Math.round(message.intensity * rule.intensity / settings.intensity));
+    }
+    return forced;
+  }
+  return message;
+}
+
+// ── Temporary Overrides (session-scoped) ────────────────────────
+// "No filter on this tab until I close it" / "Reader Mode only in this window".
+// Kept in chrome.storage.session so they never outlive the browser session:
+//   { tabs: { [tabId]: partialSettings }, windows: { [windowId]: partialSettings } }
+// Mode 'cb-simulate' (with colorblindType and simulateSplit) only ever lives here.
+// A tab override beats its window's override, which beats the global settings.
+async function getOverrides() {
+  const { overrides } = await chrome.storage.session.get('overrides');
+  return { tabs: {}, windows: {}, ...(overrides || {}) };
+}
+
+// Writes are chained so closing many tabs at once can't interleave read-modify-writes.
+let _overrideWrites = Promise.resolve();
+
+function setOverride(scope, id, override) {
+  _overrideWrites = _overrideWrites.then(async () => {
+    const overrides = await getOverrides();
+    const bucket = scope === 'window' ? overrides.windows : overrides.tabs;
+    if (!override && !(id in bucket)) return;
+    if (override) {
+      bucket[id] = override;
+    } else {
+      delete bucket[id];
+    }
+    await chrome.storage.session.set({ overrides });
+  }).catch((e) => console.error('Error saving override:', e));
+  return _overrideWrites;
+}
+
+// Full UPDATE_FILTER payload for one tab: global settings → window/tab overrides → site rules.
+function filterMessageForTab(settings, currentIntensity, overrides, tab) {
+  const windowOverride = overrides.windows[tab.windowId];
+  const tabOverride = overrides.tabs[tab.id];
+  let effective = settings;
+  let intensity = currentIntensity;
+  if (windowOverride || tabOverride) {
+    effective = { ...settings, ...(windowOverride || {}), ...(tabOverride || {}) };
+    intensity = resolveCurrentIntensity(effective);
+  }
+  const message = resolveTabMessage(buildFilterMessage(effective, intensity), effective, tab.url);
+  // content.js decides what to do about it, along with full screen and video
+  const colorCritical = (effective.colorCriticalSites || []).some((pattern) => matchesSitePattern(pattern, tab.url));
+  return { ...message, colorCritical };
 }
 
 // ── Apply Filter to All Tabs ────────────────────────────────────
 async function applyToAllTabs(settings, currentIntensity) {
   try {
     const tabs = await chrome.tabs.query({});
-    const message = {
-      type: 'UPDATE_FILTER',
-      mode: settings.mode,
-      intensity: currentIntensity,
-      enabled: settings.enabled && currentIntensity > 0,
-      colorblindType: settings.colorblindType,
-      combineFilter1: settings.combineFilter1,
-      combineFilter2: settings.combineFilter2,
-      combineRatio: settings.combineRatio
-    };
+    const overrides = await getOverrides();
 
     for (const tab of tabs) {
-      if (tab.url && !tab.url.startsWith('chrome://') && !tab.url.startsWith('chrome-extension://')) {
+      if (isFilterableUrl(tab.url)) {
         try {
-          await chrome.tabs.sendMessage(tab.id, message);
+          await chrome.tabs.sendMessage(tab.id, filterMessageForTab(settings, currentIntensity, overrides, tab));
         } catch (e) {
           // Tab might not have content script loaded yet
         }
@@ -128,42 +562,16 @@ async function applyToAllTabs(settings, currentIntensity) {
 // ── Main Update Loop ────────────────────────────────────────────
 async function updateFilter() {
   try {
-    const result = await chrome.storage.local.get('settings');
-    const settings = { ...DEFAULT_SETTINGS, ...(result.settings || {}) };
+    const settings = await loadSettings();
 
     if (!settings.enabled) {
-      settings.currentIntensity = 0;
-      settings.isActive = false;
-      await chrome.storage.local.set({ settings });
       await applyToAllTabs(settings, 0);
       return;
     }
 
-    let startTime = settings.startTime;
-    let endTime = settings.endTime;
-
-    // Auto sunset/sunrise
-    if (settings.scheduleType === 'auto' && settings.latitude && settings.longitude) {
-      const sunTimes = calculateSunTimes(settings.latitude, settings.longitude, new Date());
-      startTime = sunTimes.sunset;
-      endTime = sunTimes.sunrise;
-      settings.startTime = startTime;
-      settings.endTime = endTime;
-    }
-
-    let currentIntensity;
-    if (settings.manualActive) {
-      currentIntensity = settings.intensity;
-    } else if (settings.scheduleType === 'manual' && !settings.timerEnabled) {
-      currentIntensity = 0;
-    } else {
-      currentIntensity = calculateCurrentIntensity(settings);
-    }
-    settings.currentIntensity = currentIntensity;
-    settings.isActive = currentIntensity > 0;
-
-    await chrome.storage.local.set({ settings });
-    await applyToAllTabs(settings, currentIntensity);
+    applySunSchedule(settings);
+    const scheduled = applyScheduleRules(settings);
+    await applyToAllTabs(scheduled, resolveCurrentIntensity(scheduled));
   } catch (e) {
     // Service worker may lose context mid-execution; safe to ignore
   }
@@ -182,61 +590,377 @@ chrome.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === 'chrometones-tick') {
     updateFilter();
   }
+  if (alarm.name === 'chrometones-resume') {
+    updateSettings({ snoozeUntil: null });
+  }
+});
+
+// ── Settings Schema ─────────────────────────────────────────────
+// Stored settings carry `schemaVersion`. Each migration upgrades from the version
+// before it, so settings from any older release step forward one version at a time.
+// Settings that predate versioning count as version 1.
+
+// Worked out from the schedule whenever it's needed (GET_STATUS, the tick), never stored.
+// Version 1 stored them on every tick.
+const RUNTIME_FIELDS = [
+  'currentIntensity', 'isActive', 'sunPolar', 'sunEvents',
+  'activeRule', 'weeklyRule', 'circadian', 'dimming'
+];
+
+const SETTINGS_MIGRATIONS = {
+  // 2: runtime values moved out of settings
+  2: (settings) => {
+    RUNTIME_FIELDS.forEach((key) => delete settings[key]);
+    return settings;
+  }
+};
+
+function migrateSettings(stored) {
+  let settings = { ...stored };
+  let version = Number.isInteger(settings.schemaVersion) ? settings.schemaVersion : 1;
+  // A newer release's settings (after a downgrade) are left for repairSettings to make safe
+  while (version < SETTINGS_VERSION) {
+    version++;
+    settings = SETTINGS_MIGRATIONS[version](settings);
+  }
+  return { ...settings, schemaVersion: Math.max(version, SETTINGS_VERSION) };
+}
+
+// Migrated, then every field checked against its type and range (settings-io.js):
+// anything invalid goes back to its default, unknown fields are dropped.
+function normalizeSettings(stored) {
+  return SettingsIO.repairSettings(migrateSettings(stored || {}), DEFAULT_SETTINGS);
+}
+
+// ── Settings Helpers ────────────────────────────────────────────
+const SYNC_DELAY_MS = 2000; // batches a burst of edits into one chrome.storage.sync write
+
+// The only way settings are read, so a bad stored value can't reach the tick
+async function loadSettings() {
+  const result = await chrome.storage.local.get('settings');
+  const { settings, repaired } = normalizeSettings(result.settings);
+  if (repaired.length) {
+    console.warn('ChromeTones: repaired invalid settings', repaired);
+    await chrome.storage.local.set({ settings });
+  }
+  return settings;
+}
+
+// Every settings write goes through here so other devices hear about it
+async function storeSettings(settings) {
+  await chrome.storage.local.set({ settings: normalizeSettings(settings).settings });
+  queueSync();
+}
+
+// Read-merge-write for every change: the popup's fields, commands, snooze.
+async function updateSettings(patch) {
+  const settings = { ...(await loadSettings()), ...patch };
+  await storeSettings(settings);
+  updateFilter();
+  return settings;
+}
+
+// ── Sync ────────────────────────────────────────────────────────
+// Runs shortly after a local change, when another device's change arrives, and at startup.
+let syncTimer = null;
+
+function queueSync() {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(runSync, SYNC_DELAY_MS);
+}
+
+async function runSync() {
+  const settings = await loadSettings();
+  if (!settings.syncEnabled) return;
+  const merged = await reconcileSync(settings);
+  if (merged) {
+    // Straight to storage: this change came from sync, it doesn't need sending back
+    await chrome.storage.local.set({ settings: merged });
+    trackEvent('settings_synced');
+    updateFilter();
+  }
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync') queueSync();
+});
+
+async function toggleEnabled() {
+  const enabled = !(await loadSettings()).enabled;
+  trackEvent('extension_toggled', { enabled });
+  return updateSettings({ enabled });
+}
+
+// ── Snooze ──────────────────────────────────────────────────────
+// Snoozing only sets `snoozeUntil`; enabled/manualActive/timerEnabled are left alone,
+// so clearing it is all it takes to restore exactly the state from before the snooze.
+// A one-shot alarm clears it, which survives the service worker going to sleep.
+
+// Next time the schedule window opens, strictly after `from` (null when nothing is scheduled).
+function nextScheduleStart(settings, from = new Date()) {
+  if (settings.scheduleType === 'manual' && !settings.timerEnabled) return null;
+  if (settings.scheduleType === 'circadian') return null; // always running
+  if (settings.scheduleType === 'weekly') return nextWeeklyRuleStart(settings.weeklyRules, from);
+  const { startTime, sunPolar } = applySunSchedule({ ...settings });
+  if (settings.scheduleType === 'auto' && sunPolar) return null;
+  const next = new Date(from);
+  next.setHours(0, timeToMinutes(startTime), 0, 0);
+  if (next <= from) next.setDate(next.getDate() + 1);
+  return next.getTime();
+}
+
+// Earliest start of any weekly rule within the coming week.
+function nextWeeklyRuleStart(rules, from = new Date()) {
+  let next = null;
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = new Date(from);
+    day.setDate(day.getDate() + offset);
+    (rules || []).forEach((rule) => {
+      if (!rule || !(rule.days || []).includes(day.getDay())) return;
+      const start = new Date(day);
+      start.setHours(0, timeToMinutes(rule.start), 0, 0);
+      if (start > from && (next === null || start < next)) next = start;
+    });
+    if (next) break;
+  }
+  return next ? next.getTime() : null;
+}
+
+// When the open schedule window closes, or the next one if none is open, strictly after
+// `from`. Schedules without windows (circadian, manual without the timer, polar day or
+// night) fall back to the morning endTime.
+function nextScheduleEnd(settings, from = new Date()) {
+  if (settings.scheduleType === 'weekly') {
+    const end = nextWeeklyRuleEnd(settings.weeklyRules, from);
+    if (end) return end;
+  }
+  const { endTime } = settings.scheduleType === 'auto' ? applySunSchedule({ ...settings }) : settings;
+  const next = new Date(from);
+  next.setHours(0, timeToMinutes(endTime || DEFAULT_SETTINGS.endTime), 0, 0);
+  if (next <= from) next.setDate(next.getDate() + 1);
+  return next.getTime();
+}
+
+// Earliest end of any weekly rule still to come, including one that started yesterday.
+function nextWeeklyRuleEnd(rules, from = new Date()) {
+  let next = null;
+  for (let offset = -1; offset <= 7; offset++) {
+    const day = new Date(from);
+    day.setDate(day.getDate() + offset);
+    (rules || []).forEach((rule) => {
+      if (!rule || !(rule.days || []).includes(day.getDay())) return;
+      const start = new Date(day);
+      start.setHours(0, timeToMinutes(rule.start), 0, 0);
+      const end = new Date(day);
+      end.setHours(0, timeToMinutes(rule.end), 0, 0);
+      if (end <= start) end.setDate(end.getDate() + 1);
+      if (end > from && (next === null || end < next)) next = end;
+    });
+  }
+  return next ? next.getTime() : null;
+}
+
+// 'tomorrow' skips the rest of tonight's window (or all of the next one), so snoozing
+// at 22:00 in a 21:00–07:00 schedule brings the filter back the next evening, not at midnight.
+const SNOOZE_PRESETS = {
+  '15m':        () => Date.now() + 15 * 60000,
+  '1h':         () => Date.now() + 60 * 60000,
+  'tomorrow':   (settings) => nextScheduleEnd(settings),
+  'next-start': (settings) => nextScheduleStart(settings)
+};
+
+async function snoozeUntilTime(until) {
+  await chrome.alarms.create('chrometones-resume', { when: until });
+  return updateSettings({ snoozeUntil: until });
+}
+
+async function snoozeFor(minutes) {
+  return snoozeUntilTime(Date.now() + minutes * 60000);
+}
+
+async function resumeFromSnooze() {
+  await chrome.alarms.clear('chrometones-resume');
+  return updateSettings({ snoozeUntil: null });
+}
+
+// ── Keyboard Shortcuts ──────────────────────────────────────────
+// Declared under "commands" in manifest.json; users remap them at chrome://extensions/shortcuts.
+// Mode names and the Pro list live in filter-engine.js, shared with the popup.
+// The cycle is the single-filter modes: 'both' and 'combine' are left out because they
+// depend on how the two filters are set up, 'cb-simulate' because it is a per-tab override.
+const MODE_CYCLE = [
+  'bluelight', 'darkmode', 'sleep-prep', 'reader-mode',
+  'reduce-eye-strain', 'grayscale', 'colorblind', 'dim'
+];
+const INTENSITY_STEP = 10;
+
+function formatClock(epochMs) {
+  return new Date(epochMs).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+}
+
+async function isPaidUser() {
+  try {
+    return (await extpay.getUser()).paid;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Runs a command and returns the toast text describing what changed.
+async function runCommand(command) {
+  const settings = await loadSettings();
+
+  if (command === 'toggle-filter') {
+    const updated = await toggleEnabled();
+    return updated.enabled ? 'ChromeTones on' : 'ChromeTones off';
+  }
+
+  if (command === 'cycle-mode') {
+    // Free users only cycle through the free modes
+    const paid = await isPaidUser();
+    const modes = MODE_CYCLE.filter((mode) => paid || !FilterEngine.isPremiumMode(mode));
+    const next = modes[(modes.indexOf(settings.mode) + 1) % modes.length];
+    await updateSettings({ mode: next });
+    return `Mode: ${FilterEngine.MODE_NAMES[next]}`;
+  }
+
+  if (command === 'cycle-profile') {
+    const paid = await isPaidUser();
+    const profiles = settings.profiles.filter((p) => paid || !FilterEngine.isPremiumMode(p.mode));
+    if (!profiles.length) return 'No profiles yet — save one from the popup';
+    const current = SettingsIO.matchingProfile(settings, profiles);
+    const next = profiles[(profiles.indexOf(current) + 1) % profiles.length];
+    await updateSettings(SettingsIO.applyProfile({}, next)); // just the profile's fields
+    return `Profile: ${next.name}`;
+  }
+
+  if (command === 'intensity-up' || command === 'intensity-down') {
+    const delta = command === 'intensity-up' ? INTENSITY_STEP : -INTENSITY_STEP;
+    const intensity = Math.max(10, Math.min(100, settings.intensity + delta));
+    await updateSettings({ intensity });
+    return `Intensity ${intensity}%`;
+  }
+
+  if (command === 'pause-1h') {
+    const updated = await snoozeFor(60);
+    return `Paused until ${formatClock(updated.snoozeUntil)}`;
+  }
+
+  return null;
+}
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  trackEvent('command_used', { command });
+  const text = await runCommand(command);
+  if (!text) return;
+
+  const target = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+  if (target && isFilterableUrl(target.url)) {
+    // Top frame only — one toast per page, not one per iframe
+    chrome.tabs.sendMessage(target.id, { type: 'SHOW_TOAST', text }, { frameId: 0 }).catch(() => {});
+  }
 });
 
 // ── Messages from Popup ─────────────────────────────────────────
-chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'GET_STATUS') {
-    chrome.storage.local.get('settings').then((result) => {
-      const settings = { ...DEFAULT_SETTINGS, ...(result.settings || {}) };
-
-      // Calculate sun times if auto
-      if (settings.scheduleType === 'auto' && settings.latitude && settings.longitude) {
-        const sunTimes = calculateSunTimes(settings.latitude, settings.longitude, new Date());
-        settings.startTime = sunTimes.sunset;
-        settings.endTime = sunTimes.sunrise;
-      }
+    loadSettings().then((settings) => {
 
       // Always recalculate so a newly opened tab gets the correct intensity
       // rather than a potentially stale value from storage
-      if (!settings.enabled) {
-        settings.currentIntensity = 0;
-      } else if (settings.manualActive) {
-        settings.currentIntensity = settings.intensity;
-      } else if (settings.scheduleType === 'manual' && !settings.timerEnabled) {
-        settings.currentIntensity = 0;
-      } else {
-        settings.currentIntensity = calculateCurrentIntensity(settings);
-      }
+      applySunSchedule(settings);
+      const scheduled = applyScheduleRules(settings);
+      settings.currentIntensity = resolveCurrentIntensity(scheduled);
       settings.isActive = settings.currentIntensity > 0;
+      // Lets the popup show which weekly rule is in charge, or draw the circadian curve
+      settings.activeRule = scheduled.weeklyRule || null;
+      settings.circadian = scheduled.circadian || null;
+
+      // The popup also needs to know whether "snooze until next start" is possible
+      if (!sender.tab) {
+        sendResponse({ settings, nextStart: nextScheduleStart(settings) });
+        return;
+      }
 
+      // Content scripts also get their site-resolved payload so a fresh page
+      // honours site rules exactly like tabs.onUpdated and the tick do
+      if (isFilterableUrl(sender.tab.url)) {
+        getOverrides().then((overrides) => {
+          const filter = filterMessageForTab(scheduled, settings.currentIntensity, overrides, sender.tab);
+          sendResponse({ settings, filter });
+        });
+        return;
+      }
       sendResponse({ settings });
     });
     return true; // async response
   }
   
+  // The popup sends only the fields it changed
   if (message.type === 'UPDATE_SETTINGS') {
-    chrome.storage.local.set({ settings: message.settings }).then(() => {
-      trackEvent('settings_updated', { mode: message.settings.mode, intensity: message.settings.intensity });
-      updateFilter();
+    updateSettings(message.settings).then((settings) => {
+      trackEvent('settings_updated', { mode: settings.mode, intensity: settings.intensity });
       sendResponse({ success: true });
     });
     return true;
   }
   
   if (message.type === 'TOGGLE') {
-    chrome.storage.local.get('settings').then((result) => {
-      const settings = { ...DEFAULT_SETTINGS, ...(result.settings || {}) };
-      settings.enabled = !settings.enabled;
-      trackEvent('extension_toggled', { enabled: settings.enabled });
-      chrome.storage.local.set({ settings }).then(() => {
-        updateFilter();
-        sendResponse({ settings });
+    toggleEnabled().then((settings) => sendResponse({ settings }));
+    return true;
+  }
+  
+  if (message.type === 'GET_SITE_RULE') {
+    loadSettings().then((settings) => {
+      const match = findSiteRule(settings.siteRules, message.url);
+      sendResponse(match || { rule: null, index: -1 });
+    });
+    return true;
+  }
+
+  if (message.type === 'GET_OVERRIDES') {
+    getOverrides().then((overrides) => {
+      sendResponse({
+        tab: overrides.tabs[message.tabId] || null,
+        window: overrides.windows[message.windowId] || null
       });
     });
     return true;
   }
-  
+
+  if (message.type === 'SET_OVERRIDE') {
+    setOverride(message.scope, message.id, message.override).then(() => {
+      trackEvent('override_set', { scope: message.scope, cleared: !message.override });
+      updateFilter();
+      sendResponse({ success: true });
+    });
+    return true;
+  }
+
+  if (message.type === 'SNOOZE') {
+    loadSettings().then((settings) => {
+      const preset = SNOOZE_PRESETS[message.preset];
+      const until = preset && preset(settings);
+      if (!until) {
+        sendResponse({ settings });
+        return;
+      }
+      trackEvent('snoozed', { preset: message.preset });
+      snoozeUntilTime(until).then((updated) => sendResponse({ settings: updated }));
+    });
+    return true;
+  }
+
+  if (message.type === 'RESUME') {
+    resumeFromSnooze().then((settings) => sendResponse({ settings }));
+    return true;
+  }
+
+  if (message.type === 'GET_SYNC_STATUS') {
+    getSyncState().then(({ lastSyncedAt, error }) => sendResponse({ lastSyncedAt, error }));
+    return true;
+  }
+
   if (message.type === 'FORCE_UPDATE') {
     updateFilter().then(() => sendResponse({ success: true }));
     return true;
@@ -265,52 +989,49 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
 // ── Tab Events ──────────────────────────────────────────────────
 // Apply filter when new tabs load
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  if (changeInfo.status === 'complete' && tab.url &&
-      !tab.url.startsWith('chrome://') && !tab.url.startsWith('chrome-extension://')) {
-    chrome.storage.local.get('settings').then((result) => {
-      const settings = { ...DEFAULT_SETTINGS, ...(result.settings || {}) };
-      if (settings.enabled) {
-        const currentIntensity = settings.manualActive
-          ? settings.intensity
-          : (settings.scheduleType === 'manual' && !settings.timerEnabled)
-            ? 0
-            : calculateCurrentIntensity(settings);
-        if (currentIntensity > 0) {
-          chrome.tabs.sendMessage(tabId, {
-            type: 'UPDATE_FILTER',
-            mode: settings.mode,
-            intensity: currentIntensity,
-            enabled: true,
-            colorblindType: settings.colorblindType,
-            combineFilter1: settings.combineFilter1,
-            combineFilter2: settings.combineFilter2,
-            combineRatio: settings.combineRatio
-          }).catch(() => {});
-        }
+  if (changeInfo.status === 'complete' && isFilterableUrl(tab.url)) {
+    Promise.all([loadSettings(), getOverrides()]).then(([stored, overrides]) => {
+      const settings = applyScheduleRules(applySunSchedule(stored));
+      const message = filterMessageForTab(settings, resolveCurrentIntensity(settings), overrides, tab);
+      if (message.enabled) {
+        chrome.tabs.sendMessage(tabId, message).catch(() => {});
       }
     });
   }
 });
 
+// Temporary overrides die with their tab or window
+chrome.tabs.onRemoved.addListener((tabId) => {
+  setOverride('tab', tabId, null);
+});
+
+chrome.windows.onRemoved.addListener((windowId) => {
+  setOverride('window', windowId, null);
+});
+
 // ── Initialize ──────────────────────────────────────────────────
-chrome.runtime.onInstalled.addListener(async () => {
+chrome.runtime.onInstalled.addListener(async ({ reason }) => {
   trackEvent('extension_installed');
   const result = await chrome.storage.local.get('settings');
   if (!result.settings) {
-    await chrome.storage.local.set({ settings: DEFAULT_SETTINGS });
+    await storeSettings(DEFAULT_SETTINGS);
+  } else if (reason === 'update') {
+    // Upgrade what the previous release stored before anything else reads it
+    const from = result.settings.schemaVersion || 1;
+    const { settings, repaired } = normalizeSettings(result.settings);
+    await chrome.storage.local.set({ settings });
+    trackEvent('settings_migrated', { from, to: settings.schemaVersion, repaired: repaired.length });
   }
 
   // Inject content script into tabs already open at install/update time —
   // they won't have content.js because it only auto-injects on page load.
   const tabs = await chrome.tabs.query({});
   for (const tab of tabs) {
-    if (tab.url &&
-        !tab.url.startsWith('chrome://') &&
-        !tab.url.startsWith('chrome-extension://')) {
+    if (isFilterableUrl(tab.url)) {
       try {
         await chrome.scripting.executeScript({
-          target: { tabId: tab.id },
-          files: ['content.js']
+          target: { tabId: tab.id, allFrames: true },
+          files: ['filter-engine.js', 'content.js']
         });
       } catch (e) {
         // Tab not injectable (e.g., restricted page) — skip
@@ -321,5 +1042,6 @@ chrome.runtime.onInstalled.addListener(async () => {
   updateFilter();
 });
 
-// Run on startup
+// Run on startup, and catch up on anything other devices changed meanwhile
 updateFilter();
+queueSync();
@@ -0,0 +1,317 @@
+// ChromeTones — City Database
+// Bundled offline so the sunset/sunrise schedule works when geolocation is blocked.
+// Coordinates are city centres, rounded to 0.01° (about 1 km) — plenty for sun times.
+
+// [name, country code, latitude, longitude, IANA time zone]
+const CITIES = [
+  // ── North America ──
+  ['New York', 'US', 40.71, -74.01, 'America/New_York'],
+  ['Boston', 'US', 42.36, -71.06, 'America/New_York'],
+  ['Philadelphia', 'US', 39.95, -75.17, 'America/New_York'],
+  ['Washington', 'US', 38.91, -77.04, 'America/New_York'],
+  ['Atlanta', 'US', 33.75, -84.39, 'America/New_York'],
+  ['Miami', 'US', 25.76, -80.19, 'America/New_York'],
+  ['Orlando', 'US', 28.54, -81.38, 'America/New_York'],
+  ['Charlotte', 'US', 35.23, -80.84, 'America/New_York'],
+  ['Pittsburgh', 'US', 40.44, -80.00, 'America/New_York'],
+  ['Detroit', 'US', 42.33, -83.05, 'America/Detroit'],
+  ['Indianapolis', 'US', 39.77, -86.16, 'America/Indiana/Indianapolis'],
+  ['Louisville', 'US', 38.25, -85.76, 'America/Kentucky/Louisville'],
+  ['Chicago', 'US', 41.88, -87.63, 'America/Chicago'],
+  ['Houston', 'US', 29.76, -95.37, 'America/Chicago'],
+  ['Dallas', 'US', 32.78, -96.80, 'America/Chicago'],
+  ['Austin', 'US', 30.27, -97.74, 'America/Chicago'],
+  ['San Antonio', 'US', 29.42, -98.49, 'America/Chicago'],
+  ['Minneapolis', 'US', 44.98, -93.27, 'America/Chicago'],
+  ['St. Louis', 'US', 38.63, -90.20, 'America/Chicago'],
+  ['Kansas City', 'US', 39.10, -94.58, 'America/Chicago'],
+  ['Nashville', 'US', 36.16, -86.78, 'America/Chicago'],
+  ['New Orleans', 'US', 29.95, -90.07, 'America/Chicago'],
+  ['Denver', 'US', 39.74, -104.99, 'America/Denver'],
+  ['Salt Lake City', 'US', 40.76, -111.89, 'America/Denver'],
+  ['Boise', 'US', 43.62, -116.20, 'America/Boise'],
+  ['Phoenix', 'US', 33.45, -112.07, 'America/Phoenix'],
+  ['Los Angeles', 'US', 34.05, -118.24, 'America/Los_Angeles'],
+  ['San Diego', 'US', 32.72, -117.16, 'America/Los_Angeles'],
+  ['San Francisco', 'US', 37.77, -122.42, 'America/Los_Angeles'],
+  ['San Jose', 'US', 37.34, -121.89, 'America/Los_Angeles'],
+  ['Las Vegas', 'US', 36.17, -115.14, 'America/Los_Angeles'],
+  ['Seattle', 'US', 47.61, -122.33, 'America/Los_Angeles'],
+  ['Portland', 'US', 45.52, -122.68, 'America/Los_Angeles'],
+  ['Anchorage', 'US', 61.22, -149.90, 'America/Anchorage'],
+  ['Fairbanks', 'US', 64.84, -147.72, 'America/Anchorage'],
+  ['Honolulu', 'US', 21.31, -157.86, 'Pacific/Honolulu'],
+  ['Toronto', 'CA', 43.65, -79.38, 'America/Toronto'],
+  ['Montreal', 'CA', 45.50, -73.57, 'America/Toronto'],
+  ['Ottawa', 'CA', 45.42, -75.70, 'America/Toronto'],
+  ['Halifax', 'CA', 44.65, -63.58, 'America/Halifax'],
+  ['St. John\'s', 'CA', 47.56, -52.71, 'America/St_Johns'],
+  ['Winnipeg', 'CA', 49.90, -97.14, 'America/Winnipeg'],
+  ['Regina', 'CA', 50.45, -104.61, 'America/Regina'],
+  ['Calgary', 'CA', 51.05, -114.07, 'America/Edmonton'],
+  ['Edmonton', 'CA', 53.55, -113.49, 'America/Edmonton'],
+  ['Vancouver', 'CA', 49.28, -123.12, 'America/Vancouver'],
+  ['Whitehorse', 'CA', 60.72, -135.06, 'America/Whitehorse'],
+  ['Yellowknife', 'CA', 62.45, -114.37, 'America/Yellowknife'],
+  ['Iqaluit', 'CA', 63.75, -68.52, 'America/Iqaluit'],
+  ['Nuuk', 'GL', 64.18, -51.72, 'America/Nuuk'],
+  ['Mexico City', 'MX', 19.43, -99.13, 'America/Mexico_City'],
+  ['Guadalajara', 'MX', 20.66, -103.35, 'America/Mexico_City'],
+  ['Monterrey', 'MX', 25.69, -100.32, 'America/Monterrey'],
+  ['Tijuana', 'MX', 32.51, -117.04, 'America/Tijuana'],
+  ['Cancún', 'MX', 21.16, -86.85, 'America/Cancun'],
+  ['Guatemala City', 'GT', 14.63, -90.51, 'America/Guatemala'],
+  ['San José', 'CR', 9.93, -84.08, 'America/Costa_Rica'],
+  ['Panama City', 'PA', 8.98, -79.52, 'America/Panama'],
+  ['Havana', 'CU', 23.11, -82.37, 'America/Havana'],
+  ['Santo Domingo', 'DO', 18.49, -69.93, 'America/Santo_Domingo'],
+  ['San Juan', 'PR', 18.47, -66.11, 'America/Puerto_Rico'],
+  ['Kingston', 'JM', 18.02, -76.80, 'America/Jamaica'],
+
+  // ── South America ──
+  ['Bogotá', 'CO', 4.71, -74.07, 'America/Bogota'],
+  ['Medellín', 'CO', 6.24, -75.58, 'America/Bogota'],
+  ['Caracas', 'VE', 10.48, -66.90, 'America/Caracas'],
+  ['Quito', 'EC', -0.18, -78.47, 'America/Guayaquil'],
+  ['Guayaquil', 'EC', -2.19, -79.89, 'America/Guayaquil'],
+  ['Lima', 'PE', -12.05, -77.04, 'America/Lima'],
+  ['La Paz', 'BO', -16.49, -68.12, 'America/La_Paz'],
+  ['Santiago', 'CL', -33.45, -70.67, 'America/Santiago'],
+  ['Punta Arenas', 'CL', -53.16, -70.91, 'America/Punta_Arenas'],
+  ['Buenos Aires', 'AR', -34.60, -58.38, 'America/Argentina/Buenos_Aires'],
+  ['Córdoba', 'AR', -31.42, -64.18, 'America/Argentina/Cordoba'],
+  ['Ushuaia', 'AR', -54.80, -68.30, 'America/Argentina/Ushuaia'],
+  ['Montevideo', 'UY', -34.90, -56.16, 'America/Montevideo'],
+  ['Asunción', 'PY', -25.26, -57.58, 'America/Asuncion'],
+  ['São Paulo', 'BR', -23.55, -46.63, 'America/Sao_Paulo'],
+  ['Rio de Janeiro', 'BR', -22.91, -43.17, 'America/Sao_Paulo'],
+  ['Brasília', 'BR', -15.79, -47.88, 'America/Sao_Paulo'],
+  ['Belo Horizonte', 'BR', -19.92, -43.94, 'America/Sao_Paulo'],
+  ['Porto Alegre', 'BR', -30.03, -51.23, 'America/Sao_Paulo'],
+  ['Salvador', 'BR', -12.97, -38.50, 'America/Bahia'],
+  ['Recife', 'BR', -8.05, -34.88, 'America/Recife'],
+  ['Fortaleza', 'BR', -3.73, -38.53, 'America/Fortaleza'],
+  ['Manaus', 'BR', -3.12, -60.02, 'America/Manaus'],
+
+  // ── Europe ──
+  ['London', 'GB', 51.51, -0.13, 'Europe/London'],
+  ['Manchester', 'GB', 53.48, -2.24, 'Europe/London'],
+  ['Birmingham', 'GB', 52.49, -1.89, 'Europe/London'],
+  ['Edinburgh', 'GB', 55.95, -3.19, 'Europe/London'],
+  ['Glasgow', 'GB', 55.86, -4.25, 'Europe/London'],
+  ['Belfast', 'GB', 54.60, -5.93, 'Europe/London'],
+  ['Dublin', 'IE', 53.35, -6.26, 'Europe/Dublin'],
+  ['Lisbon', 'PT', 38.72, -9.14, 'Europe/Lisbon'],
+  ['Porto', 'PT', 41.15, -8.61, 'Europe/Lisbon'],
+  ['Madrid', 'ES', 40.42, -3.70, 'Europe/Madrid'],
+  ['Barcelona', 'ES', 41.39, 2.17, 'Europe/Madrid'],
+  ['Valencia', 'ES', 39.47, -0.38, 'Europe/Madrid'],
+  ['Seville', 'ES', 37.39, -5.98, 'Europe/Madrid'],
+  ['Paris', 'FR', 48.86, 2.35, 'Europe/Paris'],
+  ['Lyon', 'FR', 45.76, 4.84, 'Europe/Paris'],
+  ['Marseille', 'FR', 43.30, 5.37, 'Europe/Paris'],
+  ['Brussels', 'BE', 50.85, 4.35, 'Europe/Brussels'],
+  ['Amsterdam', 'NL', 52.37, 4.90, 'Europe/Amsterdam'],
+  ['Rotterdam', 'NL', 51.92, 4.48, 'Europe/Amsterdam'],
+  ['Luxembourg', 'LU', 49.61, 6.13, 'Europe/Luxembourg'],
+  ['Berlin', 'DE', 52.52, 13.40, 'Europe/Berlin'],
+  ['Hamburg', 'DE', 53.55, 9.99, 'Europe/Berlin'],
+  ['Munich', 'DE', 48.14, 11.58, 'Europe/Berlin'],
+  ['Frankfurt', 'DE', 50.11, 8.68, 'Europe/Berlin'],
+  ['Cologne', 'DE', 50.94, 6.96, 'Europe/Berlin'],
+  ['Zurich', 'CH', 47.38, 8.54, 'Europe/Zurich'],
+  ['Geneva', 'CH', 46.20, 6.14, 'Europe/Zurich'],
+  ['Vienna', 'AT', 48.21, 16.37, 'Europe/Vienna'],
+  ['Rome', 'IT', 41.90, 12.50, 'Europe/Rome'],
+  ['Milan', 'IT', 45.46, 9.19, 'Europe/Rome'],
+  ['Naples', 'IT', 40.85, 14.27, 'Europe/Rome'],
+  ['Copenhagen', 'DK', 55.68, 12.57, 'Europe/Copenhagen'],
+  ['Oslo', 'NO', 59.91, 10.75, 'Europe/Oslo'],
+  ['Bergen', 'NO', 60.39, 5.32, 'Europe/Oslo'],
+  ['Tromsø', 'NO', 69.65, 18.96, 'Europe/Oslo'],
+  ['Longyearbyen', 'SJ', 78.22, 15.65, 'Arctic/Longyearbyen'],
+  ['Stockholm', 'SE', 59.33, 18.07, 'Europe/Stockholm'],
+  ['Gothenburg', 'SE', 57.71, 11.97, 'Europe/Stockholm'],
+  ['Kiruna', 'SE', 67.86, 20.23, 'Europe/Stockholm'],
+  ['Helsinki', 'FI', 60.17, 24.94, 'Europe/Helsinki'],
+  ['Rovaniemi', 'FI', 66.50, 25.73, 'Europe/Helsinki'],
+  ['Reykjavík', 'IS', 64.15, -21.94, 'Atlantic/Reykjavik'],
+  ['Tallinn', 'EE', 59.44, 24.75, 'Europe/Tallinn'],
+  ['Riga', 'LV', 56.95, 24.11, 'Europe/Riga'],
+  ['Vilnius', 'LT', 54.69, 25.28, 'Europe/Vilnius'],
+  ['Warsaw', 'PL', 52.23, 21.01, 'Europe/Warsaw'],
+  ['Kraków', 'PL', 50.06, 19.94, 'Europe/Warsaw'],
+  ['Prague', 'CZ', 50.08, 14.44, 'Europe/Prague'],
+  ['Bratislava', 'SK', 48.15, 17.11, 'Europe/Bratislava'],
+  ['Budapest', 'HU', 47.50, 19.04, 'Europe/Budapest'],
+  ['Ljubljana', 'SI', 46.06, 14.51, 'Europe/Ljubljana'],
+  ['Zagreb', 'HR', 45.81, 15.98, 'Europe/Zagreb'],
+  ['Belgrade', 'RS', 44.79, 20.45, 'Europe/Belgrade'],
+  ['Sarajevo', 'BA', 43.86, 18.41, 'Europe/Sarajevo'],
+  ['Bucharest', 'RO', 44.43, 26.10, 'Europe/Bucharest'],
+  ['Sofia', 'BG', 42.70, 23.32, 'Europe/Sofia'],
+  ['Athens', 'GR', 37.98, 23.73, 'Europe/Athens'],
+  ['Thessaloniki', 'GR', 40.64, 22.94, 'Europe/Athens'],
+  ['Nicosia', 'CY', 35.19, 33.38, 'Asia/Nicosia'],
+  ['Valletta', 'MT', 35.90, 14.51, 'Europe/Malta'],
+  ['Istanbul', 'TR', 41.01, 28.98, 'Europe/Istanbul'],
+  ['Ankara', 'TR', 39.93, 32.86, 'Europe/Istanbul'],
+  ['Kyiv', 'UA', 50.45, 30.52, 'Europe/Kyiv'],
+  ['Odesa', 'UA', 46.48, 30.72, 'Europe/Kyiv'],
+  ['Chișinău', 'MD', 47.01, 28.86, 'Europe/Chisinau'],
+  ['Minsk', 'BY', 53.90, 27.56, 'Europe/Minsk'],
+  ['Moscow', 'RU', 55.76, 37.62, 'Europe/Moscow'],
+  ['Saint Petersburg', 'RU', 59.93, 30.36, 'Europe/Moscow'],
+  ['Murmansk', 'RU', 68.97, 33.09, 'Europe/Moscow'],
+  ['Samara', 'RU', 53.20, 50.15, 'Europe/Samara'],
+  ['Yekaterinburg', 'RU', 56.84, 60.61, 'Asia/Yekaterinburg'],
+  ['Novosibirsk', 'RU', 55.01, 82.93, 'Asia/Novosibirsk'],
+  ['Krasnoyarsk', 'RU', 56.01, 92.87, 'Asia/Krasnoyarsk'],
+  ['Irkutsk', 'RU', 52.29, 104.30, 'Asia/Irkutsk'],
+  ['Yakutsk', 'RU', 62.03, 129.73, 'Asia/Yakutsk'],
+  ['Vladivostok', 'RU', 43.12, 131.89, 'Asia/Vladivostok'],
+
+  // ── Middle East & Africa ──
+  ['Tel Aviv', 'IL', 32.09, 34.78, 'Asia/Jerusalem'],
+  ['Jerusalem', 'IL', 31.77, 35.21, 'Asia/Jerusalem'],
+  ['Beirut', 'LB', 33.89, 35.50, 'Asia/Beirut'],
+  ['Amman', 'JO', 31.95, 35.93, 'Asia/Amman'],
+  ['Baghdad', 'IQ', 33.31, 44.36, 'Asia/Baghdad'],
+  ['Riyadh', 'SA', 24.71, 46.68, 'Asia/Riyadh'],
+  ['Jeddah', 'SA', 21.49, 39.19, 'Asia/Riyadh'],
+  ['Kuwait City', 'KW', 29.38, 47.99, 'Asia/Kuwait'],
+  ['Doha', 'QA', 25.29, 51.53, 'Asia/Qatar'],
+  ['Dubai', 'AE', 25.20, 55.27, 'Asia/Dubai'],
+  ['Abu Dhabi', 'AE', 24.45, 54.38, 'Asia/Dubai'],
+  ['Muscat', 'OM', 23.59, 58.41, 'Asia/Muscat'],
+  ['Tehran', 'IR', 35.69, 51.39, 'Asia/Tehran'],
+  ['Tbilisi', 'GE', 41.72, 44.79, 'Asia/Tbilisi'],
+  ['Yerevan', 'AM', 40.18, 44.51, 'Asia/Yerevan'],
+  ['Baku', 'AZ', 40.41, 49.87, 'Asia/Baku'],
+  ['Cairo', 'EG', 30.04, 31.24, 'Africa/Cairo'],
+  ['Casablanca', 'MA', 33.57, -7.59, 'Africa/Casablanca'],
+  ['Algiers', 'DZ', 36.75, 3.06, 'Africa/Algiers'],
+  ['Tunis', 'TN', 36.81, 10.18, 'Africa/Tunis'],
+  ['Lagos', 'NG', 6.52, 3.38, 'Africa/Lagos'],
+  ['Abuja', 'NG', 9.08, 7.40, 'Africa/Lagos'],
+  ['Accra', 'GH', 5.60, -0.19, 'Africa/Accra'],
+  ['Dakar', 'SN', 14.72, -17.47, 'Africa/Dakar'],
+  ['Abidjan', 'CI', 5.36, -4.01, 'Africa/Abidjan'],
+  ['Kinshasa', 'CD', -4.44, 15.27, 'Africa/Kinshasa'],
+  ['Luanda', 'AO', -8.84, 13.23, 'Africa/Luanda'],
+  ['Addis Ababa', 'ET', 9.03, 38.74, 'Africa/Addis_Ababa'],
+  ['Nairobi', 'KE', -1.29, 36.82, 'Africa/Nairobi'],
+  ['Kampala', 'UG', 0.35, 32.58, 'Africa/Kampala'],
+  ['Dar es Salaam', 'TZ', -6.79, 39.21, 'Africa/Dar_es_Salaam'],
+  ['Kigali', 'RW', -1.95, 30.06, 'Africa/Kigali'],
+  ['Lusaka', 'ZM', -15.39, 28.32, 'Africa/Lusaka'],
+  ['Harare', 'ZW', -17.83, 31.05, 'Africa/Harare'],
+  ['Maputo', 'MZ', -25.97, 32.57, 'Africa/Maputo'],
+  ['Johannesburg', 'ZA', -26.20, 28.05, 'Africa/Johannesburg'],
+  ['Cape Town', 'ZA', -33.92, 18.42, 'Africa/Johannesburg'],
+  ['Durban', 'ZA', -29.86, 31.03, 'Africa/Johannesburg'],
+  ['Windhoek', 'NA', -22.56, 17.08, 'Africa/Windhoek'],
+  ['Antananarivo', 'MG', -18.88, 47.51, 'Indian/Antananarivo'],
+  ['Port Louis', 'MU', -20.16, 57.50, 'Indian/Mauritius'],
+
+  // ── Asia ──
+  ['Karachi', 'PK', 24.86, 67.01, 'Asia/Karachi'],
+  ['Lahore', 'PK', 31.55, 74.34, 'Asia/Karachi'],
+  ['Islamabad', 'PK', 33.68, 73.05, 'Asia/Karachi'],
+  ['Kabul', 'AF', 34.56, 69.21, 'Asia/Kabul'],
+  ['Tashkent', 'UZ', 41.30, 69.24, 'Asia/Tashkent'],
+  ['Almaty', 'KZ', 43.24, 76.89, 'Asia/Almaty'],
+  ['Astana', 'KZ', 51.17, 71.45, 'Asia/Almaty'],
+  ['Bishkek', 'KG', 42.87, 74.59, 'Asia/Bishkek'],
+  ['Delhi', 'IN', 28.61, 77.21, 'Asia/Kolkata'],
+  ['Mumbai', 'IN', 19.08, 72.88, 'Asia/Kolkata'],
+  ['Bengaluru', 'IN', 12.97, 77.59, 'Asia/Kolkata'],
+  ['Chennai', 'IN', 13.08, 80.27, 'Asia/Kolkata'],
+  ['Hyderabad', 'IN', 17.39, 78.49, 'Asia/Kolkata'],
+  ['Kolkata', 'IN', 22.57, 88.36, 'Asia/Kolkata'],
+  ['Pune', 'IN', 18.52, 73.86, 'Asia/Kolkata'],
+  ['Colombo', 'LK', 6.93, 79.86, 'Asia/Colombo'],
+  ['Kathmandu', 'NP', 27.72, 85.32, 'Asia/Kathmandu'],
+  ['Dhaka', 'BD', 23.81, 90.41, 'Asia/Dhaka'],
+  ['Thimphu', 'BT', 27.47, 89.64, 'Asia/Thimphu'],
+  ['Yangon', 'MM', 16.87, 96.20, 'Asia/Yangon'],
+  ['Bangkok', 'TH', 13.76, 100.50, 'Asia/Bangkok'],
+  ['Hanoi', 'VN', 21.03, 105.85, 'Asia/Ho_Chi_Minh'],
+  ['Ho Chi Minh City', 'VN', 10.82, 106.63, 'Asia/Ho_Chi_Minh'],
+  ['Phnom Penh', 'KH', 11.56, 104.92, 'Asia/Phnom_Penh'],
+  ['Kuala Lumpur', 'MY', 3.14, 101.69, 'Asia/Kuala_Lumpur'],
+  ['Singapore', 'SG', 1.35, 103.82, 'Asia/Singapore'],
+  ['Jakarta', 'ID', -6.21, 106.85, 'Asia/Jakarta'],
+  ['Denpasar', 'ID', -8.65, 115.22, 'Asia/Makassar'],
+  ['Manila', 'PH', 14.60, 120.98, 'Asia/Manila'],
+  ['Hong Kong', 'HK', 22.32, 114.17, 'Asia/Hong_Kong'],
+  ['Taipei', 'TW', 25.03, 121.57, 'Asia/Taipei'],
+  ['Shanghai', 'CN', 31.23, 121.47, 'Asia/Shanghai'],
+  ['Beijing', 'CN', 39.90, 116.41, 'Asia/Shanghai'],
+  ['Guangzhou', 'CN', 23.13, 113.26, 'Asia/Shanghai'],
+  ['Shenzhen', 'CN', 22.54, 114.06, 'Asia/Shanghai'],
+  ['Chengdu', 'CN', 30.57, 104.07, 'Asia/Shanghai'],
+  ['Urumqi', 'CN', 43.83, 87.62, 'Asia/Urumqi'],
+  ['Ulaanbaatar', 'MN', 47.89, 106.91, 'Asia/Ulaanbaatar'],
+  ['Seoul', 'KR', 37.57, 126.98, 'Asia/Seoul'],
+  ['Busan', 'KR', 35.18, 129.08, 'Asia/Seoul'],
+  ['Tokyo', 'JP', 35.68, 139.69, 'Asia/Tokyo'],
+  ['Osaka', 'JP', 34.69, 135.50, 'Asia/Tokyo'],
+  ['Sapporo', 'JP', 43.06, 141.35, 'Asia/Tokyo'],
+
+  // ── Oceania ──
+  ['Sydney', 'AU', -33.87, 151.21, 'Australia/Sydney'],
+  ['Canberra', 'AU', -35.28, 149.13, 'Australia/Sydney'],
+  ['Melbourne', 'AU', -37.81, 144.96, 'Australia/Melbourne'],
+  ['Brisbane', 'AU', -27.47, 153.03, 'Australia/Brisbane'],
+  ['Adelaide', 'AU', -34.93, 138.60, 'Australia/Adelaide'],
+  ['Darwin', 'AU', -12.46, 130.84, 'Australia/Darwin'],
+  ['Perth', 'AU', -31.95, 115.86, 'Australia/Perth'],
+  ['Hobart', 'AU', -42.88, 147.33, 'Australia/Hobart'],
+  ['Auckland', 'NZ', -36.85, 174.76, 'Pacific/Auckland'],
+  ['Wellington', 'NZ', -41.29, 174.78, 'Pacific/Auckland'],
+  ['Christchurch', 'NZ', -43.53, 172.64, 'Pacific/Auckland'],
+  ['Suva', 'FJ', -18.14, 178.44, 'Pacific/Fiji'],
+  ['Port Moresby', 'PG', -9.44, 147.18, 'Pacific/Port_Moresby'],
+  ['Nouméa', 'NC', -22.28, 166.46, 'Pacific/Noumea'],
+  ['Apia', 'WS', -13.83, -171.76, 'Pacific/Apia'],
+  ['Papeete', 'PF', -17.54, -149.57, 'Pacific/Tahiti'],
+  ['Hagåtña', 'GU', 13.48, 144.75, 'Pacific/Guam']
+];
+
+// Accent-insensitive prefix/word search: 'sao' finds São Paulo, 'york' finds New York.
+function searchCities(query, limit = 6) {
+  const normalize = (str) => str.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  const q = normalize(query.trim());
+  if (!q) return [];
+
+  const scored = [];
+  for (const city of CITIES) {
+    const name = normalize(city[0]);
+    const score = name.startsWith(q) ? 0
+      : name.split(/[\s-]+/).some(word => word.startsWith(q)) ? 1
+      : -1;
+    if (score >= 0) scored.push([score, city]);
+  }
+  return scored.sort((a, b) => a[0] - b[0]).slice(0, limit).map(([, city]) => city);
+}
+
+// Older names some Chrome builds still report
+const TIME_ZONE_ALIASES = {
+  'Asia/Calcutta':  'Asia/Kolkata',
+  'Asia/Katmandu':  'Asia/Kathmandu',
+  'Asia/Rangoon':   'Asia/Yangon',
+  'Asia/Saigon':    'Asia/Ho_Chi_Minh',
+  'Europe/Kiev':    'Europe/Kyiv',
+  'America/Godthab': 'America/Nuuk'
+};
+
+// Approximate location from the browser's time zone, without asking for permission.
+// Prefer the city the zone is named after ('Europe/Paris' → Paris), else any city in it.
+function cityForTimeZone(timeZone) {
+  if (!timeZone) return null;
+  timeZone = TIME_ZONE_ALIASES[timeZone] || timeZone;
+  const zoneCity = timeZone.split('/').pop().replace(/_/g, ' ');
+  const inZone = CITIES.filter(city => city[4] === timeZone);
+  return inZone.find(city => city[0] === zoneCity) || inZone[0] || null;
+}
@@ -10,101 +10,34 @@
   const OVERLAY_ID    = 'chrometones-overlay';
   const HTMLFILTER_ID = 'chrometones-html-filter'; // single tag owns ALL html { filter } rules
   const CB_SVG_ID     = 'chrometones-cb-svg';
-  const CB_FILTER_ID  = 'chrometones-cb-filter';
-
-  // ── Color Blindness Daltonization ──────────────────────────────
-  // Simulation matrices from Viénot, Brettel & Mollon (1999).
-  // Each is a 3×3 that maps original RGB → what the deficient eye perceives.
-  const CB_SIM = {
-    protanopia: [
-      0.152286,  1.052583, -0.204868,
-      0.114503,  0.786281,  0.099216,
-     -0.003882, -0.048116,  1.051998
-    ],
-    deuteranopia: [
-      0.367322,  0.860646, -0.227968,
-      0.280085,  0.672501,  0.047413,
-     -0.011820,  0.042940,  0.968881
-    ],
-    tritanopia: [
-      1.255528, -0.076749, -0.178779,
-     -0.078411,  0.930809,  0.147602,
-      0.004733,  0.691367,  0.303900
-    ]
-  };
+  const KELVIN_SVG_ID = 'chrometones-kelvin-svg';
+  const DIM_SVG_ID    = 'chrometones-dim-svg';
+  const TOAST_ID      = 'chrometones-toast';
+  const SPLIT_ID      = 'chrometones-split';
 
-  // Error redistribution matrices (Daltonize algorithm).
-  // Shifts the "error" (colors the user can't see) into channels they CAN perceive.
-  const CB_ERR_SHIFT = {
-    protanopia: [
-      0,   0, 0,
-      0.7, 0, 0,
-      0.7, 0, 0
-    ],
-    deuteranopia: [
-      0, 0.7, 0,
-      0, 0,   0,
-      0, 0.7, 0
-    ],
-    tritanopia: [
-      0, 0, 0.7,
-      0, 0, 0.7,
-      0, 0, 0
-    ]
-  };
+  // All filter math lives in filter-engine.js (loaded before us); this file owns the DOM
+  const {
+    CB_FILTER_ID, KELVIN_FILTER_ID, DIM_FILTER_ID, NEUTRAL_KELVIN, NEUTRAL_DIM,
+    computeCBMatrix, computeKelvinMatrix, appendFilter, relativeLuminance
+  } = FilterEngine;
 
-  // Identity 3×3
-  const I3 = [1,0,0, 0,1,0, 0,0,1];
-
-  // 3×3 matrix multiply
-  function mul3(A, B) {
-    const R = new Array(9);
-    for (let r = 0; r < 3; r++)
-      for (let c = 0; c < 3; c++)
-        R[r * 3 + c] = A[r * 3] * B[c] + A[r * 3 + 1] * B[3 + c] + A[r * 3 + 2] * B[6 + c];
-    return R;
-  }
-
-  // Compute the feColorMatrix "values" string for a given type and severity (0–1).
-  // Algorithm: result = original + severity * errShift * (original - simulated)
-  // Collapsed: M = I + severity * errShift * (I - sim)
-  function computeCBMatrix(type, severity) {
-    const sim  = CB_SIM[type]  || CB_SIM.deuteranopia;
-    const es   = CB_ERR_SHIFT[type] || CB_ERR_SHIFT.deuteranopia;
-
-    // diff = I - sim
-    const diff = I3.map((v, i) => v - sim[i]);
-    // correction = errShift × diff
-    const corr = mul3(es, diff);
-    // combined = I + severity × correction
-    const M = I3.map((v, i) => v + severity * corr[i]);
-
-    // Expand 3×3 to 5×4 feColorMatrix (row-major, last row is alpha pass-through)
-    const f = (v) => v.toFixed(6);
-    return [
-      f(M[0]), f(M[1]), f(M[2]), '0', '0',
-      f(M[3]), f(M[4]), f(M[5]), '0', '0',
-      f(M[6]), f(M[7]), f(M[8]), '0', '0',
-      '0',     '0',     '0',     '1', '0'
-    ].join(' ');
-  }
-
-  // Inject or retrieve the inline SVG that hosts the feColorMatrix filter.
-  function ensureCBSvg() {
-    let svg = document.getElementById(CB_SVG_ID);
+  // ── SVG Matrix Filters (color blindness, Kelvin) ───────────────
+  // Inject or retrieve an inline SVG that hosts a single feColorMatrix filter.
+  function ensureMatrixSvg(svgId, filterId, initialValues) {
+    let svg = document.getElementById(svgId);
     if (!svg) {
       const NS = 'http://www.w3.org/2000/svg';
       svg = document.createElementNS(NS, 'svg');
-      svg.id = CB_SVG_ID;
+      svg.id = svgId;
       svg.setAttribute('style', 'position:absolute;width:0;height:0;pointer-events:none');
 
       const filter = document.createElementNS(NS, 'filter');
-      filter.id = CB_FILTER_ID;
+      filter.id = filterId;
       filter.setAttribute('color-interpolation-filters', 'sRGB');
 
       const matrix = document.createElementNS(NS, 'feColorMatrix');
       matrix.setAttribute('type', 'matrix');
-      matrix.setAttribute('values', computeCBMatrix('deuteranopia', 0));
+      matrix.setAttribute('values', initialValues);
 
       filter.appendChild(matrix);
       svg.appendChild(filter);
@@ -113,167 +46,693 @@
     return svg.querySelector('feColorMatrix');
   }
 
+  function ensureCBSvg() {
+    return ensureMatrixSvg(CB_SVG_ID, CB_FILTER_ID, computeCBMatrix('deuteranopia', 0));
+  }
+
   function removeCBSvg() {
     const svg = document.getElementById(CB_SVG_ID);
     if (svg) svg.remove();
   }
 
-  let _cbType = 'deuteranopia';
+  // ── Simulation Split View ──────────────────────────────────────
+  // Original on the left, simulated on the right: the right half's backdrop goes
+  // through the same SVG filter the full-page simulation uses. Clicks pass through.
+  function simulationLabel(type) {
+    const name = (type || 'deuteranopia').replace(/-/g, ' ');
+    return `Simulated: ${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+  }
 
-  // ── Scientific CSS Filter Keyframes ──────────────────────────────
-  // Values at intensity levels 0, 20, 40, 60, 80, 100%.
-  // Sleep Prep:  targets melanopsin peak at ~480nm (Brainard et al. 2001).
-  // Eye Strain:  reduces the LED ~450nm phosphor spike (Sheedy et al. 2003).
-  // Reader Mode: mimics warm paper reflectance for contrast relief (Legge & Bigelow 2011).
-  //
-  // All three modes share the same 4-function signature sepia/saturate/brightness/contrast
-  // so CSS can smoothly interpolate between any two of them.
-  const FILTER_KEYFRAMES = {
-    'sleep-prep': {
-        0: { sepia: 0,    saturate: 1.00, brightness: 1.00, contrast: 1.00 },
-       20: { sepia: 0.30, saturate: 1.50, brightness: 0.98, contrast: 1.00 },
-       40: { sepia: 0.55, saturate: 2.00, brightness: 0.95, contrast: 1.00 },
-       60: { sepia: 0.75, saturate: 2.50, brightness: 0.92, contrast: 1.00 },
-       80: { sepia: 0.90, saturate: 3.00, brightness: 0.90, contrast: 1.00 },
-      100: { sepia: 1.00, saturate: 3.50, brightness: 0.88, contrast: 1.00 }
-    },
-    'reduce-eye-strain': {
-        0: { sepia: 0,    saturate: 1.00, brightness: 1.00, contrast: 1.00 },
-       20: { sepia: 0.08, saturate: 1.05, brightness: 0.99, contrast: 0.99 },
-       40: { sepia: 0.15, saturate: 1.10, brightness: 0.98, contrast: 0.98 },
-       60: { sepia: 0.22, saturate: 1.15, brightness: 0.97, contrast: 0.97 },
-       80: { sepia: 0.28, saturate: 1.20, brightness: 0.97, contrast: 0.97 },
-      100: { sepia: 0.35, saturate: 1.30, brightness: 0.96, contrast: 0.96 }
-    },
-    'reader-mode': {
-        0: { sepia: 0,    saturate: 1.00, brightness: 1.00, contrast: 1.00 },
-       20: { sepia: 0.15, saturate: 0.95, brightness: 0.97, contrast: 0.97 },
-       40: { sepia: 0.30, saturate: 0.90, brightness: 0.94, contrast: 0.93 },
-       60: { sepia: 0.45, saturate: 0.85, brightness: 0.90, contrast: 0.90 },
-       80: { sepia: 0.55, saturate: 0.82, brightness: 0.87, contrast: 0.87 },
-      100: { sepia: 0.65, saturate: 0.80, brightness: 0.85, contrast: 0.85 }
+  function applySplitView(layer) {
+    let el = document.getElementById(SPLIT_ID);
+    if (!layer || !layer.split) {
+      if (el) el.remove();
+      return;
     }
-  };
+    if (!el) {
+      el = document.createElement('div');
+      el.id = SPLIT_ID;
+      el.style.cssText = `
+        position: fixed; top: 0; right: 0; bottom: 0; width: 50%;
+        backdrop-filter: url(#${CB_FILTER_ID});
+        border-left: 2px solid #f5a623;
+        pointer-events: none;
+        z-index: 2147483646;
+      `;
+      const label = document.createElement('div');
+      label.style.cssText = `
+        position: absolute; top: 12px; left: 12px;
+        padding: 4px 10px;
+        background: rgba(15, 17, 23, 0.85);
+        color: #f5a623;
+        font: 600 12px -apple-system, 'Segoe UI', sans-serif;
+        border-radius: 6px;
+      `;
+      el.appendChild(label);
+      (document.documentElement || document.body).appendChild(el);
+    }
+    el.firstChild.textContent = simulationLabel(_lastFilterData && _lastFilterData.colorblindType);
+  }
 
-  // Darkmode-compatible keyframes for combine mode.
-  // Approximates darkmode's visual effect (heavy dimming + slight warmth) using the same
-  // 4-function signature so it can be mathematically merged with scientific filters.
-  // Standalone darkmode (invert+hue-rotate) is unchanged; this is only used in combine mode.
-  const DARKMODE_COMPAT_KEYFRAMES = {
-      0: { sepia: 0,    saturate: 1.00, brightness: 1.00, contrast: 1.00 },
-     20: { sepia: 0.02, saturate: 0.95, brightness: 0.80, contrast: 1.05 },
-     40: { sepia: 0.05, saturate: 0.90, brightness: 0.60, contrast: 1.10 },
-     60: { sepia: 0.08, saturate: 0.85, brightness: 0.45, contrast: 1.15 },
-     80: { sepia: 0.10, saturate: 0.80, brightness: 0.30, contrast: 1.20 },
-    100: { sepia: 0.12, saturate: 0.75, brightness: 0.20, contrast: 1.25 }
-  };
+  // ── Color Temperature (Kelvin engine) ──────────────────────────
+  // Alternative to the amber overlay for Blue Light mode: an feColorMatrix that shifts
+  // the white point, appended to the end of whatever html filter chain is active.
+  const KELVIN_FADE_MS = 2000;
+
+  let _kelvinAttached   = false;     // url(#kelvin) is part of the html filter chain
+  let _kelvinShown      = NEUTRAL_KELVIN;
+  let _kelvinFrame      = null;
+
+  function ensureKelvinSvg() {
+    return ensureMatrixSvg(KELVIN_SVG_ID, KELVIN_FILTER_ID, computeKelvinMatrix(_kelvinShown));
+  }
+
+  // Matrix values can't be CSS-transitioned, so tween them (in mireds) instead
+  function fadeKelvinTo(kelvin, done) {
+    cancelAnimationFrame(_kelvinFrame);
+    const from = 1e6 / _kelvinShown;
+    const to = 1e6 / kelvin;
+    const start = performance.now();
+    const step = (now) => {
+      const t = Math.min(1, (now - start) / KELVIN_FADE_MS);
+      _kelvinShown = 1e6 / (from + (to - from) * t);
+      ensureKelvinSvg().setAttribute('values', computeKelvinMatrix(_kelvinShown));
+      if (t < 1) {
+        _kelvinFrame = requestAnimationFrame(step);
+      } else {
+        _kelvinFrame = null;
+        if (done) done();
+      }
+    };
+    _kelvinFrame = requestAnimationFrame(step);
+  }
+
+  // `kelvin` is the temperature to show, or null to fade back out
+  function applyKelvin(kelvin) {
+    if (kelvin) {
+      if (!_kelvinAttached) {
+        ensureKelvinSvg();
+        _kelvinAttached = true;
+        refreshHtmlFilter();
+      }
+      fadeKelvinTo(kelvin);
+    } else if (_kelvinAttached) {
+      // Fade back to neutral before dropping the filter so nothing snaps
+      fadeKelvinTo(NEUTRAL_KELVIN, () => {
+        _kelvinAttached = false;
+        refreshHtmlFilter();
+        const svg = document.getElementById(KELVIN_SVG_ID);
+        if (svg) svg.remove();
+      });
+    }
+  }
+
+  // ── Dim (feComponentTransfer) ──────────────────────────────────
+  // Darkens everything the html filter chain shows, warmth included. Like the Kelvin
+  // matrix, the transfer values can't be CSS-transitioned, so they're tweened here.
+  const DIM_FADE_MS = 2000;
+
+  let _dimAttached = false;          // url(#dim) is the last function in the html filter chain
+  let _dimShown    = NEUTRAL_DIM;
+  let _dimFrame    = null;
+
+  function ensureDimSvg() {
+    let svg = document.getElementById(DIM_SVG_ID);
+    if (!svg) {
+      const NS = 'http://www.w3.org/2000/svg';
+      svg = document.createElementNS(NS, 'svg');
+      svg.id = DIM_SVG_ID;
+      svg.setAttribute('style', 'position:absolute;width:0;height:0;pointer-events:none');
 
-  const FILTER_STOPS = [0, 20, 40, 60, 80, 100];
+      const filter = document.createElementNS(NS, 'filter');
+      filter.id = DIM_FILTER_ID;
+      filter.setAttribute('color-interpolation-filters', 'sRGB');
+
+      const transfer = document.createElementNS(NS, 'feComponentTransfer');
+      ['feFuncR', 'feFuncG', 'feFuncB'].forEach((name) => {
+        const func = document.createElementNS(NS, name);
+        func.setAttribute('type', 'gamma');
+        transfer.appendChild(func);
+      });
 
-  function lerpObj(a, b, t) {
-    const out = {};
-    for (const k of Object.keys(a)) out[k] = a[k] + (b[k] - a[k]) * t;
-    return out;
+      filter.appendChild(transfer);
+      svg.appendChild(filter);
+      (document.documentElement || document.body).appendChild(svg);
+    }
+    return svg;
+  }
+
+  function showDim(transfer) {
+    _dimShown = transfer;
+    const funcs = ensureDimSvg().querySelector('filter').firstChild.children;
+    for (const func of funcs) {
+      func.setAttribute('amplitude', transfer.amplitude);
+      func.setAttribute('exponent', transfer.exponent);
+      func.setAttribute('offset', transfer.offset);
+    }
+  }
+
+  function fadeDimTo(target, done) {
+    cancelAnimationFrame(_dimFrame);
+    const from = _dimShown;
+    const start = performance.now();
+    const step = (now) => {
+      const t = Math.min(1, (now - start) / DIM_FADE_MS);
+      showDim({
+        amplitude: from.amplitude + (target.amplitude - from.amplitude) * t,
+        exponent:  from.exponent + (target.exponent - from.exponent) * t,
+        offset:    from.offset + (target.offset - from.offset) * t
+      });
+      if (t < 1) {
+        _dimFrame = requestAnimationFrame(step);
+      } else {
+        _dimFrame = null;
+        if (done) done();
+      }
+    };
+    _dimFrame = requestAnimationFrame(step);
   }
 
-  function computeFilterCSS(mode, intensity) {
-    const frames = FILTER_KEYFRAMES[mode];
-    if (!frames) return '';
-    const clamped = Math.max(0, Math.min(100, intensity));
-    let lo = 0, hi = 20;
-    for (let i = 0; i < FILTER_STOPS.length - 1; i++) {
-      if (clamped >= FILTER_STOPS[i] && clamped <= FILTER_STOPS[i + 1]) {
-        lo = FILTER_STOPS[i]; hi = FILTER_STOPS[i + 1]; break;
+  // `transfer` is FilterEngine.render's layers.dim, or null to fade back out
+  function applyDim(transfer) {
+    if (transfer) {
+      if (!_dimAttached) {
+        showDim(_dimShown);
+        _dimAttached = true;
+        refreshHtmlFilter();
       }
+      fadeDimTo(transfer);
+    } else if (_dimAttached) {
+      fadeDimTo(NEUTRAL_DIM, () => {
+        _dimAttached = false;
+        refreshHtmlFilter();
+        const svg = document.getElementById(DIM_SVG_ID);
+        if (svg) svg.remove();
+      });
     }
-    const t = hi === lo ? 1 : (clamped - lo) / (hi - lo);
-    const p = lerpObj(frames[lo], frames[hi], t);
-    const f = (v) => v.toFixed(3);
-    return `sepia(${f(p.sepia)}) saturate(${f(p.saturate)}) brightness(${f(p.brightness)}) contrast(${f(p.contrast)})`;
-  }
-
-  // Return raw {sepia, saturate, brightness, contrast} values for a mode at a given intensity.
-  // Uses DARKMODE_COMPAT_KEYFRAMES when mode === 'darkmode' so it can merge with scientific filters.
-  function computeFilterValues(mode, intensity) {
-    const frames = (mode === 'darkmode') ? DARKMODE_COMPAT_KEYFRAMES : FILTER_KEYFRAMES[mode];
-    if (!frames) return null;
-    const clamped = Math.max(0, Math.min(100, intensity));
-    let lo = 0, hi = 20;
-    for (let i = 0; i < FILTER_STOPS.length - 1; i++) {
-      if (clamped >= FILTER_STOPS[i] && clamped <= FILTER_STOPS[i + 1]) {
-        lo = FILTER_STOPS[i]; hi = FILTER_STOPS[i + 1]; break;
+  }
+
+  // Every html { filter } write goes through this so the warmth and the dimming stay at
+  // the end of the chain, in that order
+  function withSvgFilters(filter) {
+    const warmed = _kelvinAttached ? appendFilter(filter, `url(#${KELVIN_FILTER_ID})`) : filter;
+    return _dimAttached ? appendFilter(warmed, `url(#${DIM_FILTER_ID})`) : warmed;
+  }
+
+  // ── Native Dark Theme Detection ───────────────────────────────────
+  // Sites like GitHub dark or YouTube are already dark; inverting them makes them bright.
+  // Before the body exists only the page's declared color scheme is known, so the verdict
+  // is refined once the DOM is ready by sampling the computed background and text colors.
+  const DARK_BG_LUMINANCE = 0.2; // WCAG relative luminance; #767676 ≈ 0.18
+
+  let _respectNativeDark = true;
+  let _nativeDark        = null;  // cached verdict, cleared when the page may have changed
+  let _darkModeAction    = null;  // 'inverted' | 'dimmed' | null — reported to the popup
+
+  function parseRGBA(css) {
+    const m = /rgba?\(([^)]+)\)/.exec(css || '');
+    if (!m) return null;
+    const [r, g, b, a = 1] = m[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    return { r, g, b, a };
+  }
+
+  // Walk up from an element until something actually paints a background.
+  function effectiveBackground(el) {
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const bg = parseRGBA(getComputedStyle(node).backgroundColor);
+      if (bg && bg.a >= 0.5) return bg;
+    }
+    return null;
+  }
+
+  function readDeclaredColorScheme() {
+    const meta = document.querySelector('meta[name="color-scheme"]');
+    const declared = (meta && meta.content) ||
+      (document.documentElement && getComputedStyle(document.documentElement).colorScheme) || '';
+    return declared.toLowerCase();
+  }
+
+  // True when any readable stylesheet has a prefers-color-scheme: dark block.
+  // Cross-origin sheets throw on cssRules access and are skipped.
+  function hasPrefersDarkRules() {
+    for (const sheet of Array.from(document.styleSheets)) {
+      let rules;
+      try { rules = sheet.cssRules; } catch (e) { continue; }
+      for (const rule of Array.from(rules || [])) {
+        if (rule.conditionText && /prefers-color-scheme:\s*dark/.test(rule.conditionText)) return true;
       }
     }
-    const t = hi === lo ? 1 : (clamped - lo) / (hi - lo);
-    return lerpObj(frames[lo], frames[hi], t);
+    return false;
   }
 
-  // ── Combined filter application ──────────────────────────────────
-  // Applies two filters simultaneously based on a blend ratio.
-  // intensityA = overall intensity * (1 - ratio), intensityB = overall intensity * ratio.
-  function applyCombinedFilter(data) {
-    const { intensity, combineFilter1, combineFilter2, combineRatio } = data;
-    const ratio = combineRatio ?? 0.5;
-    const intensityA = intensity * (1 - ratio);
-    const intensityB = intensity * ratio;
+  function detectNativeDarkTheme() {
+    const colorScheme       = readDeclaredColorScheme();
+    const prefersDark       = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    const supportsDarkQuery = hasPrefersDarkRules();
+    const result = {
+      isDark: false,
+      reason: 'light',
+      backgroundLuminance: null,
+      textLuminance: null,
+      colorScheme,
+      supportsDarkQuery,
+      prefersDark
+    };
 
-    const f1 = combineFilter1 || 'bluelight';
-    const f2 = combineFilter2 || 'darkmode';
-    const isBluelightA = (f1 === 'bluelight');
-    const isBluelightB = (f2 === 'bluelight');
+    if (document.body) {
+      // Sample what is actually on screen, not just <body> — many apps paint a full-page wrapper
+      const points = [[0.5, 0.5], [0.25, 0.25], [0.75, 0.25], [0.25, 0.75], [0.75, 0.75]];
+      const lums = [];
+      for (const [x, y] of points) {
+        const el = document.elementFromPoint(window.innerWidth * x, window.innerHeight * y);
+        const bg = el && effectiveBackground(el);
+        if (bg) lums.push(relativeLuminance(bg));
+      }
+      const bodyBg = effectiveBackground(document.body);
+      if (bodyBg) lums.push(relativeLuminance(bodyBg));
+
+      if (lums.length) {
+        lums.sort((a, b) => a - b);
+        result.backgroundLuminance = lums[Math.floor(lums.length / 2)];
+        const text = parseRGBA(getComputedStyle(document.body).color);
+        result.textLuminance = text ? relativeLuminance(text) : null;
+        result.isDark = result.backgroundLuminance < DARK_BG_LUMINANCE &&
+          (result.textLuminance === null || result.textLuminance > result.backgroundLuminance);
+        result.reason = result.isDark ? 'dark-background' : 'light';
+        return result;
+      }
+    }
 
-    // Case 1: bluelight + html-filter — overlay div + style tag coexist naturally
-    if (isBluelightA && !isBluelightB) {
-      applyBlueLight(intensityA);
-      applyHtmlFilter(f2, intensityB);
+    // Nothing painted yet (document_start): fall back to the declared scheme
+    const schemes = colorScheme.split(/\s+/);
+    if (schemes.includes('dark') && (!schemes.includes('light') || prefersDark)) {
+      result.isDark = true;
+      result.reason = 'color-scheme';
+    } else if (supportsDarkQuery && prefersDark) {
+      result.isDark = true;
+      result.reason = 'prefers-color-scheme';
+    }
+    return result;
+  }
+
+  function getNativeDarkTheme() {
+    // Smart dark mode rewrites computed colors, so judge the page with it switched off
+    if (!_nativeDark) _nativeDark = withSmartSheetDisabled(detectNativeDarkTheme);
+    return _nativeDark;
+  }
+
+  // Detection samples the page and walks every stylesheet, so it only runs when the
+  // filter has a dark layer that would be inverted or dimmed because of it.
+  function needsNativeDark(data) {
+    return !IS_CHILD_FRAME && _respectNativeDark && FilterEngine.hasDarkLayer(data);
+  }
+
+  // Re-check once the page has painted (and on OS theme flips); re-apply if the verdict changed.
+  function refreshNativeDarkTheme() {
+    const before = _nativeDark;
+    _nativeDark = null;
+    if (!_lastFilterData || !needsNativeDark(_lastFilterData)) return;
+    if (!before || getNativeDarkTheme().isDark !== before.isDark) {
+      updateFilter(_lastFilterData);
+    }
+  }
+
+  // ── Smart Dark Mode (non-inverting) ───────────────────────────────
+  // Instead of filtering <html>, remap each element's own background, text and border
+  // colors into a dark palette and write them as !important overrides. Images, video,
+  // gradients, iframes and emoji are never touched, so nothing needs counter-inverting.
+  //
+  // Elements are tagged data-ct-bg / data-ct-fg / data-ct-bd = <color index>, with one
+  // rule per distinct original color, so the sheet stays small and an intensity change
+  // only rewrites the rules instead of walking the DOM again.
+  const SMART_DARK_ID  = 'chrometones-smart-dark';
+  const SMART_ATTRS    = { bg: 'data-ct-bg', fg: 'data-ct-fg', bd: 'data-ct-bd' };
+  const SMART_PROPS    = { bg: 'background-color', fg: 'color', bd: 'border-color' };
+  const SMART_SKIP     = new Set(['HEAD', 'SCRIPT', 'STYLE', 'LINK', 'META', 'TITLE', 'NOSCRIPT',
+                                  'IMG', 'PICTURE', 'VIDEO', 'CANVAS', 'IFRAME', 'OBJECT', 'EMBED']);
+  const SMART_BATCH_MS = 12;
+
+  // Target lightness (HSL) per color role at full intensity. Light backgrounds and borders
+  // sink into 0.07–0.30, dark text rises into 0.70–0.93; already-suitable colors are kept.
+  const SMART_TARGETS = {
+    bg: (l) => l <= 0.3 ? l : 0.07 + (1 - l) * 0.33,
+    fg: (l) => l >= 0.7 ? l : 0.93 - l * 0.33,
+    bd: (l) => l <= 0.3 ? l : 0.15 + (1 - l) * 0.3
+  };
+
+  let _smartIntensity  = 0;
+  let _smartAction     = null;  // 'remapped' | 'skipped' | null — reported like _darkModeAction
+  let _smartColors     = { bg: [], fg: [], bd: [] };                        // index → original rgba
+  let _smartColorIndex = { bg: new Map(), fg: new Map(), bd: new Map() };   // rgba key → index
+  let _smartQueue      = [];
+  let _smartScheduled  = false;
+  let _smartObserver   = null;
+
+  const SMART_OBSERVE = { childList: true, subtree: true, attributes: true, attributeFilter: ['class', 'style'] };
+
+  function rgbToHsl({ r, g, b }) {
+    r /= 255; g /= 255; b /= 255;
+    const max = Math.max(r, g, b), min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    if (max === min) return { h: 0, s: 0, l };
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === r)      h = (g - b) / d + (g < b ? 6 : 0);
+    else if (max === g) h = (b - r) / d + 2;
+    else                h = (r - g) / d + 4;
+    return { h: h / 6, s, l };
+  }
+
+  function hslToRgb(h, s, l) {
+    if (s === 0) {
+      const v = Math.round(l * 255);
+      return { r: v, g: v, b: v };
+    }
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const hue = (t) => {
+      if (t < 0) t += 1;
+      if (t > 1) t -= 1;
+      if (t < 1 / 6) return p + (q - p) * 6 * t;
+      if (t < 1 / 2) return q;
+      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+      return p;
+    };
+    return {
+      r: Math.round(hue(h + 1 / 3) * 255),
+      g: Math.round(hue(h) * 255),
+      b: Math.round(hue(h - 1 / 3) * 255)
+    };
+  }
+
+  function remapColor(kind, rgba, n) {
+    const { h, s, l } = rgbToHsl(rgba);
+    const target = SMART_TARGETS[kind](l);
+    const { r, g, b } = hslToRgb(h, s, l + (target - l) * n);
+    return `rgba(${r}, ${g}, ${b}, ${rgba.a})`;
+  }
+
+  function getSmartStyle() {
+    let style = document.getElementById(SMART_DARK_ID);
+    if (!style) {
+      style = document.createElement('style');
+      style.id = SMART_DARK_ID;
+      (document.head || document.documentElement).appendChild(style);
+    }
+    return style;
+  }
+
+  // Run fn against the page's own colors, with our overrides briefly out of the cascade
+  // (including the copies inside shadow roots).
+  function withSmartSheetDisabled(fn) {
+    const sheets = [document.getElementById(SMART_DARK_ID)]
+      .concat(Array.from(_shadowRoots, (root) => root.getElementById(SHADOW_STYLE_ID)))
+      .filter((style) => style && style.sheet)
+      .map((style) => style.sheet);
+    if (!sheets.length) return fn();
+    sheets.forEach((sheet) => { sheet.disabled = true; });
+    try {
+      return fn();
+    } finally {
+      sheets.forEach((sheet) => { sheet.disabled = false; });
+    }
+  }
+
+  function smartColorId(kind, rgba) {
+    const key = `${rgba.r},${rgba.g},${rgba.b},${rgba.a}`;
+    let id = _smartColorIndex[kind].get(key);
+    if (id === undefined) {
+      id = _smartColors[kind].length;
+      _smartColors[kind].push(rgba);
+      _smartColorIndex[kind].set(key, id);
+    }
+    return id;
+  }
+
+  function readSmartColors(el) {
+    const cs = getComputedStyle(el);
+    const tags = {};
+    const bg = parseRGBA(cs.backgroundColor);
+    if (bg && bg.a > 0) tags.bg = smartColorId('bg', bg);
+    const fg = parseRGBA(cs.color);
+    if (fg) tags.fg = smartColorId('fg', fg);
+    if (parseFloat(cs.borderTopWidth) || parseFloat(cs.borderRightWidth) ||
+        parseFloat(cs.borderBottomWidth) || parseFloat(cs.borderLeftWidth)) {
+      const bd = parseRGBA(cs.borderTopColor);
+      if (bd && bd.a > 0) tags.bd = smartColorId('bd', bd);
+    }
+    return tags;
+  }
+
+  function writeSmartTags(el, tags) {
+    for (const kind of Object.keys(SMART_ATTRS)) {
+      if (tags[kind] === undefined) el.removeAttribute(SMART_ATTRS[kind]);
+      else el.setAttribute(SMART_ATTRS[kind], tags[kind]);
+    }
+  }
+
+  function renderSmartSheet() {
+    const n = _smartIntensity / 100;
+    const white = { r: 255, g: 255, b: 255, a: 1 };
+    const black = { r: 0, g: 0, b: 0, a: 1 };
+    // Pages that paint no background of their own still show a white canvas
+    const rules = [];
+    for (const kind of Object.keys(SMART_ATTRS)) {
+      _smartColors[kind].forEach((rgba, i) => {
+        rules.push(`[${SMART_ATTRS[kind]}="${i}"] { ${SMART_PROPS[kind]}: ${remapColor(kind, rgba, n)} !important; }`);
+      });
+    }
+    const root =
+      `html { background-color: ${remapColor('bg', white, n)} !important; color: ${remapColor('fg', black, n)} !important;` +
+      `${n >= 0.5 ? ' color-scheme: dark !important;' : ''} }`;
+    getSmartStyle().textContent = [root, ...rules].join('\n');
+    setShadowCSS('smart', rules.join('\n'));
+  }
+
+  // root is an element or an open ShadowRoot
+  function queueSmartSubtree(root) {
+    if (!root || (root.nodeType !== 1 && root.nodeType !== 11)) return;
+    if (root.nodeType === 1) _smartQueue.push(root);
+    _smartQueue.push(...root.querySelectorAll('*'));
+    if (!_smartScheduled) {
+      _smartScheduled = true;
+      setTimeout(processSmartQueue, 0);
+    }
+  }
+
+  // Work in small time slices so large pages never block the main thread for long.
+  function processSmartQueue() {
+    _smartScheduled = false;
+    if (_smartIntensity <= 0) { _smartQueue = []; return; }
+
+    const colorsBefore = _smartColors.bg.length + _smartColors.fg.length + _smartColors.bd.length;
+    const deadline = performance.now() + SMART_BATCH_MS;
+    while (_smartQueue.length && performance.now() < deadline) {
+      const batch = _smartQueue.splice(0, 200).filter((el) =>
+        el.isConnected && !SMART_SKIP.has(el.tagName) && el.id !== OVERLAY_ID && el.id !== CB_SVG_ID && el.id !== KELVIN_SVG_ID);
+      // Read the whole batch first, then write, so the page restyles once per batch
+      const tags = withSmartSheetDisabled(() => batch.map(readSmartColors));
+      batch.forEach((el, i) => writeSmartTags(el, tags[i]));
+    }
+
+    if (_smartColors.bg.length + _smartColors.fg.length + _smartColors.bd.length !== colorsBefore) {
+      renderSmartSheet();
+    }
+    if (_smartQueue.length) {
+      _smartScheduled = true;
+      setTimeout(processSmartQueue, 0);
+    }
+  }
+
+  function startSmartObserver() {
+    _smartObserver = new MutationObserver((mutations) => {
+      for (const m of mutations) {
+        if (m.type === 'childList') {
+          m.addedNodes.forEach((node) => queueSmartSubtree(node));
+        } else if (m.target === document.documentElement || m.target === document.body) {
+          // Theme switches usually flip a class on <html>/<body> — recolor everything
+          queueSmartSubtree(document.documentElement);
+        } else {
+          queueSmartSubtree(m.target);
+        }
+      }
+    });
+    _smartObserver.observe(document.documentElement, SMART_OBSERVE);
+    _shadowRoots.forEach((root) => {
+      _smartObserver.observe(root, SMART_OBSERVE);
+      queueSmartSubtree(root);
+    });
+  }
+
+  function stopSmartDark() {
+    if (_smartObserver) { _smartObserver.disconnect(); _smartObserver = null; }
+    _smartQueue = [];
+    _smartIntensity = 0;
+    _smartAction = null;
+    const style = document.getElementById(SMART_DARK_ID);
+    if (style) style.remove();
+    setShadowCSS('smart', '');
+    const selector = Object.values(SMART_ATTRS).map((a) => `[${a}]`).join(',');
+    for (const root of [document, ..._shadowRoots]) {
+      root.querySelectorAll(selector).forEach((el) => writeSmartTags(el, {}));
+    }
+    _smartColors     = { bg: [], fg: [], bd: [] };
+    _smartColorIndex = { bg: new Map(), fg: new Map(), bd: new Map() };
+  }
+
+  function applySmartDark(intensity) {
+    if (intensity <= 0) {
+      if (_smartObserver || _smartIntensity > 0) stopSmartDark();
       return;
     }
-    if (isBluelightB && !isBluelightA) {
-      applyBlueLight(intensityB);
-      applyHtmlFilter(f1, intensityA);
+    if (_respectNativeDark && getNativeDarkTheme().isDark) {
+      stopSmartDark();
+      _smartAction = 'skipped';
       return;
     }
 
-    // Case 2: bluelight + bluelight (shouldn't happen, but handle gracefully)
-    if (isBluelightA && isBluelightB) {
-      applyBlueLight(intensity);
-      applyHtmlFilter(null, 0);
+    _smartAction = 'remapped';
+    _smartIntensity = intensity;
+    if (!_smartObserver) {
+      startSmartObserver();
+      queueSmartSubtree(document.documentElement);
+    }
+    renderSmartSheet();
+  }
+
+  // ── Open Shadow Roots ─────────────────────────────────────────────
+  // The html filter and the overlay already render over shadow content, but document
+  // stylesheets don't pierce shadow boundaries. Rules that target elements (media
+  // counter-inversion, smart recoloring) get a copy inside every open shadow root.
+  // Closed roots are unreachable by design and keep the page-level treatment only.
+  const SHADOW_STYLE_ID = 'chrometones-shadow-style';
+  const _shadowRoots    = new Set();
+  const _shadowCSS      = { invert: '', smart: '' };
+  let _shadowObserver   = null;
+
+  function writeShadowStyle(root) {
+    const css = _shadowCSS.invert + '\n' + _shadowCSS.smart;
+    let style = root.getElementById(SHADOW_STYLE_ID);
+    if (!css.trim()) {
+      if (style) style.remove();
       return;
     }
+    if (!style) {
+      style = document.createElement('style');
+      style.id = SHADOW_STYLE_ID;
+      root.appendChild(style);
+    }
+    style.textContent = css;
+  }
 
-    // Case 3: Two html-filter modes — mathematically merge into a single CSS chain.
-    // Both filters produce {sepia, saturate, brightness, contrast} values.
-    // Darkmode uses DARKMODE_COMPAT_KEYFRAMES for mergeability.
-    applyBlueLight(0);
+  function registerShadowRoots(scope) {
+    if (!scope || !scope.querySelectorAll) return;
+    const candidates = scope.nodeType === 1 ? [scope, ...scope.querySelectorAll('*')] : scope.querySelectorAll('*');
+    for (const el of candidates) {
+      const root = el.shadowRoot;
+      if (!root || _shadowRoots.has(root)) continue;
+      _shadowRoots.add(root);
+      writeShadowStyle(root);
+      _shadowObserver.observe(root, { childList: true, subtree: true });
+      if (_smartObserver) {
+        _smartObserver.observe(root, SMART_OBSERVE);
+        queueSmartSubtree(root);
+      }
+      registerShadowRoots(root);
+    }
+  }
 
-    const valsA = computeFilterValues(f1, intensityA);
-    const valsB = computeFilterValues(f2, intensityB);
+  // Shadow roots are only tracked while some rule actually needs copying into them.
+  function setShadowCSS(kind, css) {
+    if (_shadowCSS[kind] === css) return;
+    _shadowCSS[kind] = css;
+    const needed = !!(_shadowCSS.invert || _shadowCSS.smart);
 
-    if (!valsA && !valsB) { applyHtmlFilter(null, 0); return; }
-    if (!valsA) { applyHtmlFilter(f2, intensityB); return; }
-    if (!valsB) { applyHtmlFilter(f1, intensityA); return; }
+    if (needed && !_shadowObserver) {
+      _shadowObserver = new MutationObserver((mutations) => {
+        for (const m of mutations) m.addedNodes.forEach(registerShadowRoots);
+      });
+      _shadowObserver.observe(document.documentElement, { childList: true, subtree: true });
+      registerShadowRoots(document.documentElement);
+    }
+    _shadowRoots.forEach((root) => {
+      if (root.host && root.host.isConnected) writeShadowStyle(root);
+      else _shadowRoots.delete(root);
+    });
+    if (!needed && _shadowObserver) {
+      _shadowObserver.disconnect();
+      _shadowObserver = null;
+      _shadowRoots.clear();
+    }
+  }
 
-    // Merge: sepia is additive (neutral=0), brightness/saturate/contrast are multiplicative (neutral=1)
-    const merged = {};
-    for (const k of Object.keys(valsA)) {
-      if (k === 'sepia') {
-        merged[k] = Math.min(1, valsA[k] + valsB[k]);
-      } else {
-        merged[k] = valsA[k] * valsB[k];
-      }
+  // ── Frames ────────────────────────────────────────────────────────
+  // The manifest injects into every frame. The top frame owns the page-wide effects:
+  // its overlay and html filter already render over every iframe, so a child frame
+  // applying its own would stack a second layer. Child frames only do the per-document
+  // work their parent can't reach: smart recoloring of their own elements, and
+  // counter-inverting their own media while an ancestor frame is inverting.
+  //
+  // Whether an ancestor is inverting travels down the frame tree via postMessage,
+  // which works across origins; a freshly loaded frame asks its parent with 'hello'.
+  const IS_CHILD_FRAME   = window.top !== window;
+  const FRAME_MSG        = '__chrometones_frame';
+  const COUNTER_INVERT   = 'img, video, canvas, svg image, picture';
+  let _ancestorInverting = false;
+
+  function isInvertingHere() {
+    return IS_CHILD_FRAME ? _ancestorInverting : _darkModeAction === 'inverted';
+  }
+
+  function postFrameState(target) {
+    try {
+      target.postMessage({ [FRAME_MSG]: 'state', inverting: isInvertingHere() }, '*');
+    } catch (e) {
+      // Frame navigated away or detached
     }
+  }
 
-    const style = getHtmlFilterStyle();
-    if (_pendingTimeout !== null) { clearTimeout(_pendingTimeout); _pendingTimeout = null; }
-    _activeHtmlMode = 'combine';
-    removeCBSvg();
-    const f = (v) => v.toFixed(3);
-    style.textContent = `
-      html {
-        filter: sepia(${f(merged.sepia)}) saturate(${f(merged.saturate)}) brightness(${f(merged.brightness)}) contrast(${f(merged.contrast)}) !important;
-        transition: filter 0.8s ease !important;
-      }
-    `;
+  function broadcastFrameState() {
+    for (let i = 0; i < window.frames.length; i++) postFrameState(window.frames[i]);
+  }
+
+  function isChildWindow(source) {
+    for (let i = 0; i < window.frames.length; i++) {
+      if (window.frames[i] === source) return true;
+    }
+    return false;
+  }
+
+  // Child frames only: undo the ancestor's inversion on this document's own media.
+  function applyFrameCounterInversion() {
+    const css = _ancestorInverting ? `${COUNTER_INVERT} { filter: invert(100%) hue-rotate(180deg) !important; }` : '';
+    const existing = document.getElementById(HTMLFILTER_ID);
+    if (css || existing) getHtmlFilterStyle().textContent = css;
+    setShadowCSS('invert', css);
+  }
+
+  window.addEventListener('message', (event) => {
+    const data = event.data;
+    if (!data || !data[FRAME_MSG]) return;
+
+    if (data[FRAME_MSG] === 'hello' && isChildWindow(event.source)) {
+      postFrameState(event.source);
+    } else if (data[FRAME_MSG] === 'state' && IS_CHILD_FRAME && event.source === window.parent) {
+      if (_ancestorInverting === !!data.inverting) return;
+      _ancestorInverting = !!data.inverting;
+      applyFrameCounterInversion();
+      broadcastFrameState();
+    }
+  });
+
+  if (IS_CHILD_FRAME) {
+    window.parent.postMessage({ [FRAME_MSG]: 'hello' }, '*');
+  }
+
+  // Per-document part of a filter for a child frame (see Frames above).
+  function updateChildFrame(plan) {
+    applySmartDark(plan.layers.smartDark);
   }
 
   // ── Overlay (Blue Light mode) ─────────────────────────────────────
@@ -288,7 +747,7 @@
         pointer-events: none;
         z-index: 2147483647;
         mix-blend-mode: multiply;
-        transition: opacity 10s ease;
+        transition: opacity 10s ease, background-color 10s ease;
         opacity: 0;
       `;
       (document.documentElement || document.body).appendChild(el);
@@ -296,12 +755,15 @@
     return el;
   }
 
-  function applyBlueLight(intensity) {
+  // The overlay tints (or, under the Kelvin engine, only dims); the Kelvin warmth rides the html filter.
+  // `fade` replaces its 10s transition for a media pause.
+  function applyBlueLight({ overlayStyle, layers }, fade) {
+    applyKelvin(layers.kelvin);
     const overlay = createOverlay();
-    if (intensity <= 0) { overlay.style.opacity = '0'; return; }
-    const n = intensity / 100;
-    overlay.style.background = `rgba(255, ${Math.round(180 - n * 40)}, ${Math.round(60 - n * 50)}, ${0.08 + n * 0.22})`;
-    overlay.style.opacity = '1';
+    // Turning off keeps the old background so the opacity fade has something to fade
+    if (overlayStyle.background) overlay.style.background = overlayStyle.background;
+    overlay.style.transitionDuration = fade || '10s';
+    overlay.style.opacity = overlayStyle.opacity;
   }
 
   // ── Single HTML filter style tag ──────────────────────────────────
@@ -320,73 +782,37 @@
 
   // Track which mode is currently displayed so we can detect cross-type switches.
   let _activeHtmlMode  = null;
+  let _activeHtmlLayer = null;
   let _pendingTimeout  = null;
 
-  // Write the CSS for a given mode directly into the style tag (no transition logic here).
-  function _writeHtmlFilter(style, mode, intensity) {
-    if (intensity <= 0 || !mode) {
-      removeCBSvg();
-      style.textContent = `
-        html { filter: none !important; transition: filter 10s ease !important; }
-      `;
-      return;
-    }
-
-    if (mode === 'darkmode') {
-      removeCBSvg();
-      const preBrightness = Math.round((intensity / 100) * 93);
-      // brightness() BEFORE invert() controls darkness:
-      //   At 100%: brightness(93%) → white inverts to #121212 (OLED dark grey, no grey tint)
-      style.textContent = `
-        html {
-          filter: brightness(${preBrightness}%) invert(100%) hue-rotate(180deg) !important;
-          transition: filter 10s ease !important;
-        }
-        html img, html video, html canvas, html svg image, html picture {
-          filter: invert(100%) hue-rotate(180deg) !important;
-        }
-      `;
-      return;
-    }
-
-    if (FILTER_KEYFRAMES[mode]) {
-      removeCBSvg();
-      style.textContent = `
-        html {
-          filter: ${computeFilterCSS(mode, intensity)} !important;
-          transition: filter 10s ease !important;
-        }
-      `;
-      return;
-    }
+  // Write a layer from FilterEngine.computeHtmlLayer into the style tag (no transition logic here).
+  function _writeHtmlFilter(style, layer) {
+    _writeHtmlFilterCSS(style, layer);
+    // Keep shadow roots and child frames in step with whether we're inverting
+    setShadowCSS('invert', _darkModeAction === 'inverted'
+      ? `${COUNTER_INVERT} { filter: invert(100%) hue-rotate(180deg) !important; }`
+      : '');
+    broadcastFrameState();
+  }
 
-    if (mode === 'grayscale') {
+  function _writeHtmlFilterCSS(style, layer) {
+    _darkModeAction = layer.darkAction;
+    if (layer.matrix) {
+      ensureCBSvg().setAttribute('values', layer.matrix);
+    } else {
       removeCBSvg();
-      const amount = (intensity / 100).toFixed(3);
-      style.textContent = `
-        html {
-          filter: grayscale(${amount}) !important;
-          transition: filter 0.8s ease !important;
-        }
-      `;
-      return;
-    }
-
-    if (mode === 'colorblind') {
-      const matrix = ensureCBSvg();
-      matrix.setAttribute('values', computeCBMatrix(_cbType, intensity / 100));
-      style.textContent = `
-        html {
-          filter: url(#${CB_FILTER_ID}) !important;
-          transition: filter 0.8s ease !important;
-        }
-      `;
-      return;
     }
-
-    // Unknown mode fallback
+    applySplitView(layer);
+    // Dark mode inverts the whole page, so invert media back to keep photos natural
+    const counterInvert = layer.counterInvert ? `
+      html img, html video, html canvas, html svg image, html picture {
+        filter: invert(100%) hue-rotate(180deg) !important;
+      }` : '';
     style.textContent = `
-      html { filter: none !important; transition: filter 10s ease !important; }
+      html {
+        filter: ${withSvgFilters(layer.filter)} !important;
+        transition: filter ${layer.transition} ease !important;
+      }${counterInvert}
     `;
   }
 
@@ -402,8 +828,10 @@
   //
   // Dark → scientific uses a fast 0.3s step-1 to keep the image-inversion artifact brief.
   // Scientific → dark uses a 2s step-1 so the page eases to white before darkening.
-  function applyHtmlFilter(mode, intensity) {
+  // `fade` overrides the fade-out when turning off (a media pause).
+  function applyHtmlFilter(layer, fade) {
     const style = getHtmlFilterStyle();
+    const mode = layer ? layer.mode : null;
 
     // Cancel any in-flight deferred application.
     if (_pendingTimeout !== null) {
@@ -414,31 +842,37 @@
     const prev          = _activeHtmlMode;
     const isDark        = mode === 'darkmode';
     const wasDark       = prev === 'darkmode';
-    const isScientific  = !!FILTER_KEYFRAMES[mode];
-    const wasScientific = !!FILTER_KEYFRAMES[prev];
+    const isScientific  = FilterEngine.isKeyframeMode(mode);
+    const wasScientific = FilterEngine.isKeyframeMode(prev);
     const isGrayscale   = mode === 'grayscale';
     const wasGrayscale  = prev === 'grayscale';
-    const isColorblind  = mode === 'colorblind';
-    const wasColorblind = prev === 'colorblind';
+    // Correction and simulation both draw through the one color blindness SVG filter
+    const isColorblind  = mode === 'colorblind' || mode === 'cb-simulate';
+    const wasColorblind = prev === 'colorblind' || prev === 'cb-simulate';
     const wasCombine    = prev === 'combine';
     const isCrossType   = (isDark && wasScientific) || (isScientific && wasDark) ||
                           (isGrayscale && (wasDark || wasScientific)) ||
                           ((isDark || isScientific) && wasGrayscale) ||
-                          (isColorblind && prev !== null && prev !== 'colorblind') ||
-                          (wasColorblind && mode !== 'colorblind' && mode !== null) ||
+                          (isColorblind && prev !== null && !wasColorblind) ||
+                          (wasColorblind && !isColorblind && mode !== null) ||
                           (wasCombine && mode !== 'combine' && mode !== null) ||
                           (!wasCombine && prev !== null && mode === 'combine');
 
     // ── OFF: fade current filter out ─────────────────────────────────
-    if (intensity <= 0) {
+    if (!layer) {
       _activeHtmlMode = null;
+      _activeHtmlLayer = null;
+      _darkModeAction = null;
       // Dark mode off: use a moderate fade to gently reduce brightness;
       // longer feels gentler but the image-inversion artifact (no counter-inversion
       // rules) lasts for the full duration, so keep it under ~1–2s.
-      const dur = wasDark ? '3s' : '10s';
+      const dur = fade || (wasDark ? '3s' : '10s');
       style.textContent = `
-        html { filter: none !important; transition: filter ${dur} ease !important; }
+        html { filter: ${withSvgFilters('none')} !important; transition: filter ${dur} ease !important; }
       `;
+      applySplitView(null);
+      setShadowCSS('invert', '');
+      broadcastFrameState();
       return;
     }
 
@@ -446,19 +880,23 @@
     // Two-step: dissolve current filter to none first, then fade in the new one.
     if (isCrossType) {
       _activeHtmlMode = null;
+      _activeHtmlLayer = null;
       if (wasColorblind) removeCBSvg();
+      applySplitView(null);
 
       const fadeOutMs = wasDark ? 2000 : 2000;
       style.textContent = `
-        html { filter: none !important; transition: filter ${fadeOutMs}ms ease !important; }
+        html { filter: ${withSvgFilters('none')} !important; transition: filter ${fadeOutMs}ms ease !important; }
       `;
+      _darkModeAction = null;
+      setShadowCSS('invert', '');
+      broadcastFrameState();
 
-      const targetMode      = mode;
-      const targetIntensity = intensity;
       _pendingTimeout = setTimeout(() => {
         _pendingTimeout = null;
-        _activeHtmlMode = targetMode;
-        _writeHtmlFilter(style, targetMode, targetIntensity);
+        _activeHtmlMode = mode;
+        _activeHtmlLayer = layer;
+        _writeHtmlFilter(style, layer);
       }, fadeOutMs);
       return;
     }
@@ -467,41 +905,241 @@
     // CSS handles the transition natively via the transition property already
     // present in the style tag from the previous write.
     _activeHtmlMode = mode;
-    _writeHtmlFilter(style, mode, intensity);
+    _activeHtmlLayer = layer;
+    _writeHtmlFilter(style, layer);
+  }
+
+  // Rewrite the current html filter in place, e.g. after the Kelvin warmth or dimming was added or removed.
+  function refreshHtmlFilter() {
+    // A deferred cross-type write will pick the change up itself
+    if (_pendingTimeout !== null) return;
+    const style = getHtmlFilterStyle();
+    if (_activeHtmlLayer) {
+      _writeHtmlFilter(style, _activeHtmlLayer);
+    } else {
+      style.textContent = `
+        html { filter: ${withSvgFilters('none')} !important; transition: filter 10s ease !important; }
+      `;
+    }
+  }
+
+  // ── Media (full screen, video, color-critical sites) ──────────────
+  // A tinted film or photo editor does more harm than good. While something is full
+  // screen, a large video is playing, or the site is one of colorCriticalSites, the
+  // filter is paused (or turned down, per mediaAction). It all goes back through
+  // updateFilter; pausing fades out over MEDIA_FADE, not the usual 10s, so the video
+  // isn't tinted while it plays, and coming back uses the usual transitions.
+  const MEDIA_VIDEO_SHARE = 0.5;  // of the viewport a playing video has to cover
+  const MEDIA_REDUCED     = 0.3;  // of the intensity that's left with mediaAction 'reduce'
+  const MEDIA_SCROLL_MS   = 250;  // how often scrolling re-checks for a video
+  const MEDIA_FADE        = '0.3s';
+
+  let _mediaReason = null;        // 'fullscreen', 'video', 'color-critical' or null
+
+  function isLargePlayingVideo(video) {
+    if (video.paused || video.ended || video.readyState < 2) return false;
+    const rect = video.getBoundingClientRect();
+    const width = Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0);
+    const height = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+    return width > 0 && height > 0 &&
+      width * height >= window.innerWidth * window.innerHeight * MEDIA_VIDEO_SHARE;
+  }
+
+  function detectMediaReason(data) {
+    if (data.mediaAware === false) return null;
+    if (data.colorCritical) return 'color-critical';
+    if (document.fullscreenElement) return 'fullscreen';
+    if (Array.from(document.querySelectorAll('video')).some(isLargePlayingVideo)) return 'video';
+    return null;
+  }
+
+  // The filter as it should show right now
+  function withMediaPause(data) {
+    _mediaReason = detectMediaReason(data);
+    if (!_mediaReason) return data;
+    return data.mediaAction === 'reduce'
+      ? { ...data, intensity: Math.round(data.intensity * MEDIA_REDUCED) }
+      : { ...data, enabled: false };
+  }
+
+  function refreshMediaPause() {
+    if (_lastFilterData && detectMediaReason(_lastFilterData) !== _mediaReason) {
+      updateFilter(_lastFilterData);
+    }
+  }
+
+  // Scrolling a playing video into or out of view fires no media event. One check per
+  // MEDIA_SCROLL_MS, always including where the scroll comes to rest.
+  let _mediaScrollTimer = null;
+
+  function onScrollForMedia() {
+    if (_mediaScrollTimer) return;
+    _mediaScrollTimer = setTimeout(() => {
+      _mediaScrollTimer = null;
+      refreshMediaPause();
+    }, MEDIA_SCROLL_MS);
+  }
+
+  // The html filter is the top document's, so only it needs to watch. Media and
+  // scroll events don't bubble, hence the capture phase (which also sees inner scrollers).
+  if (!IS_CHILD_FRAME) {
+    document.addEventListener('fullscreenchange', refreshMediaPause);
+    ['playing', 'pause', 'ended', 'emptied'].forEach((type) => {
+      document.addEventListener(type, refreshMediaPause, true);
+    });
+    window.addEventListener('resize', refreshMediaPause);
+    document.addEventListener('scroll', onScrollForMedia, { capture: true, passive: true });
   }
 
   // ── Route to the right filter(s) ─────────────────────────────────
+  // FilterEngine.render decides what each layer shows; we apply it to the page.
+  let _lastFilterData = null;
+  let _lastPlan       = null;  // what's on the page now, for the contrast audit
+
   function updateFilter(data) {
-    const { mode, intensity, enabled } = data;
+    _lastFilterData = data;
+    _respectNativeDark = data.respectNativeDark !== false;
+
+    const shown = IS_CHILD_FRAME ? data : withMediaPause(data);
+    const plan = FilterEngine.render({
+      ...shown,
+      nativeDark: needsNativeDark(shown) && getNativeDarkTheme().isDark
+    });
+    _lastPlan = plan;
 
-    if (!enabled || intensity <= 0) {
-      applyBlueLight(0);
-      applyHtmlFilter(null, 0);
+    if (IS_CHILD_FRAME) {
+      updateChildFrame(plan);
       return;
     }
 
-    if (FILTER_KEYFRAMES[mode]) {
-      applyBlueLight(0);
-      applyHtmlFilter(mode, intensity);
-    } else if (mode === 'bluelight') {
-      applyHtmlFilter(null, 0);
-      applyBlueLight(intensity);
-    } else if (mode === 'darkmode') {
-      applyBlueLight(0);
-      applyHtmlFilter('darkmode', intensity);
-    } else if (mode === 'both') {
-      applyBlueLight(intensity);
-      applyHtmlFilter('darkmode', intensity * 0.7);
-    } else if (mode === 'grayscale') {
-      applyBlueLight(0);
-      applyHtmlFilter('grayscale', intensity);
-    } else if (mode === 'colorblind') {
-      applyBlueLight(0);
-      _cbType = data.colorblindType || 'deuteranopia';
-      applyHtmlFilter('colorblind', intensity);
-    } else if (mode === 'combine') {
-      applyCombinedFilter(data);
+    const fade = shown !== data && !shown.enabled ? MEDIA_FADE : null;
+    applySmartDark(plan.layers.smartDark);
+    applyBlueLight(plan, fade);
+    applyDim(plan.layers.dim);
+    applyHtmlFilter(plan.layers.html, fade);
+  }
+
+  // ── Toast (keyboard shortcut feedback) ────────────────────────────
+  let _toastTimeout = null;
+
+  function showToast(text) {
+    let el = document.getElementById(TOAST_ID);
+    if (!el) {
+      el = document.createElement('div');
+      el.id = TOAST_ID;
+      el.style.cssText = `
+        position: fixed; left: 50%; bottom: 32px;
+        transform: translateX(-50%);
+        padding: 10px 18px;
+        background: rgba(15, 17, 23, 0.92);
+        color: #f5a623;
+        font: 600 13px -apple-system, 'Segoe UI', sans-serif;
+        border-radius: 8px;
+        box-shadow: 0 4px 16px rgba(0, 0, 0, 0.35);
+        pointer-events: none;
+        z-index: 2147483647;
+        transition: opacity 0.3s ease;
+        opacity: 0;
+      `;
+      (document.documentElement || document.body).appendChild(el);
     }
+    // Sits inside <html>, so undo the dark mode inversion to keep its colors right
+    el.style.filter = _darkModeAction === 'inverted' ? 'invert(100%) hue-rotate(180deg)' : 'none';
+    el.textContent = text;
+    // Force a style flush so the fade-in runs when the element was just created
+    void el.offsetWidth;
+    el.style.opacity = '1';
+
+    clearTimeout(_toastTimeout);
+    _toastTimeout = setTimeout(() => { el.style.opacity = '0'; }, 1800);
+  }
+
+  // ── Contrast Audit (on demand, from the popup) ────────────────────
+  // Checks visible text against WCAG AA/AAA twice: with the page's own colors, and with
+  // those colors run through the filter as it's applied right now. Text that fails through
+  // the filter is outlined until the audit is cleared. Background images and gradients
+  // aren't seen: the nearest solid background color stands in, white when there is none.
+  const AUDIT_STYLE_ID     = 'chrometones-audit';
+  const AUDIT_ATTR         = 'data-chrometones-audit';
+  const AUDIT_MAX_ELEMENTS = 3000;
+  const PAGE_WHITE         = { r: 255, g: 255, b: 255, a: 1 };
+
+  function auditTextElements() {
+    const elements = new Set();
+    const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT);
+    while (elements.size < AUDIT_MAX_ELEMENTS && walker.nextNode()) {
+      const el = walker.currentNode.parentElement;
+      if (!el || elements.has(el) || !walker.currentNode.nodeValue.trim()) continue;
+      if (el.closest('script, style, noscript, textarea, [id^="chrometones-"]')) continue;
+      const rect = el.getBoundingClientRect();
+      if (!rect.width || !rect.height) continue;
+      const style = getComputedStyle(el);
+      if (style.visibility === 'hidden' || style.opacity === '0') continue;
+      elements.add(el);
+    }
+    return [...elements];
+  }
+
+  // Text color flattened onto its background, and whether WCAG counts it as large text
+  function readTextColors(el) {
+    const style = getComputedStyle(el);
+    const bg = effectiveBackground(el) || PAGE_WHITE;
+    const fg = parseRGBA(style.color) || { r: 0, g: 0, b: 0, a: 1 };
+    const over = (c) => Math.round(fg[c] * fg.a + bg[c] * (1 - fg.a));
+    const size = parseFloat(style.fontSize) || 16;
+    return {
+      fg: { r: over('r'), g: over('g'), b: over('b') },
+      bg: { r: bg.r, g: bg.g, b: bg.b },
+      large: size >= 24 || (size >= 18.66 && Number(style.fontWeight) >= 700)
+    };
+  }
+
+  function clearContrastAudit() {
+    document.querySelectorAll(`[${AUDIT_ATTR}]`).forEach((el) => el.removeAttribute(AUDIT_ATTR));
+    const style = document.getElementById(AUDIT_STYLE_ID);
+    if (style) style.remove();
+  }
+
+  function runContrastAudit() {
+    clearContrastAudit();
+    const elements = auditTextElements();
+    // Smart dark mode recolors through a stylesheet; the page's own colors are under it
+    const original = withSmartSheetDisabled(() => elements.map(readTextColors));
+    const live = _smartAction === 'remapped' ? elements.map(readTextColors) : original;
+    const filtered = (c) => (_lastPlan ? FilterEngine.filterColor(c, _lastPlan) : c);
+
+    const summary = {
+      checked: elements.length,
+      original: { AA: 0, AAA: 0 },   // elements below each level
+      filtered: { AA: 0, AAA: 0 },
+      pushedBelow: 0,                // readable (AA) without the filter, not with it
+      lowest: null                   // { ratio, text } through the filter
+    };
+    elements.forEach((el, i) => {
+      const before = FilterEngine.contrastRatio(original[i].fg, original[i].bg);
+      const after = FilterEngine.contrastRatio(filtered(live[i].fg), filtered(live[i].bg));
+      const levelBefore = FilterEngine.wcagLevel(before, original[i].large);
+      const levelAfter = FilterEngine.wcagLevel(after, live[i].large);
+
+      if (levelBefore === 'fail') summary.original.AA++;
+      if (levelBefore !== 'AAA') summary.original.AAA++;
+      if (levelAfter === 'fail') summary.filtered.AA++;
+      if (levelAfter !== 'AAA') summary.filtered.AAA++;
+      if (levelBefore !== 'fail' && levelAfter === 'fail') summary.pushedBelow++;
+      if (levelAfter !== 'AAA') el.setAttribute(AUDIT_ATTR, levelAfter === 'fail' ? 'fail' : 'aa');
+      if (!summary.lowest || after < summary.lowest.ratio) {
+        summary.lowest = { ratio: Math.round(after * 100) / 100, text: el.textContent.trim().slice(0, 60) };
+      }
+    });
+
+    const style = document.createElement('style');
+    style.id = AUDIT_STYLE_ID;
+    style.textContent = `
+      [${AUDIT_ATTR}="fail"] { outline: 2px solid #ff4d4f !important; outline-offset: 1px !important; }
+      [${AUDIT_ATTR}="aa"] { outline: 1px dashed #f5a623 !important; outline-offset: 1px !important; }
+    `;
+    (document.head || document.documentElement).appendChild(style);
+    return summary;
   }
 
   // ── Message listener ──────────────────────────────────────────────
@@ -510,8 +1148,30 @@
       updateFilter(message);
       sendResponse({ success: true });
     }
+    if (message.type === 'SHOW_TOAST' && !IS_CHILD_FRAME) {
+      showToast(message.text);
+      sendResponse({ success: true });
+    }
+    if (message.type === 'GET_PAGE_STATE' && !IS_CHILD_FRAME) {
+      sendResponse({
+        nativeDark: getNativeDarkTheme(),
+        darkModeAction: _smartAction || _darkModeAction,
+        mediaPause: _mediaReason
+      });
+    }
+    if (message.type === 'AUDIT_CONTRAST' && !IS_CHILD_FRAME) {
+      sendResponse(runContrastAudit());
+    }
+    if (message.type === 'CLEAR_CONTRAST_AUDIT' && !IS_CHILD_FRAME) {
+      clearContrastAudit();
+      sendResponse({ success: true });
+    }
   });
 
+  document.addEventListener('DOMContentLoaded', refreshNativeDarkTheme);
+  window.addEventListener('load', refreshNativeDarkTheme);
+  window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', refreshNativeDarkTheme);
+
   // ── Request state on load (retry for MV3 service worker wake-up lag)
   function requestStatus(retries) {
     chrome.runtime.sendMessage({ type: 'GET_STATUS' }, (response) => {
@@ -519,16 +1179,30 @@
         if (retries > 0) setTimeout(() => requestStatus(retries - 1), 500);
         return;
       }
-      if (response && response.settings) {
+      if (response && response.filter) {
+        updateFilter(response.filter);
+      } else if (response && response.settings) {
         const s = response.settings;
         updateFilter({
           mode: s.mode,
           intensity: s.currentIntensity,
           enabled: s.enabled && s.currentIntensity > 0,
           colorblindType: s.colorblindType,
+          colorblindSeverity: s.colorblindSeverity,
+          simulateSplit: s.simulateSplit,
+          dimGamma: s.dimGamma,
+          dimFloor: s.dimFloor,
           combineFilter1: s.combineFilter1,
           combineFilter2: s.combineFilter2,
-          combineRatio: s.combineRatio
+          combineRatio: s.combineRatio,
+          respectNativeDark: s.respectNativeDark,
+          mediaAware: s.mediaAware,
+          mediaAction: s.mediaAction,
+          darkModeEngine: s.darkModeEngine,
+          customFilters: s.customFilters,
+          blueLightEngine: s.blueLightEngine,
+          colorTemperature: s.colorTemperature,
+          dimming: s.dimming
         });
       }
     });
@@ -0,0 +1,812 @@
+// ChromeTones — Filter Engine
+// The filter math shared by content.js, popup.js and background.js.
+// Pure functions only (no DOM, no chrome.*): settings in, CSS and matrix values out.
+
+(function() {
+  'use strict';
+
+  // content.js can be injected again into a tab that already has us
+  if (globalThis.FilterEngine) return;
+
+  // SVG filter ids the html filter chain refers to with url(#…)
+  const CB_FILTER_ID     = 'chrometones-cb-filter';
+  const KELVIN_FILTER_ID = 'chrometones-kelvin-filter';
+  const DIM_FILTER_ID    = 'chrometones-dim-filter';
+
+  // ── Color Blindness Daltonization ──────────────────────────────
+  // Simulation matrices from Machado, Oliveira & Fernandes (2009), "A Physiologically-based
+  // Model for Simulation of Color Vision Deficiency", precomputed at severity 0.0, 0.1 … 1.0.
+  // Each is a 3×3 that maps original RGB → what the deficient eye perceives. Severity 1.0 is
+  // the dichromat (…anopia); anything below is the anomalous trichromat (…anomaly).
+  const CB_SIM_STEPS = {
+    protan: [
+      [1, 0, 0, 0, 1, 0, 0, 0, 1],
+      [0.856167, 0.182038, -0.038205, 0.029342, 0.955115, 0.015544, -0.002880, -0.001563, 1.004443],
+      [0.734766, 0.334872, -0.069637, 0.051840, 0.919198, 0.028963, -0.004928, -0.004209, 1.009137],
+      [0.630323, 0.465641, -0.095964, 0.069181, 0.890046, 0.040773, -0.006308, -0.007724, 1.014032],
+      [0.539009, 0.579343, -0.118352, 0.082546, 0.866121, 0.051332, -0.007136, -0.011959, 1.019095],
+      [0.458064, 0.679578, -0.137642, 0.092785, 0.846313, 0.060902, -0.007494, -0.016807, 1.024301],
+      [0.385450, 0.769005, -0.154455, 0.100526, 0.829802, 0.069673, -0.007442, -0.022190, 1.029632],
+      [0.319627, 0.849633, -0.169261, 0.106241, 0.815969, 0.077790, -0.007025, -0.028051, 1.035076],
+      [0.259411, 0.923008, -0.182420, 0.110296, 0.804340, 0.085364, -0.006276, -0.034346, 1.040622],
+      [0.203876, 0.990338, -0.194214, 0.112975, 0.794542, 0.092483, -0.005222, -0.041043, 1.046265],
+      [0.152286, 1.052583, -0.204868, 0.114503, 0.786281, 0.099216, -0.003882, -0.048116, 1.051998]
+    ],
+    deutan: [
+      [1, 0, 0, 0, 1, 0, 0, 0, 1],
+      [0.866435, 0.177704, -0.044139, 0.049567, 0.939063, 0.011370, -0.003453, 0.007233, 0.996220],
+      [0.760729, 0.319078, -0.079807, 0.090568, 0.889315, 0.020117, -0.006027, 0.013325, 0.992702],
+      [0.675425, 0.433850, -0.109275, 0.125303, 0.847755, 0.026942, -0.007950, 0.018572, 0.989378],
+      [0.605511, 0.528560, -0.134071, 0.155318, 0.812366, 0.032316, -0.009376, 0.023176, 0.986200],
+      [0.547494, 0.607765, -0.155259, 0.181692, 0.781742, 0.036566, -0.010410, 0.027275, 0.983136],
+      [0.498864, 0.674741, -0.173604, 0.205199, 0.754872, 0.039929, -0.011131, 0.030969, 0.980162],
+      [0.457771, 0.731899, -0.189670, 0.226409, 0.731012, 0.042579, -0.011595, 0.034333, 0.977261],
+      [0.422823, 0.781057, -0.203881, 0.245752, 0.709602, 0.044646, -0.011843, 0.037423, 0.974421],
+      [0.392952, 0.823610, -0.216562, 0.263559, 0.690210, 0.046232, -0.011910, 0.040281, 0.971630],
+      [0.367322, 0.860646, -0.227968, 0.280085, 0.672501, 0.047413, -0.011820, 0.042940, 0.968881]
+    ],
+    tritan: [
+      [1, 0, 0, 0, 1, 0, 0, 0, 1],
+      [0.926670, 0.092514, -0.019184, 0.021191, 0.964503, 0.014306, 0.008437, 0.054813, 0.936750],
+      [0.895720, 0.133330, -0.029050, 0.029997, 0.945400, 0.024603, 0.013027, 0.104707, 0.882266],
+      [0.905871, 0.127791, -0.033662, 0.026856, 0.941251, 0.031893, 0.013410, 0.148296, 0.838294],
+      [0.948035, 0.089490, -0.037526, 0.014364, 0.946792, 0.038844, 0.010853, 0.193991, 0.795156],
+      [1.017277, 0.027029, -0.044306, -0.006113, 0.958479, 0.047634, 0.006379, 0.248708, 0.744913],
+      [1.104996, -0.046633, -0.058363, -0.032137, 0.971635, 0.060503, 0.001336, 0.317922, 0.680742],
+      [1.193214, -0.109812, -0.083402, -0.058496, 0.979410, 0.079086, -0.002346, 0.403492, 0.598854],
+      [1.257728, -0.139648, -0.118081, -0.078003, 0.975409, 0.102594, -0.003316, 0.501214, 0.502102],
+      [1.278864, -0.125333, -0.153531, -0.084748, 0.957674, 0.127074, -0.000989, 0.601151, 0.399838],
+      [1.255528, -0.076749, -0.178779, -0.078411, 0.930809, 0.147602, 0.004733, 0.691367, 0.303900]
+    ]
+  };
+
+  // Monochromats have no severity scale. Achromatopsia (rods only) sees Rec. 709 luma;
+  // blue-cone monochromacy sees roughly the S-cone response (the S row of the
+  // Hunt-Pointer-Estevez RGB → LMS matrix, scaled so white stays white).
+  const LUMA = [0.2126, 0.7152, 0.0722];
+  const S_CONE = [0.01775, 0.10945, 0.87262];
+  const CB_SIM_FIXED = {
+    achromat: [...LUMA, ...LUMA, ...LUMA],
+    bcm:      [...S_CONE, ...S_CONE, ...S_CONE]
+  };
+
+  // Every selectable type: its family, and the fixed severity for dichromats.
+  // The anomalies take theirs from settings.colorblindSeverity.
+  const CB_TYPES = {
+    protanomaly:              { family: 'protan' },
+    deuteranomaly:            { family: 'deutan' },
+    tritanomaly:              { family: 'tritan' },
+    protanopia:               { family: 'protan', severity: 1 },
+    deuteranopia:             { family: 'deutan', severity: 1 },
+    tritanopia:               { family: 'tritan', severity: 1 },
+    achromatopsia:            { family: 'achromat' },
+    'blue-cone-monochromacy': { family: 'bcm' }
+  };
+  const DEFAULT_CB_SEVERITY = 0.6;
+
+  // Error redistribution matrices (Daltonize algorithm).
+  // Shifts the "error" (colors the user can't see) into channels they CAN perceive.
+  // With no hue channel left, monochromats get it as a lightness cue instead:
+  // reds lighten and blues darken, so colors of equal luma no longer merge.
+  const CB_ERR_SHIFT = {
+    protan: [
+      0,   0, 0,
+      0.7, 0, 0,
+      0.7, 0, 0
+    ],
+    deutan: [
+      0, 0.7, 0,
+      0, 0,   0,
+      0, 0.7, 0
+    ],
+    tritan: [
+      0, 0, 0.7,
+      0, 0, 0.7,
+      0, 0, 0
+    ],
+    achromat: [
+      0.5, 0, -0.5,
+      0.5, 0, -0.5,
+      0.5, 0, -0.5
+    ],
+    bcm: [
+      0,   0,    0,
+      0,   0,    0,
+      0.7, 0.35, 0
+    ]
+  };
+
+  // Identity 3×3
+  const I3 = [1,0,0, 0,1,0, 0,0,1];
+
+  // 3×3 matrix multiply
+  function mul3(A, B) {
+    const R = new Array(9);
+    for (let r = 0; r < 3; r++)
+      for (let c = 0; c < 3; c++)
+        R[r * 3 + c] = A[r * 3] * B[c] + A[r * 3 + 1] * B[3 + c] + A[r * 3 + 2] * B[6 + c];
+    return R;
+  }
+
+  // What a given type sees, as a 3×3. Severities between the published steps are
+  // interpolated linearly.
+  function cbSimMatrix(type, severity = DEFAULT_CB_SEVERITY) {
+    const meta = CB_TYPES[type] || CB_TYPES.deuteranopia;
+    if (CB_SIM_FIXED[meta.family]) return CB_SIM_FIXED[meta.family];
+    const steps = CB_SIM_STEPS[meta.family];
+    const t = Math.max(0, Math.min(1, meta.severity ?? severity)) * (steps.length - 1);
+    const i = Math.min(Math.floor(t), steps.length - 2);
+    const w = t - i;
+    return steps[i].map((v, k) => v + (steps[i + 1][k] - v) * w);
+  }
+
+  // Expand a 3×3 to a 5×4 feColorMatrix "values" string (last row is alpha pass-through)
+  function formatColorMatrix(M) {
+    const f = (v) => v.toFixed(6);
+    return [
+      f(M[0]), f(M[1]), f(M[2]), '0', '0',
+      f(M[3]), f(M[4]), f(M[5]), '0', '0',
+      f(M[6]), f(M[7]), f(M[8]), '0', '0',
+      '0',     '0',     '0',     '1', '0'
+    ].join(' ');
+  }
+
+  // Compute the feColorMatrix "values" for a type, correction strength (0–1) and,
+  // for the anomalies, deficiency severity (0–1).
+  // Algorithm: result = original + strength * errShift * (original - simulated)
+  // Collapsed: M = I + strength * errShift * (I - sim)
+  function computeCBMatrix(type, strength, severity) {
+    const sim = cbSimMatrix(type, severity);
+    const es  = CB_ERR_SHIFT[(CB_TYPES[type] || CB_TYPES.deuteranopia).family];
+
+    // diff = I - sim
+    const diff = I3.map((v, i) => v - sim[i]);
+    // correction = errShift × diff
+    const corr = mul3(es, diff);
+    // combined = I + strength × correction
+    return formatColorMatrix(I3.map((v, i) => v + strength * corr[i]));
+  }
+
+  // The simulation on its own — how the page looks to that eye, uncorrected
+  function computeCBSimMatrix(type, severity) {
+    return formatColorMatrix(cbSimMatrix(type, severity));
+  }
+
+  // ── Color Temperature (Kelvin engine) ──────────────────────────
+  // Shift the white point to the blackbody color of the target temperature.
+  // Blackbody RGB is Tanner Helland's fit of Mitchell Charity's CIE 1964 table,
+  // normalised so 6500K (the sRGB D65 white) is identity.
+  const NEUTRAL_KELVIN = 6500;
+
+  function blackbodyRGB(kelvin) {
+    const t = kelvin / 100;
+    const r = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+    const g = t <= 66
+      ? 99.4708025861 * Math.log(t) - 161.1195681661
+      : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+    const b = t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+    return [r, g, b].map((v) => Math.max(0, Math.min(255, v)));
+  }
+
+  function computeKelvinMatrix(kelvin) {
+    const white = blackbodyRGB(NEUTRAL_KELVIN);
+    const [r, g, b] = blackbodyRGB(kelvin).map((v, i) => Math.min(1, v / white[i]).toFixed(6));
+    return [
+      r,   '0', '0', '0', '0',
+      '0', g,   '0', '0', '0',
+      '0', '0', b,   '0', '0',
+      '0', '0', '0', '1', '0'
+    ].join(' ');
+  }
+
+  // Intensity walks from 6500K to the target in mireds (1e6 / K), which is close to
+  // perceptually even. This is also the temperature the popup reads out.
+  function kelvinForIntensity(target, intensity) {
+    const from = 1e6 / NEUTRAL_KELVIN;
+    const to = 1e6 / target;
+    const t = Math.max(0, Math.min(1, intensity / 100));
+    return Math.round(1e6 / (from + (to - from) * t));
+  }
+
+  // ── Dim ──────────────────────────────────────────────────────────
+  // Darkens without shifting hue, for when the monitor's lowest brightness is still too
+  // bright: an feComponentTransfer gamma function on each channel,
+  //   out = amplitude · in^exponent + offset
+  // Strength lowers white (to 10% at 100%). Gamma above 1 darkens the midtones more than
+  // the highlights; the black floor is the level pure black is lifted to, so shadow
+  // detail survives. Both ease in with the strength, so 0% is the identity.
+  const NEUTRAL_DIM = { amplitude: 1, exponent: 1, offset: 0 };
+  const DIM_MIN_WHITE = 0.1;
+  const DEFAULT_DIM_GAMMA = 1.2;
+
+  function computeDimTransfer(intensity, gamma = DEFAULT_DIM_GAMMA, floor = 0) {
+    const t = Math.max(0, Math.min(1, intensity / 100));
+    const white = 1 - (1 - DIM_MIN_WHITE) * t;
+    const offset = Math.min(floor * t, white);
+    const round = (v) => Math.round(v * 10000) / 10000;
+    return {
+      amplitude: round(white - offset),
+      exponent: round(1 + (gamma - 1) * t),
+      offset: round(offset)
+    };
+  }
+
+  // Value of a day curve ([{ minute, kelvin, dim }], sorted) at a minute of the day.
+  // Kelvin is interpolated in mireds, dimming linearly, wrapping around midnight.
+  function curveValueAt(points, minute) {
+    if (!points.length) return { kelvin: NEUTRAL_KELVIN, dim: 0 };
+    // Last point at or before `minute` (wrapping to yesterday's last) and the one after it
+    let i = points.length - 1;
+    for (let j = 0; j < points.length; j++) {
+      if (points[j].minute <= minute) i = j;
+    }
+    const prev = points[i];
+    const next = points[(i + 1) % points.length];
+    const gap = (next.minute - prev.minute + 1440) % 1440 || 1440;
+    const t = ((minute - prev.minute + 1440) % 1440) / gap;
+
+    const mired = 1e6 / prev.kelvin + (1e6 / next.kelvin - 1e6 / prev.kelvin) * t;
+    return {
+      kelvin: Math.round(1e6 / mired),
+      dim: Math.round(prev.dim + (next.dim - prev.dim) * t)
+    };
+  }
+
+  // ── Scientific CSS Filter Keyframes ──────────────────────────────
+  // Values at intensity levels 0, 20, 40, 60, 80, 100%.
+  // Sleep Prep:  targets melanopsin peak at ~480nm (Brainard et al. 2001).
+  // Eye Strain:  reduces the LED ~450nm phosphor spike (Sheedy et al. 2003).
+  // Reader Mode: mimics warm paper reflectance for contrast relief (Legge & Bigelow 2011).
+  //
+  // All three modes share the same 4-function signature sepia/saturate/brightness/contrast
+  // so CSS can smoothly interpolate between any two of them.
+  const FILTER_KEYFRAMES = {
+    'sleep-prep': {
+        0: { sepia: 0,    saturate: 1.00, brightness: 1.00, contrast: 1.00 },
+       20: { sepia: 0.30, saturate: 1.50, brightness: 0.98, contrast: 1.00 },
+       40: { sepia: 0.55, saturate: 2.00, brightness: 0.95, contrast: 1.00 },
+       60: { sepia: 0.75, saturate: 2.50, brightness: 0.92, contrast: 1.00 },
+       80: { sepia: 0.90, saturate: 3.00, brightness: 0.90, contrast: 1.00 },
+      100: { sepia: 1.00, saturate: 3.50, brightness: 0.88, contrast: 1.00 }
+    },
+    'reduce-eye-strain': {
+        0: { sepia: 0,    saturate: 1.00, brightness: 1.00, contrast: 1.00 },
+       20: { sepia: 0.08, saturate: 1.05, brightness: 0.99, contrast: 0.99 },
+       40: { sepia: 0.15, saturate: 1.10, brightness: 0.98, contrast: 0.98 },
+       60: { sepia: 0.22, saturate: 1.15, brightness: 0.97, contrast: 0.97 },
+       80: { sepia: 0.28, saturate: 1.20, brightness: 0.97, contrast: 0.97 },
+      100: { sepia: 0.35, saturate: 1.30, brightness: 0.96, contrast: 0.96 }
+    },
+    'reader-mode': {
+        0: { sepia: 0,    saturate: 1.00, brightness: 1.00, contrast: 1.00 },
+       20: { sepia: 0.15, saturate: 0.95, brightness: 0.97, contrast: 0.97 },
+       40: { sepia: 0.30, saturate: 0.90, brightness: 0.94, contrast: 0.93 },
+       60: { sepia: 0.45, saturate: 0.85, brightness: 0.90, contrast: 0.90 },
+       80: { sepia: 0.55, saturate: 0.82, brightness: 0.87, contrast: 0.87 },
+      100: { sepia: 0.65, saturate: 0.80, brightness: 0.85, contrast: 0.85 }
+    }
+  };
+
+  // Darkmode-compatible keyframes for combine mode.
+  // Approximates darkmode's visual effect (heavy dimming + slight warmth) using the same
+  // 4-function signature so it can be mathematically merged with scientific filters.
+  // Standalone darkmode (invert+hue-rotate) is unchanged; this is only used in combine mode.
+  const DARKMODE_COMPAT_KEYFRAMES = {
+      0: { sepia: 0,    saturate: 1.00, brightness: 1.00, contrast: 1.00 },
+     20: { sepia: 0.02, saturate: 0.95, brightness: 0.80, contrast: 1.05 },
+     40: { sepia: 0.05, saturate: 0.90, brightness: 0.60, contrast: 1.10 },
+     60: { sepia: 0.08, saturate: 0.85, brightness: 0.45, contrast: 1.15 },
+     80: { sepia: 0.10, saturate: 0.80, brightness: 0.30, contrast: 1.20 },
+    100: { sepia: 0.12, saturate: 0.75, brightness: 0.20, contrast: 1.25 }
+  };
+
+  const FILTER_STOPS = [0, 20, 40, 60, 80, 100];
+
+  // ── Modes ────────────────────────────────────────────────────────
+  // Display names, and the modes that need ChromeTones Pro — shared by the popup's
+  // paywall and the background's keyboard shortcuts so the two can't disagree.
+  const MODE_NAMES = {
+    'bluelight':          'Blue Light',
+    'darkmode':           'Dark Mode',
+    'both':               'Blue Light + Dark',
+    'combine':            'Combined',
+    'sleep-prep':         'Sleep Prep',
+    'reduce-eye-strain':  'Eye Strain',
+    'reader-mode':        'Reader Mode',
+    'grayscale':          'Grayscale',
+    'colorblind':         'Color Blind Assist',
+    'dim':                'Dim',
+    'cb-simulate':        'Color Blind Simulation'
+  };
+
+  const PREMIUM_MODES = new Set([
+    'sleep-prep', 'reduce-eye-strain', 'reader-mode',
+    'grayscale', 'colorblind', 'dim', 'combine', 'cb-simulate'
+  ]);
+
+  // User-built filters ('custom:<id>') are part of the scientific filter set
+  function isPremiumMode(mode) {
+    return PREMIUM_MODES.has(mode) || isCustomMode(mode);
+  }
+
+  // ── Custom Filters ───────────────────────────────────────────────
+  // User-built keyframe tables, stored in settings.customFilters as
+  // { id, name, keyframes: { 0: {...}, 20: {...}, … 100: {...} } } and selected
+  // as mode 'custom:<id>'. They add hue-rotate to the built-in signature; a longer
+  // filter list still interpolates with a shorter one that is its prefix.
+  const CUSTOM_PREFIX = 'custom:';
+
+  // Editable range of each function, and its "does nothing" value
+  const CUSTOM_FILTER_RANGES = {
+    sepia:      { min: 0,    max: 1,   neutral: 0 },
+    saturate:   { min: 0,    max: 4,   neutral: 1 },
+    brightness: { min: 0.2,  max: 1.5, neutral: 1 },
+    contrast:   { min: 0.5,  max: 1.5, neutral: 1 },
+    hueRotate:  { min: -180, max: 180, neutral: 0 }
+  };
+
+  function isCustomMode(mode) {
+    return typeof mode === 'string' && mode.startsWith(CUSTOM_PREFIX);
+  }
+
+  // Built-in and custom modes that render from a keyframe table
+  function isKeyframeMode(mode) {
+    return !!FILTER_KEYFRAMES[mode] || isCustomMode(mode);
+  }
+
+  function findCustomFilter(mode, customFilters) {
+    if (!isCustomMode(mode)) return null;
+    const id = mode.slice(CUSTOM_PREFIX.length);
+    return (customFilters || []).find(f => f.id === id) || null;
+  }
+
+  // FNV-1a of the name and table, for a filter stored without an id: the same filter
+  // gets the same id on every load and every device, so modes pointing at it hold.
+  function customFilterId(name, keyframes) {
+    const text = JSON.stringify([name, keyframes]);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(36);
+  }
+
+  // Clamp an untrusted (imported or shared) filter into a complete, renderable one.
+  // Stop 0 is always neutral so the filter fades in from nothing like the built-ins.
+  function normalizeCustomFilter(raw) {
+    const source = (raw && typeof raw === 'object') ? raw : {};
+    const frames = (source.keyframes && typeof source.keyframes === 'object') ? source.keyframes : {};
+    const keyframes = {};
+    for (const stop of FILTER_STOPS) {
+      keyframes[stop] = {};
+      for (const [key, range] of Object.entries(CUSTOM_FILTER_RANGES)) {
+        const value = Number((frames[stop] || {})[key]);
+        keyframes[stop][key] = stop === 0 || !Number.isFinite(value)
+          ? range.neutral
+          : Math.max(range.min, Math.min(range.max, value));
+      }
+    }
+    const name = String(source.name || 'Custom filter').trim().slice(0, 32) || 'Custom filter';
+    return {
+      id: typeof source.id === 'string' && source.id ? source.id : customFilterId(name, keyframes),
+      name,
+      keyframes
+    };
+  }
+
+  function keyframesFor(mode, customFilters) {
+    if (FILTER_KEYFRAMES[mode]) return FILTER_KEYFRAMES[mode];
+    // Stored filters may be hand-edited or synced from an older build; never trust their shape
+    const custom = findCustomFilter(mode, customFilters);
+    return custom ? normalizeCustomFilter(custom).keyframes : null;
+  }
+
+  function lerpObj(a, b, t) {
+    const out = {};
+    for (const k of Object.keys(a)) out[k] = a[k] + (b[k] - a[k]) * t;
+    return out;
+  }
+
+  // Return raw {sepia, saturate, brightness, contrast[, hueRotate]} values for a mode at a given intensity.
+  // Uses DARKMODE_COMPAT_KEYFRAMES when mode === 'darkmode' so it can merge with scientific filters.
+  function computeFilterValues(mode, intensity, customFilters) {
+    const frames = (mode === 'darkmode') ? DARKMODE_COMPAT_KEYFRAMES : keyframesFor(mode, customFilters);
+    if (!frames) return null;
+    const clamped = Math.max(0, Math.min(100, intensity));
+    let lo = 0, hi = 20;
+    for (let i = 0; i < FILTER_STOPS.length - 1; i++) {
+      if (clamped >= FILTER_STOPS[i] && clamped <= FILTER_STOPS[i + 1]) {
+        lo = FILTER_STOPS[i]; hi = FILTER_STOPS[i + 1]; break;
+      }
+    }
+    const t = hi === lo ? 1 : (clamped - lo) / (hi - lo);
+    return lerpObj(frames[lo], frames[hi], t);
+  }
+
+  function formatFilterValues(p) {
+    const f = (v) => v.toFixed(3);
+    const chain = `sepia(${f(p.sepia)}) saturate(${f(p.saturate)}) brightness(${f(p.brightness)}) contrast(${f(p.contrast)})`;
+    return p.hueRotate === undefined ? chain : `${chain} hue-rotate(${p.hueRotate.toFixed(1)}deg)`;
+  }
+
+  function computeFilterCSS(mode, intensity, customFilters) {
+    if (!isKeyframeMode(mode)) return '';
+    const values = computeFilterValues(mode, intensity, customFilters);
+    return values ? formatFilterValues(values) : '';
+  }
+
+  // Merge: sepia and hue-rotate are additive (neutral=0), brightness/saturate/contrast
+  // are multiplicative (neutral=1). A function only one side has keeps that side's value.
+  function mergeFilterValues(a, b) {
+    const merged = {};
+    for (const k of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      const neutral = CUSTOM_FILTER_RANGES[k].neutral;
+      const va = a[k] ?? neutral;
+      const vb = b[k] ?? neutral;
+      if (k === 'sepia') merged[k] = Math.min(1, va + vb);
+      else if (k === 'hueRotate') merged[k] = va + vb;
+      else merged[k] = va * vb;
+    }
+    return merged;
+  }
+
+  // Add a filter function to the end of a chain that may be 'none'
+  function appendFilter(chain, fn) {
+    return chain === 'none' ? fn : `${chain} ${fn}`;
+  }
+
+  // ── Combine split ────────────────────────────────────────────────
+  // Filter A gets intensity × (1 - ratio), filter B gets intensity × ratio.
+  function combineIntensities(intensity, ratio) {
+    const r = ratio ?? 0.5;
+    return [intensity * (1 - r), intensity * r];
+  }
+
+  // ── Layers ───────────────────────────────────────────────────────
+  // A rendered filter is up to four layers: the overlay div (blue light), one
+  // html { filter } chain, smart dark mode recoloring, and dimming at the end of the chain.
+
+  function computeOverlayStyle(intensity, engine, dimming) {
+    if (intensity <= 0) return { background: null, opacity: '0' };
+    if (engine === 'kelvin') {
+      // With the Kelvin engine the overlay only dims (circadian schedule)
+      return {
+        background: `rgba(0, 0, 0, ${((dimming || 0) / 100).toFixed(3)})`,
+        opacity: dimming > 0 ? '1' : '0'
+      };
+    }
+    const n = intensity / 100;
+    return {
+      background: `rgba(255, ${Math.round(180 - n * 40)}, ${Math.round(60 - n * 50)}, ${0.08 + n * 0.22})`,
+      opacity: '1'
+    };
+  }
+
+  // One html filter layer: the chain (without the Kelvin warmth, which content.js
+  // fades in and out on its own), its transition and any side effects it needs.
+  //   mode          'darkmode', a keyframe mode, 'grayscale', 'colorblind', 'cb-simulate' or 'combine'
+  //   options       { nativeDark, colorblindType, colorblindSeverity, simulateSplit, customFilters, values }
+  //                 — values are the merged combine chain
+  // A split 'cb-simulate' layer leaves html unfiltered and sets `split`: content.js shows
+  // the simulation over the right half of the page only.
+  function computeHtmlLayer(mode, intensity, options = {}) {
+    if (!mode || intensity <= 0) return null;
+    const layer = { mode, intensity, transition: '10s', counterInvert: false, darkAction: null, matrix: null, split: false };
+
+    if (mode === 'darkmode') {
+      if (options.nativeDark) {
+        // Already dark: inverting would turn it bright, so only dim it slightly.
+        // brightness() is a prefix of the inversion chain, so CSS still interpolates.
+        layer.darkAction = 'dimmed';
+        layer.filter = `brightness(${100 - Math.round((intensity / 100) * 15)}%)`;
+        return layer;
+      }
+      // brightness() BEFORE invert() controls darkness:
+      //   At 100%: brightness(93%) → white inverts to #121212 (OLED dark grey, no grey tint)
+      layer.darkAction = 'inverted';
+      layer.counterInvert = true;
+      layer.filter = `brightness(${Math.round((intensity / 100) * 93)}%) invert(100%) hue-rotate(180deg)`;
+      return layer;
+    }
+
+    if (isKeyframeMode(mode)) {
+      // A custom filter that has since been deleted renders as nothing
+      layer.filter = computeFilterCSS(mode, intensity, options.customFilters);
+      return layer.filter ? layer : null;
+    }
+
+    layer.transition = '0.8s';
+    if (mode === 'grayscale') {
+      layer.filter = `grayscale(${(intensity / 100).toFixed(3)})`;
+      return layer;
+    }
+    if (mode === 'colorblind') {
+      layer.filter = `url(#${CB_FILTER_ID})`;
+      layer.matrix = computeCBMatrix(options.colorblindType || 'deuteranopia', intensity / 100, options.colorblindSeverity);
+      return layer;
+    }
+    // How the page looks to that eye, for checking a design — the strength doesn't scale it
+    if (mode === 'cb-simulate') {
+      layer.split = !!options.simulateSplit;
+      layer.filter = layer.split ? 'none' : `url(#${CB_FILTER_ID})`;
+      layer.matrix = computeCBSimMatrix(options.colorblindType || 'deuteranopia', options.colorblindSeverity);
+      return layer;
+    }
+    if (mode === 'combine' && options.values) {
+      layer.filter = formatFilterValues(options.values);
+      return layer;
+    }
+    return null;
+  }
+
+  // Whether rendering these settings needs to know if the page is natively dark
+  function hasDarkLayer(settings) {
+    const { mode, combineFilter1, combineFilter2 } = settings;
+    return mode === 'darkmode' || mode === 'both' ||
+      (mode === 'combine' && (combineFilter1 === 'darkmode' || combineFilter2 === 'darkmode'));
+  }
+
+  // Whether these settings dim, so dimGamma and dimFloor matter
+  function hasDimLayer(settings) {
+    const { mode, combineFilter1, combineFilter2 } = settings;
+    return mode === 'dim' || (mode === 'combine' && (combineFilter1 === 'dim' || combineFilter2 === 'dim'));
+  }
+
+  // Route a mode to its layers: { overlay, html: { mode, intensity, values? }, smartDark, dim }
+  function resolveLayers(settings) {
+    const { mode, intensity } = settings;
+    const off = { overlay: 0, html: null, smartDark: 0, dim: 0 };
+    if (!settings.enabled || !(intensity > 0)) return off;
+
+    // 'both' is dark mode plus the overlay, so it follows the dark mode engine choice
+    const darkEngine = (settings.darkModeEngine || {})[mode === 'both' ? 'darkmode' : mode] || 'invert';
+    const html = (m, i) => (m && i > 0 ? { mode: m, intensity: i } : null);
+
+    if (darkEngine === 'smart' && (mode === 'darkmode' || mode === 'both')) {
+      return { ...off, overlay: mode === 'both' ? intensity : 0, smartDark: mode === 'both' ? intensity * 0.7 : intensity };
+    }
+    if (mode === 'bluelight') return { ...off, overlay: intensity };
+    if (mode === 'dim') return { ...off, dim: intensity };
+    if (mode === 'both') return { ...off, overlay: intensity, html: html('darkmode', intensity * 0.7) };
+    if (mode !== 'combine') return { ...off, html: html(mode, intensity) };
+
+    const [intensityA, intensityB] = combineIntensities(intensity, settings.combineRatio);
+    const f1 = settings.combineFilter1 || 'bluelight';
+    const f2 = settings.combineFilter2 || 'darkmode';
+
+    // Dimming only darkens whatever else is showing, so it stacks on any other filter
+    if (f1 === 'dim' || f2 === 'dim') {
+      const other = f1 === 'dim' ? f2 : f1;
+      const otherIntensity = f1 === 'dim' ? intensityB : intensityA;
+      if (other === 'dim') return { ...off, dim: intensity };
+      const rest = resolveLayers({
+        ...settings,
+        mode: other,
+        intensity: otherIntensity,
+        darkModeEngine: { ...(settings.darkModeEngine || {}), darkmode: darkEngine }
+      });
+      return { ...rest, dim: intensity - otherIntensity };
+    }
+
+    // Smart dark mode recolors instead of filtering, so it layers with anything
+    if (darkEngine === 'smart' && (f1 === 'darkmode' || f2 === 'darkmode')) {
+      const other          = f1 === 'darkmode' ? f2 : f1;
+      const otherIntensity = f1 === 'darkmode' ? intensityB : intensityA;
+      return {
+        ...off,
+        overlay: other === 'bluelight' ? otherIntensity : 0,
+        html: other === 'bluelight' ? null : html(other, otherIntensity),
+        smartDark: f1 === 'darkmode' ? intensityA : intensityB
+      };
+    }
+
+    // Bluelight + html-filter — overlay div + style tag coexist naturally
+    if (f1 === 'bluelight' && f2 === 'bluelight') return { ...off, overlay: intensity };
+    if (f1 === 'bluelight') return { ...off, overlay: intensityA, html: html(f2, intensityB) };
+    if (f2 === 'bluelight') return { ...off, overlay: intensityB, html: html(f1, intensityA) };
+
+    // Two html-filter modes — mathematically merge into a single CSS chain.
+    // Darkmode uses DARKMODE_COMPAT_KEYFRAMES for mergeability.
+    const valsA = computeFilterValues(f1, intensityA, settings.customFilters);
+    const valsB = computeFilterValues(f2, intensityB, settings.customFilters);
+    if (!valsA || !valsB) {
+      return { ...off, html: valsA ? html(f1, intensityA) : valsB ? html(f2, intensityB) : null };
+    }
+    return { ...off, html: { mode: 'combine', intensity, values: mergeFilterValues(valsA, valsB) } };
+  }
+
+  // The whole filter for one set of settings (an UPDATE_FILTER payload), as data:
+  //   overlayStyle   { background, opacity } for the overlay div
+  //   htmlFilterCSS  the html { filter } value, Kelvin warmth included ('none' when off)
+  //   svgMatrices    feColorMatrix values keyed by the SVG filter id the chain refers to
+  //   svgTransfers   feComponentTransfer gamma { amplitude, exponent, offset }, keyed the same way
+  // `layers` carries the routing itself for callers that animate between states.
+  // Pass `nativeDark: true` when the page is already dark and should only be dimmed.
+  function render(settings) {
+    const layers = resolveLayers(settings);
+    const engine = settings.blueLightEngine || 'overlay';
+    const html = layers.html && computeHtmlLayer(layers.html.mode, layers.html.intensity, {
+      nativeDark: !!settings.nativeDark,
+      colorblindType: settings.colorblindType,
+      colorblindSeverity: settings.colorblindSeverity,
+      simulateSplit: settings.simulateSplit,
+      customFilters: settings.customFilters,
+      values: layers.html.values
+    });
+
+    const svgMatrices = {};
+    let htmlFilterCSS = html ? html.filter : 'none';
+    if (html && html.matrix) svgMatrices[CB_FILTER_ID] = html.matrix;
+
+    const kelvin = engine === 'kelvin' && layers.overlay > 0
+      ? kelvinForIntensity(settings.colorTemperature || 3400, layers.overlay)
+      : null;
+    if (kelvin) {
+      svgMatrices[KELVIN_FILTER_ID] = computeKelvinMatrix(kelvin);
+      htmlFilterCSS = appendFilter(htmlFilterCSS, `url(#${KELVIN_FILTER_ID})`);
+    }
+
+    // Last in the chain, so it darkens everything before it
+    const svgTransfers = {};
+    const dim = layers.dim > 0 ? computeDimTransfer(layers.dim, settings.dimGamma, settings.dimFloor) : null;
+    if (dim) {
+      svgTransfers[DIM_FILTER_ID] = dim;
+      htmlFilterCSS = appendFilter(htmlFilterCSS, `url(#${DIM_FILTER_ID})`);
+    }
+
+    return {
+      overlayStyle: computeOverlayStyle(layers.overlay, engine, settings.dimming || 0),
+      htmlFilterCSS,
+      svgMatrices,
+      svgTransfers,
+      layers: { ...layers, html, kelvin, dim }
+    };
+  }
+
+  // ── Contrast (WCAG) ──────────────────────────────────────────────
+  // What a render() plan does to one color, so contrast can be checked through the filter.
+  // The overlay sits inside <html>, so it's multiplied in first and the html filter runs
+  // over both. Each CSS filter function uses its Filter Effects matrix or transfer
+  // function in sRGB, clamped after every step like the browser does.
+  const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+  function colorMatrixFor(name, amount) {
+    const a = clamp01(amount);
+    const k = 1 - a;
+    switch (name) {
+      case 'grayscale': return [
+        0.2126 + 0.7874 * k, 0.7152 - 0.7152 * k, 0.0722 - 0.0722 * k,
+        0.2126 - 0.2126 * k, 0.7152 + 0.2848 * k, 0.0722 - 0.0722 * k,
+        0.2126 - 0.2126 * k, 0.7152 - 0.7152 * k, 0.0722 + 0.9278 * k
+      ];
+      case 'sepia': return [
+        0.393 + 0.607 * k, 0.769 - 0.769 * k, 0.189 - 0.189 * k,
+        0.349 - 0.349 * k, 0.686 + 0.314 * k, 0.168 - 0.168 * k,
+        0.272 - 0.272 * k, 0.534 - 0.534 * k, 0.131 + 0.869 * k
+      ];
+      case 'saturate': return [
+        0.213 + 0.787 * amount, 0.715 - 0.715 * amount, 0.072 - 0.072 * amount,
+        0.213 - 0.213 * amount, 0.715 + 0.285 * amount, 0.072 - 0.072 * amount,
+        0.213 - 0.213 * amount, 0.715 - 0.715 * amount, 0.072 + 0.928 * amount
+      ];
+      case 'hue-rotate': {
+        const cos = Math.cos(amount * Math.PI / 180);
+        const sin = Math.sin(amount * Math.PI / 180);
+        return [
+          0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+          0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+          0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072
+        ];
+      }
+      default: return null;
+    }
+  }
+
+  function applyMatrix3(M, [r, g, b], offsets = [0, 0, 0]) {
+    return [0, 1, 2].map((row) =>
+      clamp01(M[row * 3] * r + M[row * 3 + 1] * g + M[row * 3 + 2] * b + offsets[row]));
+  }
+
+  // One filter function from a chain ('brightness(93%)', 'url(#id)', …) applied to [r, g, b] in 0–1
+  function applyFilterFunction(name, arg, rgb, plan) {
+    if (name === 'url') {
+      const id = arg.replace(/^#/, '');
+      const transfer = (plan.svgTransfers || {})[id];
+      if (transfer) {
+        return rgb.map((c) => clamp01(transfer.amplitude * Math.pow(c, transfer.exponent) + transfer.offset));
+      }
+      const values = (plan.svgMatrices || {})[id];
+      if (!values) return rgb;
+      const m = values.split(/\s+/).map(Number);
+      return applyMatrix3([m[0], m[1], m[2], m[5], m[6], m[7], m[10], m[11], m[12]], rgb, [m[4], m[9], m[14]]);
+    }
+    const amount = parseFloat(arg) / (arg.trim().endsWith('%') ? 100 : 1);
+    if (name === 'brightness') return rgb.map((c) => clamp01(c * amount));
+    if (name === 'contrast') return rgb.map((c) => clamp01((c - 0.5) * amount + 0.5));
+    if (name === 'invert') return rgb.map((c) => clamp01(clamp01(amount) * (1 - c) + (1 - clamp01(amount)) * c));
+    const M = colorMatrixFor(name, amount);
+    return M ? applyMatrix3(M, rgb) : rgb;
+  }
+
+  // { r, g, b } (0–255) as it shows with a render() plan applied
+  function filterColor({ r, g, b }, plan) {
+    let rgb = [r / 255, g / 255, b / 255];
+    const overlay = /rgba?\(([^)]+)\)/.exec((plan.overlayStyle && plan.overlayStyle.background) || '');
+    if (overlay && plan.overlayStyle.opacity !== '0') {
+      const [or, og, ob, oa = 1] = overlay[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+      const alpha = oa * Number(plan.overlayStyle.opacity);
+      rgb = rgb.map((c, i) => c + (c * [or, og, ob][i] / 255 - c) * alpha); // mix-blend-mode: multiply
+    }
+    const chain = /([a-z-]+)\(([^)]*)\)/g;
+    let match;
+    while ((match = chain.exec(plan.htmlFilterCSS || ''))) {
+      rgb = applyFilterFunction(match[1], match[2], rgb, plan);
+    }
+    const [fr, fg, fb] = rgb.map((c) => Math.round(c * 255));
+    return { r: fr, g: fg, b: fb };
+  }
+
+  function relativeLuminance({ r, g, b }) {
+    const lin = (c) => {
+      const v = c / 255;
+      return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * lin(r) + 0.7152 * lin(g) + 0.0722 * lin(b);
+  }
+
+  function contrastRatio(a, b) {
+    const [hi, lo] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+    return (hi + 0.05) / (lo + 0.05);
+  }
+
+  // WCAG 2.x 1.4.3 / 1.4.6. Large text is 24px, or 18.66px (14pt) when bold.
+  const WCAG_THRESHOLDS = { normal: { AA: 4.5, AAA: 7 }, large: { AA: 3, AAA: 4.5 } };
+
+  function wcagLevel(ratio, largeText) {
+    const limits = WCAG_THRESHOLDS[largeText ? 'large' : 'normal'];
+    return ratio >= limits.AAA ? 'AAA' : ratio >= limits.AA ? 'AA' : 'fail';
+  }
+
+  globalThis.FilterEngine = {
+    CB_FILTER_ID,
+    KELVIN_FILTER_ID,
+    DIM_FILTER_ID,
+    NEUTRAL_KELVIN,
+    NEUTRAL_DIM,
+    DEFAULT_DIM_GAMMA,
+    FILTER_KEYFRAMES,
+    FILTER_STOPS,
+    MODE_NAMES,
+    PREMIUM_MODES,
+    isPremiumMode,
+    CUSTOM_PREFIX,
+    CUSTOM_FILTER_RANGES,
+    isCustomMode,
+    isKeyframeMode,
+    findCustomFilter,
+    normalizeCustomFilter,
+    CB_TYPES,
+    DEFAULT_CB_SEVERITY,
+    computeCBMatrix,
+    computeCBSimMatrix,
+    computeKelvinMatrix,
+    kelvinForIntensity,
+    curveValueAt,
+    computeDimTransfer,
+    computeFilterValues,
+    computeFilterCSS,
+    mergeFilterValues,
+    appendFilter,
+    combineIntensities,
+    computeHtmlLayer,
+    hasDarkLayer,
+    hasDimLayer,
+    resolveLayers,
+    render,
+    filterColor,
+    relativeLuminance,
+    contrastRatio,
+    wcagLevel
+  };
+})();
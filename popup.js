@@ -3,10 +3,8 @@
 
 document.addEventListener('DOMContentLoaded', () => {
   // ── Payment Gating ─────────────────────────
-  const PREMIUM_MODES = new Set([
-    'sleep-prep', 'reduce-eye-strain', 'reader-mode',
-    'grayscale', 'colorblind', 'combine'
-  ]);
+  // Which modes are Pro is decided in filter-engine.js, shared with the keyboard shortcuts
+  const { isPremiumMode } = FilterEngine;
 
   let isPro = false;
 
@@ -35,19 +33,56 @@ document.addEventListener('DOMContentLoaded', () => {
   const startTimeInput = document.getElementById('startTime');
   const endTimeInput = document.getElementById('endTime');
   const locationBtn = document.getElementById('locationBtn');
+  const manualLocationLink = document.getElementById('manualLocationLink');
+  const locationPanel = document.getElementById('locationPanel');
+  const citySearch = document.getElementById('citySearch');
+  const cityResults = document.getElementById('cityResults');
+  const latitudeInput = document.getElementById('latitudeInput');
+  const longitudeInput = document.getElementById('longitudeInput');
+  const saveCoordsBtn = document.getElementById('saveCoordsBtn');
+  const timeZoneLocationBtn = document.getElementById('timeZoneLocationBtn');
+  const locationError = document.getElementById('locationError');
   const sunTimes = document.getElementById('sunTimes');
   const sunsetTime = document.getElementById('sunsetTime');
   const sunriseTime = document.getElementById('sunriseTime');
+  const sunStartEvent = document.getElementById('sunStartEvent');
+  const sunStartOffset = document.getElementById('sunStartOffset');
+  const sunEndEvent = document.getElementById('sunEndEvent');
+  const sunEndOffset = document.getElementById('sunEndOffset');
+  const sunState = document.getElementById('sunState');
+  const weeklySection = document.getElementById('weeklySection');
+  const editScheduleBtn = document.getElementById('editScheduleBtn');
+  const weeklySummary = document.getElementById('weeklySummary');
+  const ruleList = document.getElementById('ruleList');
+  const addRuleBtn = document.getElementById('addRuleBtn');
+  const backFromScheduleBtn = document.getElementById('backFromScheduleBtn');
+  const circadianSection = document.getElementById('circadianSection');
+  const circadianGraph = document.getElementById('circadianGraph');
+  const circadianNow = document.getElementById('circadianNow');
+  const circadianPointLabel = document.getElementById('circadianPointLabel');
+  const circadianOffset = document.getElementById('circadianOffset');
+  const circadianKelvinSlider = document.getElementById('circadianKelvinSlider');
+  const circadianKelvinValue = document.getElementById('circadianKelvinValue');
+  const circadianDimSlider = document.getElementById('circadianDimSlider');
+  const circadianDimValue = document.getElementById('circadianDimValue');
+  const circadianBedtime = document.getElementById('circadianBedtime');
+  const transitionSection = document.getElementById('transitionSection');
+  const transitionSlider = document.getElementById('transitionSlider');
+  const transitionValue = document.getElementById('transitionValue');
+  const curveBtns = document.querySelectorAll('[data-curve]');
   const intensitySlider = document.getElementById('intensitySlider');
   const intensityValue = document.getElementById('intensityValue');
   const setTimerBtn = document.getElementById('setTimerBtn');
   const activateBtn = document.getElementById('activateBtn');
+  const snoozeOptions = document.getElementById('snoozeOptions');
+  const snoozeBtns = document.querySelectorAll('[data-snooze]');
+  const resumeBtn = document.getElementById('resumeBtn');
   const pagesWrapper = document.getElementById('pagesWrapper');
   const exploreFiltersBtn = document.getElementById('exploreFiltersBtn');
   const backBtn = document.getElementById('backBtn');
 
   // Filter detail page elements
-  const filterCards        = document.querySelectorAll('.filter-card');
+  const filterCards        = document.querySelectorAll('.filter-card');  // built-in cards only
   const backToFiltersBtn   = document.getElementById('backToFiltersBtn');
   const filterDetailName   = document.getElementById('filterDetailName');
   const filterMockup       = document.getElementById('filterMockup');
@@ -58,6 +93,51 @@ document.addEventListener('DOMContentLoaded', () => {
   const filterActivateBtn  = document.getElementById('filterActivateBtn');
   const filterIntensityLabel = document.getElementById('filterIntensityLabel');
   const filterStrengthLabel  = document.getElementById('filterStrengthLabel');
+  const editCustomFilterBtn  = document.getElementById('editCustomFilterBtn');
+
+  // Custom filter elements
+  const customFilterCards   = document.getElementById('customFilterCards');
+  const newCustomFilterBtn  = document.getElementById('newCustomFilterBtn');
+  const importFilterInput   = document.getElementById('importFilterInput');
+  const importFilterBtn     = document.getElementById('importFilterBtn');
+  const importFilterError   = document.getElementById('importFilterError');
+  const backFromCustomBtn   = document.getElementById('backFromCustomBtn');
+  const customNameInput     = document.getElementById('customNameInput');
+  const customMockup        = document.getElementById('customMockup');
+  const customStopToggle    = document.getElementById('customStopToggle');
+  const customSliders       = document.getElementById('customSliders');
+  const saveCustomBtn       = document.getElementById('saveCustomBtn');
+  const shareCustomBtn      = document.getElementById('shareCustomBtn');
+  const deleteCustomBtn     = document.getElementById('deleteCustomBtn');
+
+  // Backup & Share elements
+  const backFromTransferBtn   = document.getElementById('backFromTransferBtn');
+  const syncEnabledBox        = document.getElementById('syncEnabledBox');
+  const syncLocationBox       = document.getElementById('syncLocationBox');
+  const syncStatus            = document.getElementById('syncStatus');
+  const includeLocationBox    = document.getElementById('includeLocationBox');
+  const exportFileBtn         = document.getElementById('exportFileBtn');
+  const copyShareStringBtn    = document.getElementById('copyShareStringBtn');
+  const importSettingsInput   = document.getElementById('importSettingsInput');
+  const settingsFileInput     = document.getElementById('settingsFileInput');
+  const chooseSettingsFileBtn = document.getElementById('chooseSettingsFileBtn');
+  const previewImportBtn      = document.getElementById('previewImportBtn');
+  const importSettingsError   = document.getElementById('importSettingsError');
+  const importPreview         = document.getElementById('importPreview');
+  const importDiff            = document.getElementById('importDiff');
+  const importNotes           = document.getElementById('importNotes');
+  const applyImportBtn        = document.getElementById('applyImportBtn');
+  const cancelImportBtn       = document.getElementById('cancelImportBtn');
+
+  // Profile elements
+  const profileSelect       = document.getElementById('profileSelect');
+  const backFromProfilesBtn = document.getElementById('backFromProfilesBtn');
+  const profileNameInput    = document.getElementById('profileNameInput');
+  const profileOffBox       = document.getElementById('profileOffBox');
+  const profileSaveSummary  = document.getElementById('profileSaveSummary');
+  const saveProfileBtn      = document.getElementById('saveProfileBtn');
+  const profileError        = document.getElementById('profileError');
+  const profileList         = document.getElementById('profileList');
 
   // Combine page elements
   const backFromCombineBtn  = document.getElementById('backFromCombineBtn');
@@ -68,11 +148,63 @@ document.addEventListener('DOMContentLoaded', () => {
   const combineActivateBtn  = document.getElementById('combineActivateBtn');
   const combineRatioLabelA  = document.getElementById('combineRatioLabelA');
   const combineRatioLabelB  = document.getElementById('combineRatioLabelB');
+  const combineEngineSection = document.getElementById('combineEngineSection');
+  const combineEngineToggle  = document.getElementById('combineEngineToggle');
+  const combineMockup        = document.getElementById('combineMockup');
+  const combineMockupOverlay = document.getElementById('combineMockupOverlay');
+  // Reuse the detail page's mockup page rather than keeping a second copy of its markup
+  const combineMockupPage    = filterMockup.firstElementChild.cloneNode(true);
+  combineMockup.prepend(combineMockupPage);
+
+  // This Site (per-site rule) elements
+  const darkEngineToggle = document.getElementById('darkEngineToggle');
+  const blueLightEngineToggle = document.getElementById('blueLightEngineToggle');
+  const blueLightEngineBtns = document.querySelectorAll('[data-bl-engine]');
+  const kelvinSection = document.getElementById('kelvinSection');
+  const kelvinSlider = document.getElementById('kelvinSlider');
+  const kelvinValue = document.getElementById('kelvinValue');
+  const kelvinNow = document.getElementById('kelvinNow');
+  const respectNativeDarkBox = document.getElementById('respectNativeDark');
+  const mediaAwareBox = document.getElementById('mediaAwareBox');
+  const mediaOptions = document.getElementById('mediaOptions');
+  const mediaActionSelect = document.getElementById('mediaActionSelect');
+  const colorCriticalInput = document.getElementById('colorCriticalInput');
+  const siteSection         = document.getElementById('siteSection');
+  const sitePageState       = document.getElementById('sitePageState');
+  const siteHost            = document.getElementById('siteHost');
+  const sitePatternInput    = document.getElementById('sitePattern');
+  const siteActionSelect    = document.getElementById('siteAction');
+  const siteForceRow        = document.getElementById('siteForceRow');
+  const siteModeSelect      = document.getElementById('siteMode');
+  const siteIntensitySlider = document.getElementById('siteIntensitySlider');
+  const siteIntensityValue  = document.getElementById('siteIntensityValue');
+  const auditContrastBtn    = document.getElementById('auditContrastBtn');
+  const clearAuditBtn       = document.getElementById('clearAuditBtn');
+  const auditSummary        = document.getElementById('auditSummary');
+  const auditVerdict        = document.getElementById('auditVerdict');
+
+  // Just for Now (temporary override) elements
+  const overrideSection   = document.getElementById('overrideSection');
+  const overrideScopeBtns = document.querySelectorAll('[data-scope]');
+  const overrideSelect    = document.getElementById('overrideSelect');
+  const overrideHint      = document.getElementById('overrideHint');
+  const simulateSplitRow  = document.getElementById('simulateSplitRow');
+  const simulateSplitBox  = document.getElementById('simulateSplitBox');
 
   // Color blindness type selector elements
   const cbTypeSection = document.getElementById('cbTypeSection');
   const cbTypeBtns    = document.querySelectorAll('.cb-type-option');
   const cbTypeDesc    = document.getElementById('cbTypeDesc');
+  const cbSeverityRow    = document.getElementById('cbSeverityRow');
+  const cbSeveritySlider = document.getElementById('cbSeveritySlider');
+  const cbSeverityValue  = document.getElementById('cbSeverityValue');
+
+  // Dim curve elements
+  const dimSection     = document.getElementById('dimSection');
+  const dimGammaSlider = document.getElementById('dimGammaSlider');
+  const dimGammaValue  = document.getElementById('dimGammaValue');
+  const dimFloorSlider = document.getElementById('dimFloorSlider');
+  const dimFloorValue  = document.getElementById('dimFloorValue');
 
   // Metadata for the three scientific filter modes
   const FILTER_META = {
@@ -103,116 +235,70 @@ document.addEventListener('DOMContentLoaded', () => {
     'colorblind': {
       name: 'Color Blind Assist',
       swatchColor: 'linear-gradient(135deg, #4ade80, #6c8cff, #f5a623)',
-      desc: 'Applies Daltonization correction to shift colors you cannot perceive into channels you can. Based on Viénot, Brettel & Mollon simulation models.',
+      desc: 'Applies Daltonization correction to shift colors you cannot perceive into channels you can. Based on the Machado, Oliveira & Fernandes (2009) simulation model, tuned to how strong your deficiency is.',
       cctStops: [[20, 'Subtle'], [40, 'Moderate'], [60, 'Strong'], [80, 'Very Strong'], [100, 'Full Correction']]
+    },
+    'dim': {
+      name: 'Dim',
+      swatchColor: 'linear-gradient(135deg, #111827, #4b5563)',
+      desc: 'Darkens the page without shifting its colors, for late nights when the monitor at its lowest brightness is still too bright. Stacks with any other filter through Combine.',
+      cctStops: [[20, 'White at 82%'], [40, 'White at 64%'], [60, 'White at 46%'], [80, 'White at 28%'], [100, 'White at 10%']]
     }
   };
 
-  const CB_TYPE_META = {
-    protanopia:   { label: 'Protanopia',   desc: 'Red-blind (L-cone deficiency). ~1.3% of males. Difficulty distinguishing red from green.' },
-    deuteranopia: { label: 'Deuteranopia', desc: 'Green-blind (M-cone deficiency). ~5% of males. Most common form. Red-green confusion.' },
-    tritanopia:   { label: 'Tritanopia',   desc: 'Blue-blind (S-cone deficiency). ~0.01% of population. Blue-yellow confusion.' }
-  };
+  // Built-in metadata, or a generic entry for a user's custom filter
+  function filterMeta(mode) {
+    const custom = FilterEngine.findCustomFilter(mode, currentSettings.customFilters);
+    if (!custom) return FILTER_META[mode];
+    return {
+      name: custom.name,
+      desc: 'Your own filter: sepia, saturation, brightness, contrast and hue set at each intensity stop.',
+      cctStops: []
+    };
+  }
 
-  // ── Filter CSS computation (mirrored from content.js) ──
-  const FILTER_KEYFRAMES = {
-    'sleep-prep': {
-        0: { sepia: 0,    saturate: 1.00, brightness: 1.00, contrast: 1.00 },
-       20: { sepia: 0.30, saturate: 1.50, brightness: 0.98, contrast: 1.00 },
-       40: { sepia: 0.55, saturate: 2.00, brightness: 0.95, contrast: 1.00 },
-       60: { sepia: 0.75, saturate: 2.50, brightness: 0.92, contrast: 1.00 },
-       80: { sepia: 0.90, saturate: 3.00, brightness: 0.90, contrast: 1.00 },
-      100: { sepia: 1.00, saturate: 3.50, brightness: 0.88, contrast: 1.00 }
-    },
-    'reduce-eye-strain': {
-        0: { sepia: 0,    saturate: 1.00, brightness: 1.00, contrast: 1.00 },
-       20: { sepia: 0.08, saturate: 1.05, brightness: 0.99, contrast: 0.99 },
-       40: { sepia: 0.15, saturate: 1.10, brightness: 0.98, contrast: 0.98 },
-       60: { sepia: 0.22, saturate: 1.15, brightness: 0.97, contrast: 0.97 },
-       80: { sepia: 0.28, saturate: 1.20, brightness: 0.97, contrast: 0.97 },
-      100: { sepia: 0.35, saturate: 1.30, brightness: 0.96, contrast: 0.96 }
-    },
-    'reader-mode': {
-        0: { sepia: 0,    saturate: 1.00, brightness: 1.00, contrast: 1.00 },
-       20: { sepia: 0.15, saturate: 0.95, brightness: 0.97, contrast: 0.97 },
-       40: { sepia: 0.30, saturate: 0.90, brightness: 0.94, contrast: 0.93 },
-       60: { sepia: 0.45, saturate: 0.85, brightness: 0.90, contrast: 0.90 },
-       80: { sepia: 0.55, saturate: 0.82, brightness: 0.87, contrast: 0.87 },
-      100: { sepia: 0.65, saturate: 0.80, brightness: 0.85, contrast: 0.85 }
+  // `plate` picks the Ishihara preview; the …anomaly types also take a severity
+  const CB_TYPE_META = {
+    protanomaly:   { label: 'Protanomaly',   plate: 'protanopia',   desc: 'Red-weak (shifted L cones). ~1% of males. Reds look duller and closer to green.' },
+    deuteranomaly: { label: 'Deuteranomaly', plate: 'deuteranopia', desc: 'Green-weak (shifted M cones). ~5% of males. Most common form. Red-green confusion.' },
+    tritanomaly:   { label: 'Tritanomaly',   plate: 'tritanopia',   desc: 'Blue-weak (shifted S cones). Rare. Blue-green and yellow-pink confusion.' },
+    protanopia:    { label: 'Protanopia',    plate: 'protanopia',   desc: 'Red-blind (L-cone deficiency). ~1.3% of males. Difficulty distinguishing red from green.' },
+    deuteranopia:  { label: 'Deuteranopia',  plate: 'deuteranopia', desc: 'Green-blind (M-cone deficiency). ~1% of males. Red-green confusion.' },
+    tritanopia:    { label: 'Tritanopia',    plate: 'tritanopia',   desc: 'Blue-blind (S-cone deficiency). ~0.01% of population. Blue-yellow confusion.' },
+    achromatopsia: { label: 'Achromatopsia', plate: 'deuteranopia', desc: 'No working cones (rod monochromacy). ~1 in 30,000. Correction turns color differences into lightness differences.' },
+    'blue-cone-monochromacy': {
+      label: 'Blue-Cone Monochromacy', plate: 'deuteranopia',
+      desc: 'Only S cones work. ~1 in 100,000, mostly males. Reds and greens look dark; correction lifts them into blue.'
     }
   };
 
-  const FILTER_STOPS = [0, 20, 40, 60, 80, 100];
+  function cbTypeMeta(type) {
+    return CB_TYPE_META[type] || CB_TYPE_META.deuteranopia;
+  }
 
-  function lerpObj(a, b, t) {
-    const out = {};
-    for (const k of Object.keys(a)) out[k] = a[k] + (b[k] - a[k]) * t;
-    return out;
+  function hasCBSeverity(type) {
+    return type.endsWith('anomaly');
   }
 
-  function computeFilterCSS(mode, intensity) {
-    const frames = FILTER_KEYFRAMES[mode];
-    if (!frames) return '';
-    const clamped = Math.max(0, Math.min(100, intensity));
-    let lo = 0, hi = 20;
-    for (let i = 0; i < FILTER_STOPS.length - 1; i++) {
-      if (clamped >= FILTER_STOPS[i] && clamped <= FILTER_STOPS[i + 1]) {
-        lo = FILTER_STOPS[i]; hi = FILTER_STOPS[i + 1]; break;
-      }
-    }
-    const t = hi === lo ? 1 : (clamped - lo) / (hi - lo);
-    const p = lerpObj(frames[lo], frames[hi], t);
-    const f = (v) => v.toFixed(3);
-    return `sepia(${f(p.sepia)}) saturate(${f(p.saturate)}) brightness(${f(p.brightness)}) contrast(${f(p.contrast)})`;
+  function cbSeverity() {
+    return currentSettings.colorblindSeverity ?? FilterEngine.DEFAULT_CB_SEVERITY;
   }
 
+  // ── Filter previews (rendered by filter-engine.js, like the tabs) ──
+  const { FILTER_KEYFRAMES, NEUTRAL_KELVIN, computeCBMatrix, kelvinForIntensity } = FilterEngine;
+
+  // Colorblind mode previews on the Ishihara plates instead
   function updateMockupFilter(mode, intensity) {
     if (!filterMockup) return;
-    if (mode === 'grayscale') {
-      filterMockup.style.filter = `grayscale(${(intensity / 100).toFixed(3)})`;
-    } else if (FILTER_KEYFRAMES[mode]) {
-      filterMockup.style.filter = computeFilterCSS(mode, intensity);
-    } else {
-      filterMockup.style.filter = 'none';
-    }
+    const plan = FilterEngine.render({
+      mode, intensity, enabled: true, customFilters: currentSettings.customFilters,
+      dimGamma: currentSettings.dimGamma, dimFloor: currentSettings.dimFloor
+    });
+    setPreviewFilters(plan);
+    filterMockup.style.filter = mode === 'colorblind' ? 'none' : plan.htmlFilterCSS;
   }
 
   // ── Color Blindness Ishihara Preview ──────────────────────────
-  const CB_SIM = {
-    protanopia:   [0.152286,1.052583,-0.204868, 0.114503,0.786281,0.099216, -0.003882,-0.048116,1.051998],
-    deuteranopia: [0.367322,0.860646,-0.227968, 0.280085,0.672501,0.047413, -0.011820,0.042940,0.968881],
-    tritanopia:   [1.255528,-0.076749,-0.178779, -0.078411,0.930809,0.147602, 0.004733,0.691367,0.303900]
-  };
-  const CB_ERR_SHIFT = {
-    protanopia:   [0,0,0, 0.7,0,0, 0.7,0,0],
-    deuteranopia: [0,0.7,0, 0,0,0, 0,0.7,0],
-    tritanopia:   [0,0,0.7, 0,0,0.7, 0,0,0]
-  };
-  const I3 = [1,0,0, 0,1,0, 0,0,1];
-
-  function mul3(A, B) {
-    const R = new Array(9);
-    for (let r = 0; r < 3; r++)
-      for (let c = 0; c < 3; c++)
-        R[r * 3 + c] = A[r * 3] * B[c] + A[r * 3 + 1] * B[3 + c] + A[r * 3 + 2] * B[6 + c];
-    return R;
-  }
-
-  function computeCBMatrix(type, severity) {
-    const sim = CB_SIM[type] || CB_SIM.deuteranopia;
-    const es  = CB_ERR_SHIFT[type] || CB_ERR_SHIFT.deuteranopia;
-    const diff = I3.map((v, i) => v - sim[i]);
-    const corr = mul3(es, diff);
-    const M = I3.map((v, i) => v + severity * corr[i]);
-    const f = (v) => v.toFixed(6);
-    return [
-      f(M[0]), f(M[1]), f(M[2]), '0', '0',
-      f(M[3]), f(M[4]), f(M[5]), '0', '0',
-      f(M[6]), f(M[7]), f(M[8]), '0', '0',
-      '0',     '0',     '0',     '1', '0'
-    ].join(' ');
-  }
-
   // Ishihara plate colors: background vs number dots, per deficiency type
   const ISHIHARA_COLORS = {
     protanopia: {
@@ -266,7 +352,8 @@ document.addEventListener('DOMContentLoaded', () => {
     return () => { s = (s * 16807 + 0) % 2147483647; return s / 2147483647; };
   }
 
-  function generateIshiharaPlate(type) {
+  function generateIshiharaPlate(cbType) {
+    const type = cbTypeMeta(cbType).plate;
     const size = 140;
     const cx = size / 2, cy = size / 2, R = size / 2 - 2;
     const grid = ISHIHARA_NUMBERS[type].grid;
@@ -361,19 +448,17 @@ document.addEventListener('DOMContentLoaded', () => {
         <div class="ishihara-label">With correction</div>
       </div>`;
 
-    // Update the SVG filter matrix
-    const matrix = ensureCBPreviewSvg();
-    matrix.setAttribute('values', computeCBMatrix(type, intensity / 100));
+    updateIshiharaFilter(type, intensity);
   }
 
   function updateIshiharaFilter(type, intensity) {
     const matrix = ensureCBPreviewSvg();
-    matrix.setAttribute('values', computeCBMatrix(type, intensity / 100));
+    matrix.setAttribute('values', computeCBMatrix(type, intensity / 100, cbSeverity()));
   }
 
   function getNearestCCT(mode, intensity) {
-    const meta = FILTER_META[mode];
-    if (!meta) return '';
+    const meta = filterMeta(mode);
+    if (!meta || !meta.cctStops.length) return '';
     return meta.cctStops.reduce((prev, curr) =>
       Math.abs(curr[0] - intensity) < Math.abs(prev[0] - intensity) ? curr : prev
     )[1];
@@ -382,15 +467,19 @@ document.addEventListener('DOMContentLoaded', () => {
   let currentDetailMode = null;
 
   let currentSettings = {};
+  let savedSettings = {}; // as last loaded or saved, so a save sends only what changed
+  let nextScheduleStart = null;
 
   // ── Load Settings ────────────────────────
   function loadSettings() {
     chrome.runtime.sendMessage({ type: 'GET_STATUS' }, (response) => {
       if (!response || !response.settings) return;
       currentSettings = response.settings;
+      savedSettings = JSON.parse(JSON.stringify(currentSettings));
+      nextScheduleStart = response.nextStart || null;
 
       // If subscription expired and a premium mode is active, reset to free mode
-      if (!isPro && currentSettings.manualActive && PREMIUM_MODES.has(currentSettings.mode)) {
+      if (!isPro && currentSettings.manualActive && isPremiumMode(currentSettings.mode)) {
         currentSettings.mode = 'bluelight';
         currentSettings.manualActive = false;
         saveSettings();
@@ -401,10 +490,19 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   // ── Save Settings ────────────────────────
+  // Only the fields changed here are sent, and background.js merges them into what's
+  // stored. This copy can be seconds old; sending all of it would undo a sync merge.
   function saveSettings() {
+    const changed = {};
+    Object.keys(currentSettings).forEach(key => {
+      if (JSON.stringify(currentSettings[key]) !== JSON.stringify(savedSettings[key])) {
+        changed[key] = currentSettings[key];
+      }
+    });
+    savedSettings = JSON.parse(JSON.stringify(currentSettings));
     chrome.runtime.sendMessage({
       type: 'UPDATE_SETTINGS',
-      settings: currentSettings
+      settings: changed
     });
   }
 
@@ -422,8 +520,20 @@ document.addEventListener('DOMContentLoaded', () => {
       btn.classList.toggle('selected', btn.dataset.mode === currentSettings.mode);
     });
 
-    // Filter cards (filters page: sleep-prep / reduce-eye-strain / reader-mode)
-    filterCards.forEach(card => {
+    respectNativeDarkBox.checked = currentSettings.respectNativeDark !== false;
+    mediaAwareBox.checked = currentSettings.mediaAware !== false;
+    mediaOptions.classList.toggle('hidden', !mediaAwareBox.checked);
+    mediaActionSelect.value = currentSettings.mediaAction || 'suspend';
+    if (document.activeElement !== colorCriticalInput) {
+      colorCriticalInput.value = (currentSettings.colorCriticalSites || []).join('\n');
+    }
+    updateEngineToggle(darkEngineToggle, 'darkmode');
+    darkEngineToggle.classList.toggle('hidden', currentSettings.mode !== 'darkmode');
+    updateKelvinUI();
+
+    // Filter cards (filters page: built-ins, then the user's own)
+    renderCustomFilterCards();
+    allFilterCards().forEach(card => {
       card.classList.toggle('selected', card.dataset.filter === currentSettings.mode);
     });
 
@@ -432,21 +542,18 @@ document.addEventListener('DOMContentLoaded', () => {
       opt.classList.toggle('selected', opt.dataset.type === currentSettings.scheduleType);
     });
 
-    if (currentSettings.scheduleType === 'manual') {
-      setTimerBtn.classList.remove('hidden');
-      autoSection.classList.add('hidden');
-      if (currentSettings.timerEnabled) {
-        manualTimes.classList.remove('hidden');
-        setTimerBtn.textContent = 'Deactivate Timer';
-      } else {
-        manualTimes.classList.add('hidden');
-        setTimerBtn.textContent = '⏱ Set Timer';
-      }
-    } else {
-      setTimerBtn.classList.add('hidden');
-      manualTimes.classList.add('hidden');
-      autoSection.classList.remove('hidden');
-    }
+    updateScheduleSections();
+    updateWeeklySummary();
+    updateCircadianUI();
+    renderProfileSelect();
+
+    // Transition
+    const transitionMinutes = currentSettings.transitionMinutes || 30;
+    transitionSlider.value = transitionMinutes;
+    transitionValue.textContent = `${transitionMinutes} min`;
+    curveBtns.forEach(btn => {
+      btn.classList.toggle('selected', btn.dataset.curve === (currentSettings.transitionCurve || 'ease-in-out'));
+    });
 
     // Activate button
     if (currentSettings.manualActive) {
@@ -462,13 +569,19 @@ document.addEventListener('DOMContentLoaded', () => {
     endTimeInput.value = currentSettings.endTime || '07:00';
 
     // Location
-    if (currentSettings.latitude && currentSettings.longitude) {
-      locationBtn.textContent = '✅ Location Set';
+    if (hasLocation()) {
+      locationBtn.textContent = `✅ ${currentSettings.locationName || 'Location Set'}`;
       locationBtn.classList.add('set');
       sunTimes.classList.remove('hidden');
-      sunsetTime.textContent = currentSettings.startTime || '--:--';
-      sunriseTime.textContent = currentSettings.endTime || '--:--';
+      const polar = currentSettings.sunPolar;
+      sunsetTime.textContent = (!polar && currentSettings.startTime) || '--:--';
+      sunriseTime.textContent = (!polar && currentSettings.endTime) || '--:--';
     }
+    sunStartEvent.value = currentSettings.sunStartEvent || 'sunset';
+    sunStartOffset.value = String(currentSettings.sunStartOffset || 0);
+    sunEndEvent.value = currentSettings.sunEndEvent || 'sunrise';
+    sunEndOffset.value = String(currentSettings.sunEndOffset || 0);
+    updateSunState();
 
     // Intensity
     intensitySlider.value = currentSettings.intensity || 80;
@@ -478,38 +591,192 @@ document.addEventListener('DOMContentLoaded', () => {
     updateCombinePageUI();
   }
 
-  const MODE_NAMES = {
-    'bluelight':          'Blue Light',
-    'darkmode':           'Dark Mode',
-    'both':               'Blue Light + Dark',
-    'combine':            'Combined',
-    'sleep-prep':         'Sleep Prep',
-    'reduce-eye-strain':  'Eye Strain',
-    'reader-mode':        'Reader Mode',
-    'grayscale':          'Grayscale',
-    'colorblind':         'Color Blind Assist'
-  };
+  // ── Sun Events ───────────────────────────
+  const SUN_OFFSETS = [-60, -45, -30, -15, 0, 15, 30, 45, 60];
+
+  SUN_OFFSETS.forEach(minutes => {
+    [sunStartOffset, sunEndOffset].forEach(select => {
+      const option = document.createElement('option');
+      option.value = minutes;
+      option.textContent = minutes === 0
+        ? 'On time'
+        : `${Math.abs(minutes)} min ${minutes < 0 ? 'before' : 'after'}`;
+      select.appendChild(option);
+    });
+  });
+
+  function sunEventName(select, event) {
+    const option = [...select.options].find(o => o.value === event);
+    return option ? option.textContent : event;
+  }
+
+  // Explain polar day/night, or a twilight that doesn't happen today and was swapped
+  function updateSunState() {
+    const { sunPolar, sunEvents } = currentSettings;
+    let text = '';
+    if (!hasLocation()) {
+      // Nothing has been calculated yet
+    } else if (sunPolar === 'day') {
+      text = '☀️ Polar day — the sun doesn\'t set today, so the filter stays off.';
+    } else if (sunPolar === 'night') {
+      text = '🌑 Polar night — the sun doesn\'t rise today, so the filter stays on all day.';
+    } else if (sunEvents) {
+      const swapped = [
+        [sunStartEvent, currentSettings.sunStartEvent || 'sunset', sunEvents.start],
+        [sunEndEvent, currentSettings.sunEndEvent || 'sunrise', sunEvents.end]
+      ].filter(([, chosen, used]) => chosen !== used);
+      text = swapped.map(([select, chosen, used]) =>
+        `${sunEventName(select, chosen)} doesn't happen today — using ${sunEventName(select, used).toLowerCase()}.`
+      ).join(' ');
+    }
+    sunState.textContent = text;
+    sunState.classList.toggle('hidden', !text);
+  }
+
+  function saveSunEvents() {
+    currentSettings.sunStartEvent = sunStartEvent.value;
+    currentSettings.sunStartOffset = parseInt(sunStartOffset.value);
+    currentSettings.sunEndEvent = sunEndEvent.value;
+    currentSettings.sunEndOffset = parseInt(sunEndOffset.value);
+    saveSettings();
+
+    // Wait for background to recalculate the window, then refresh
+    setTimeout(() => {
+      loadSettings();
+    }, 500);
+  }
+
+  [sunStartEvent, sunStartOffset, sunEndEvent, sunEndOffset].forEach(select => {
+    select.addEventListener('change', saveSunEvents);
+  });
+
+  // ── Dark Mode Engine (per mode) ──────────
+  // 'invert' filters the whole page; 'smart' recolors elements and leaves media untouched
+  function getDarkEngine(mode) {
+    return (currentSettings.darkModeEngine || {})[mode] || 'invert';
+  }
+
+  function updateEngineToggle(toggle, mode) {
+    toggle.querySelectorAll('[data-engine]').forEach(btn => {
+      btn.classList.toggle('selected', btn.dataset.engine === getDarkEngine(mode));
+    });
+  }
+
+  function setupEngineToggle(toggle, mode) {
+    toggle.querySelectorAll('[data-engine]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        currentSettings.darkModeEngine = { ...(currentSettings.darkModeEngine || {}), [mode]: btn.dataset.engine };
+        updateEngineToggle(toggle, mode);
+        track('dark_engine_selected', { mode, engine: btn.dataset.engine });
+        saveSettings();
+      });
+    });
+  }
+
+  // Show the controls for the selected schedule type only
+  function updateScheduleSections() {
+    const type = currentSettings.scheduleType;
+    setTimerBtn.classList.toggle('hidden', type !== 'manual');
+    setTimerBtn.textContent = currentSettings.timerEnabled ? 'Deactivate Timer' : '⏱ Set Timer';
+    manualTimes.classList.toggle('hidden', type !== 'manual' || !currentSettings.timerEnabled);
+    autoSection.classList.toggle('hidden', type !== 'auto');
+    weeklySection.classList.toggle('hidden', type !== 'weekly');
+    circadianSection.classList.toggle('hidden', type !== 'circadian');
+    updateTransitionVisibility();
+  }
+
+  // The fade only applies to scheduled windows, so hide it when nothing is scheduled
+  function updateTransitionVisibility() {
+    const scheduled = currentSettings.scheduleType === 'auto' ||
+      currentSettings.scheduleType === 'weekly' || currentSettings.timerEnabled;
+    transitionSection.classList.toggle('hidden', !scheduled);
+  }
+
+  const { MODE_NAMES } = FilterEngine;
+
+  function modeName(mode) {
+    const custom = FilterEngine.findCustomFilter(mode, currentSettings.customFilters);
+    return custom ? custom.name : MODE_NAMES[mode] || mode;
+  }
+
+  function isSnoozed() {
+    return !!currentSettings.snoozeUntil && currentSettings.snoozeUntil > Date.now();
+  }
+
+  // Under an hour: live mm:ss countdown. Longer: the wall-clock resume time.
+  function formatSnooze(until) {
+    const remaining = Math.max(0, until - Date.now());
+    if (remaining < 3600000) {
+      const mins = Math.floor(remaining / 60000);
+      const secs = Math.floor((remaining % 60000) / 1000);
+      return `Snoozed — ${mins}:${String(secs).padStart(2, '0')} left`;
+    }
+    const resume = new Date(until);
+    const sameDay = resume.toDateString() === new Date().toDateString();
+    const clock = resume.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    return `Snoozed until ${sameDay ? '' : 'tomorrow '}${clock}`;
+  }
+
+  function updateSnoozeUI() {
+    const snoozed = isSnoozed();
+    snoozeOptions.classList.toggle('hidden', snoozed);
+    resumeBtn.classList.toggle('hidden', !snoozed);
+    snoozeBtns.forEach(btn => {
+      if (btn.dataset.snooze === 'next-start') btn.disabled = !nextScheduleStart;
+    });
+  }
 
   function updateStatus() {
-    const { enabled, isActive, currentIntensity, manualActive, intensity, timerEnabled, mode } = currentSettings;
-    const modeName = MODE_NAMES[mode] || mode;
+    const { enabled, isActive, currentIntensity, manualActive, timerEnabled, activeRule } = currentSettings;
+    // A winning weekly rule supplies its own mode and target intensity
+    const mode = !manualActive && activeRule ? activeRule.mode : currentSettings.mode;
+    const intensity = !manualActive && activeRule ? activeRule.intensity : currentSettings.intensity;
+    const ruleProfileName = !manualActive && activeRule && activeRule.profileName;
+    const name = ruleProfileName ? `${ruleProfileName} (${modeName(mode)})` : modeName(mode);
+    updateSnoozeUI();
 
     if (!enabled) {
       statusDot.className = 'status-dot';
       statusText.textContent = 'Disabled';
       statusIntensity.textContent = '';
+    } else if (isSnoozed()) {
+      statusDot.className = 'status-dot scheduled';
+      statusText.textContent = formatSnooze(currentSettings.snoozeUntil);
+      statusIntensity.textContent = '';
     } else if (manualActive) {
       statusDot.className = 'status-dot active';
-      statusText.textContent = `Active — ${modeName}`;
-      statusIntensity.textContent = `${intensity}%`;
+      statusText.textContent = `Active — ${name}`;
+      statusIntensity.textContent = usesKelvin(mode)
+        ? `${kelvinForIntensity(currentSettings.colorTemperature || 3400, intensity)}K`
+        : `${intensity}%`;
+    } else if (currentSettings.scheduleType === 'circadian' && currentSettings.circadian) {
+      statusDot.className = 'status-dot active';
+      statusText.textContent = 'Active — Circadian';
+      statusIntensity.textContent = `${circadianApplied().kelvin}K`;
     } else if (isActive && currentIntensity > 0) {
       statusDot.className = 'status-dot active';
-      statusText.textContent = `Active — ${modeName}`;
-      statusIntensity.textContent = `${currentIntensity}%`;
+      statusText.textContent = currentIntensity < intensity
+        ? `Fading — ${name}`
+        : `Active — ${name}`;
+      statusIntensity.textContent = usesKelvin(mode)
+        ? `${kelvinForIntensity(currentSettings.colorTemperature || 3400, currentIntensity)}K`
+        : `${currentIntensity}%`;
+    } else if (ruleProfileName && activeRule.profile &&
+      getProfiles().some(p => p.id === activeRule.profile && !p.enabled)) {
+      statusDot.className = 'status-dot';
+      statusText.textContent = `Off — ${ruleProfileName}`;
+      statusIntensity.textContent = '';
     } else if (timerEnabled) {
       statusDot.className = 'status-dot scheduled';
       statusText.textContent = `Scheduled: ${formatTime(currentSettings.startTime)}`;
       statusIntensity.textContent = '';
+    } else if (currentSettings.scheduleType === 'weekly' && nextScheduleStart) {
+      const next = new Date(nextScheduleStart);
+      const day = next.toLocaleDateString([], { weekday: 'short' });
+      const clock = next.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+      statusDot.className = 'status-dot scheduled';
+      statusText.textContent = `Scheduled: ${day} ${clock}`;
+      statusIntensity.textContent = '';
     } else {
       statusDot.className = 'status-dot';
       statusText.textContent = 'Inactive';
@@ -544,12 +811,20 @@ document.addEventListener('DOMContentLoaded', () => {
   });
 
   // ── Color Blindness Type Selection ──────
+  function updateCBTypeInfo(type) {
+    cbTypeDesc.textContent = cbTypeMeta(type).desc;
+    cbSeverityRow.classList.toggle('hidden', !hasCBSeverity(type));
+    const severity = Math.round(cbSeverity() * 100);
+    cbSeveritySlider.value = severity;
+    cbSeverityValue.textContent = `${severity}%`;
+  }
+
   cbTypeBtns.forEach(btn => {
     btn.addEventListener('click', () => {
       cbTypeBtns.forEach(b => b.classList.remove('selected'));
       btn.classList.add('selected');
       currentSettings.colorblindType = btn.dataset.cbtype;
-      cbTypeDesc.textContent = CB_TYPE_META[btn.dataset.cbtype].desc;
+      updateCBTypeInfo(btn.dataset.cbtype);
       // Update Ishihara preview with the new deficiency type
       if (currentDetailMode === 'colorblind') {
         const intensity = parseInt(filterIntensitySlider.value);
@@ -562,52 +837,101 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
 
+  cbSeveritySlider.addEventListener('input', () => {
+    cbSeverityValue.textContent = `${cbSeveritySlider.value}%`;
+    currentSettings.colorblindSeverity = parseInt(cbSeveritySlider.value) / 100;
+    updateIshiharaFilter(currentSettings.colorblindType || 'deuteranopia', parseInt(filterIntensitySlider.value));
+  });
+
+  cbSeveritySlider.addEventListener('change', () => {
+    track('cb_severity_changed', { type: currentSettings.colorblindType, severity: currentSettings.colorblindSeverity });
+    if (currentSettings.mode === 'colorblind' && currentSettings.manualActive) {
+      saveSettings();
+    }
+  });
+
+  // ── Dim Curve ────────────────────────────
+  function updateDimControls() {
+    const gamma = currentSettings.dimGamma ?? FilterEngine.DEFAULT_DIM_GAMMA;
+    const floor = currentSettings.dimFloor ?? 0;
+    dimGammaSlider.value = Math.round(gamma * 100);
+    dimGammaValue.textContent = gamma.toFixed(1);
+    dimFloorSlider.value = Math.round(floor * 100);
+    dimFloorValue.textContent = `${Math.round(floor * 100)}%`;
+  }
+
+  function onDimCurveInput() {
+    currentSettings.dimGamma = parseInt(dimGammaSlider.value) / 100;
+    currentSettings.dimFloor = parseInt(dimFloorSlider.value) / 100;
+    updateDimControls();
+    updateMockupFilter(currentDetailMode, parseInt(filterIntensitySlider.value));
+  }
+
+  function onDimCurveChange() {
+    track('dim_curve_changed', { gamma: currentSettings.dimGamma, floor: currentSettings.dimFloor });
+    // Combine can be dimming too, so check the live settings rather than the mode
+    if (currentSettings.manualActive && FilterEngine.hasDimLayer(currentSettings)) {
+      saveSettings();
+    }
+  }
+
+  [dimGammaSlider, dimFloorSlider].forEach(slider => {
+    slider.addEventListener('input', onDimCurveInput);
+    slider.addEventListener('change', onDimCurveChange);
+  });
+
   // ── Filter Card → Detail Page ─────────────
-  filterCards.forEach(card => {
-    card.addEventListener('click', () => {
-      currentDetailMode = card.dataset.filter;
-      const meta = FILTER_META[currentDetailMode];
-      if (!meta) return;
+  function openFilterDetail(mode) {
+    currentDetailMode = mode;
+    const meta = filterMeta(currentDetailMode);
+    if (!meta) return;
 
-      // Populate detail page
-      filterDetailName.textContent = meta.name;
-      filterDesc.textContent = meta.desc;
+    // Populate detail page
+    filterDetailName.textContent = meta.name;
+    filterDesc.textContent = meta.desc;
 
-      const intensity = currentSettings.intensity || 80;
-      filterIntensitySlider.value = intensity;
-      filterIntensityValue.textContent = `${intensity}%`;
-      filterCCT.textContent = getNearestCCT(currentDetailMode, intensity);
+    const intensity = currentSettings.intensity || 80;
+    filterIntensitySlider.value = intensity;
+    filterIntensityValue.textContent = `${intensity}%`;
+    filterCCT.textContent = getNearestCCT(currentDetailMode, intensity);
 
-      // Toggle between webpage mockup and Ishihara preview
-      if (currentDetailMode === 'colorblind') {
-        filterMockup.classList.add('hidden');
-        filterIshihara.classList.remove('hidden');
-        const cbType = currentSettings.colorblindType || 'deuteranopia';
-        showIshiharaPreview(cbType, intensity);
-
-        cbTypeSection.classList.remove('hidden');
-        filterIntensityLabel.textContent = 'Severity';
-        filterStrengthLabel.textContent = 'Correction strength';
-        cbTypeBtns.forEach(b => b.classList.toggle('selected', b.dataset.cbtype === cbType));
-        cbTypeDesc.textContent = CB_TYPE_META[cbType].desc;
-      } else {
-        filterMockup.classList.remove('hidden');
-        filterIshihara.classList.add('hidden');
-        updateMockupFilter(currentDetailMode, intensity);
+    // Toggle between webpage mockup and Ishihara preview
+    if (currentDetailMode === 'colorblind') {
+      filterMockup.classList.add('hidden');
+      filterIshihara.classList.remove('hidden');
+      const cbType = currentSettings.colorblindType || 'deuteranopia';
+      showIshiharaPreview(cbType, intensity);
 
-        cbTypeSection.classList.add('hidden');
-        filterIntensityLabel.textContent = 'Intensity';
-        filterStrengthLabel.textContent = 'Filter strength';
-      }
+      cbTypeSection.classList.remove('hidden');
+      filterIntensityLabel.textContent = 'Correction';
+      filterStrengthLabel.textContent = 'Correction strength';
+      cbTypeBtns.forEach(b => b.classList.toggle('selected', b.dataset.cbtype === cbType));
+      updateCBTypeInfo(cbType);
+    } else {
+      filterMockup.classList.remove('hidden');
+      filterIshihara.classList.add('hidden');
+      updateMockupFilter(currentDetailMode, intensity);
 
-      // Reflect whether this mode is currently active
-      const isActive = currentSettings.mode === currentDetailMode && currentSettings.manualActive;
-      filterActivateBtn.textContent = isActive ? '⏹ Deactivate Filter' : '✦ Activate Filter';
-      filterActivateBtn.classList.toggle('active', isActive);
+      cbTypeSection.classList.add('hidden');
+      filterIntensityLabel.textContent = 'Intensity';
+      filterStrengthLabel.textContent = 'Filter strength';
+    }
+    dimSection.classList.toggle('hidden', currentDetailMode !== 'dim');
+    if (currentDetailMode === 'dim') updateDimControls();
 
-      track('filter_detail_viewed', { filter: currentDetailMode });
-      pagesWrapper.classList.add('on-detail');
-    });
+    // Reflect whether this mode is currently active
+    const isActive = currentSettings.mode === currentDetailMode && currentSettings.manualActive;
+    filterActivateBtn.textContent = isActive ? '⏹ Deactivate Filter' : '✦ Activate Filter';
+    filterActivateBtn.classList.toggle('active', isActive);
+
+    editCustomFilterBtn.classList.toggle('hidden', !FilterEngine.isCustomMode(currentDetailMode));
+
+    track('filter_detail_viewed', { filter: FilterEngine.isCustomMode(currentDetailMode) ? 'custom' : currentDetailMode });
+    pagesWrapper.classList.add('on-detail');
+  }
+
+  filterCards.forEach(card => {
+    card.addEventListener('click', () => openFilterDetail(card.dataset.filter));
   });
 
   // ── Detail Page: Intensity Slider ─────────
@@ -636,7 +960,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const alreadyActive = currentSettings.mode === currentDetailMode && currentSettings.manualActive;
 
     // Gate premium filters for free users (deactivation is always allowed)
-    if (!alreadyActive && !isPro && PREMIUM_MODES.has(currentDetailMode)) {
+    if (!alreadyActive && !isPro && isPremiumMode(currentDetailMode)) {
       openPaymentPage();
       return;
     }
@@ -656,7 +980,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // Sync filter card selected states
-    filterCards.forEach(card => {
+    allFilterCards().forEach(card => {
       card.classList.toggle('selected', card.dataset.filter === currentSettings.mode && currentSettings.manualActive);
     });
 
@@ -678,6 +1002,8 @@ document.addEventListener('DOMContentLoaded', () => {
       modeBtns.forEach(b => b.classList.remove('selected'));
       btn.classList.add('selected');
       currentSettings.mode = btn.dataset.mode;
+      darkEngineToggle.classList.toggle('hidden', btn.dataset.mode !== 'darkmode');
+      updateKelvinUI();
       track('mode_selected', { mode: btn.dataset.mode });
 
       if (btn.dataset.mode === 'combine') {
@@ -694,6 +1020,30 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
 
+  respectNativeDarkBox.addEventListener('change', () => {
+    currentSettings.respectNativeDark = respectNativeDarkBox.checked;
+    saveSettings();
+  });
+
+  mediaAwareBox.addEventListener('change', () => {
+    currentSettings.mediaAware = mediaAwareBox.checked;
+    mediaOptions.classList.toggle('hidden', !mediaAwareBox.checked);
+    track('media_aware_toggled', { enabled: mediaAwareBox.checked });
+    saveSettings();
+  });
+
+  mediaActionSelect.addEventListener('change', () => {
+    currentSettings.mediaAction = mediaActionSelect.value;
+    saveSettings();
+  });
+
+  colorCriticalInput.addEventListener('change', () => {
+    const patterns = colorCriticalInput.value.split('\n').map(line => line.trim()).filter(Boolean);
+    currentSettings.colorCriticalSites = [...new Set(patterns)].slice(0, 100);
+    colorCriticalInput.value = currentSettings.colorCriticalSites.join('\n');
+    saveSettings();
+  });
+
   // Schedule type
   scheduleOptions.forEach(opt => {
     opt.addEventListener('click', () => {
@@ -703,18 +1053,22 @@ document.addEventListener('DOMContentLoaded', () => {
 
       // Reset timer when switching schedule type
       currentSettings.timerEnabled = false;
-      setTimerBtn.textContent = '⏱ Set Timer';
 
-      if (opt.dataset.type === 'manual') {
-        setTimerBtn.classList.remove('hidden');
-        manualTimes.classList.add('hidden');
-        autoSection.classList.add('hidden');
-      } else {
-        setTimerBtn.classList.add('hidden');
-        manualTimes.classList.add('hidden');
-        autoSection.classList.remove('hidden');
+      // Start a fresh weekly schedule from the current window so it's never empty
+      if (opt.dataset.type === 'weekly' && !getWeeklyRules().length) {
+        currentSettings.weeklyRules = [newWeeklyRule()];
       }
+
+      updateScheduleSections();
+      updateWeeklySummary();
       saveSettings();
+
+      // The circadian curve is resolved against today's sun times in background.js
+      if (opt.dataset.type === 'circadian') {
+        setTimeout(() => {
+          loadSettings();
+        }, 500);
+      }
     });
   });
 
@@ -728,6 +1082,7 @@ document.addEventListener('DOMContentLoaded', () => {
       manualTimes.classList.add('hidden');
       setTimerBtn.textContent = '⏱ Set Timer';
     }
+    updateTransitionVisibility();
     saveSettings();
     updateStatus();
   });
@@ -743,25 +1098,113 @@ document.addEventListener('DOMContentLoaded', () => {
     saveSettings();
   });
 
-  // Location detection
+  // Transition length + easing curve
+  transitionSlider.addEventListener('input', () => {
+    transitionValue.textContent = `${transitionSlider.value} min`;
+    currentSettings.transitionMinutes = parseInt(transitionSlider.value);
+  });
+
+  transitionSlider.addEventListener('change', () => {
+    saveSettings();
+  });
+
+  curveBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+      curveBtns.forEach(b => b.classList.remove('selected'));
+      btn.classList.add('selected');
+      currentSettings.transitionCurve = btn.dataset.curve;
+      saveSettings();
+    });
+  });
+
+  // ── Blue Light Engine (overlay / Kelvin) ─
+  function usesKelvin(mode = currentSettings.mode) {
+    return currentSettings.blueLightEngine === 'kelvin' && mode === 'bluelight';
+  }
+
+  function updateKelvinUI() {
+    const isBlueLight = currentSettings.mode === 'bluelight';
+    const engine = currentSettings.blueLightEngine || 'overlay';
+    blueLightEngineToggle.classList.toggle('hidden', !isBlueLight);
+    blueLightEngineBtns.forEach(btn => btn.classList.toggle('selected', btn.dataset.blEngine === engine));
+    kelvinSection.classList.toggle('hidden', !usesKelvin());
+
+    const target = currentSettings.colorTemperature || 3400;
+    kelvinSlider.value = target;
+    kelvinValue.textContent = `${target}K`;
+    const applied = currentSettings.currentIntensity || 0;
+    kelvinNow.textContent = applied > 0
+      ? `Applied now: ${kelvinForIntensity(target, applied)}K at ${applied}% strength`
+      : `Not active right now — ${NEUTRAL_KELVIN}K (neutral)`;
+  }
+
+  blueLightEngineBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+      currentSettings.blueLightEngine = btn.dataset.blEngine;
+      updateKelvinUI();
+      updateStatus();
+      track('blue_light_engine_selected', { engine: btn.dataset.blEngine });
+      saveSettings();
+    });
+  });
+
+  kelvinSlider.addEventListener('input', () => {
+    currentSettings.colorTemperature = parseInt(kelvinSlider.value);
+    updateKelvinUI();
+    updateStatus();
+  });
+
+  kelvinSlider.addEventListener('change', () => {
+    saveSettings();
+  });
+
+  // ── Location ─────────────────────────────
+  // Every source (GPS, city, typed coordinates, time zone) ends up in latitude/longitude.
+  function hasLocation() {
+    return currentSettings.latitude != null && currentSettings.longitude != null;
+  }
+
+  function setLocation(latitude, longitude, locationName, source) {
+    currentSettings.latitude = latitude;
+    currentSettings.longitude = longitude;
+    currentSettings.locationName = locationName;
+    locationBtn.textContent = `✅ ${locationName}`;
+    locationBtn.classList.add('set');
+    locationPanel.classList.add('hidden');
+    track('location_set', { source });
+    saveSettings();
+
+    // Wait for background to calculate sun times, then refresh
+    setTimeout(() => {
+      loadSettings();
+    }, 500);
+  }
+
+  function showLocationError(text) {
+    locationError.textContent = text;
+    locationError.classList.toggle('hidden', !text);
+  }
+
+  function openLocationPanel() {
+    locationPanel.classList.remove('hidden');
+    if (hasLocation()) {
+      latitudeInput.value = currentSettings.latitude;
+      longitudeInput.value = currentSettings.longitude;
+    }
+    citySearch.focus();
+  }
+
   locationBtn.addEventListener('click', () => {
     locationBtn.textContent = '📍 Detecting...';
 
     navigator.geolocation.getCurrentPosition(
       (position) => {
-        currentSettings.latitude = position.coords.latitude;
-        currentSettings.longitude = position.coords.longitude;
-        locationBtn.textContent = '✅ Location Set';
-        locationBtn.classList.add('set');
-        saveSettings();
-
-        // Wait for background to calculate sun times, then refresh
-        setTimeout(() => {
-          loadSettings();
-        }, 500);
+        setLocation(position.coords.latitude, position.coords.longitude, 'Current Location', 'gps');
       },
       (_error) => {
-        locationBtn.textContent = '❌ Location denied — try again';
+        // Often blocked by policy on managed machines — offer the offline options instead
+        locationBtn.textContent = '❌ Location blocked — enter it below';
+        openLocationPanel();
         setTimeout(() => {
           locationBtn.textContent = '📍 Detect My Location';
         }, 3000);
@@ -770,6 +1213,55 @@ document.addEventListener('DOMContentLoaded', () => {
     );
   });
 
+  manualLocationLink.addEventListener('click', () => {
+    if (locationPanel.classList.contains('hidden')) {
+      openLocationPanel();
+    } else {
+      locationPanel.classList.add('hidden');
+    }
+  });
+
+  citySearch.addEventListener('input', () => {
+    cityResults.innerHTML = '';
+    searchCities(citySearch.value).forEach(([name, country, latitude, longitude]) => {
+      const result = document.createElement('button');
+      result.className = 'city-result';
+      result.textContent = `${name}, ${country}`;
+      result.addEventListener('click', () => {
+        citySearch.value = '';
+        cityResults.innerHTML = '';
+        setLocation(latitude, longitude, `${name}, ${country}`, 'city');
+      });
+      cityResults.appendChild(result);
+    });
+  });
+
+  saveCoordsBtn.addEventListener('click', () => {
+    const latitude = parseFloat(latitudeInput.value);
+    const longitude = parseFloat(longitudeInput.value);
+    if (isNaN(latitude) || latitude < -90 || latitude > 90) {
+      showLocationError('Latitude must be between -90 and 90.');
+      return;
+    }
+    if (isNaN(longitude) || longitude < -180 || longitude > 180) {
+      showLocationError('Longitude must be between -180 and 180.');
+      return;
+    }
+    showLocationError('');
+    setLocation(latitude, longitude, `${latitude.toFixed(2)}, ${longitude.toFixed(2)}`, 'manual');
+  });
+
+  timeZoneLocationBtn.addEventListener('click', () => {
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const city = cityForTimeZone(timeZone);
+    if (!city) {
+      showLocationError(`No city found for time zone ${timeZone} — search for one instead.`);
+      return;
+    }
+    showLocationError('');
+    setLocation(city[2], city[3], `Near ${city[0]} (time zone)`, 'timezone');
+  });
+
   // Intensity slider
   intensitySlider.addEventListener('input', () => {
     const val = intensitySlider.value;
@@ -793,84 +1285,436 @@ document.addEventListener('DOMContentLoaded', () => {
       activateBtn.classList.remove('active');
     }
     // Sync filter card selected states (handles deactivating a filter-card mode from the main page)
-    filterCards.forEach(card => {
+    allFilterCards().forEach(card => {
       card.classList.toggle('selected', card.dataset.filter === currentSettings.mode && currentSettings.manualActive);
     });
     saveSettings();
     updateStatus();
   });
 
-  // ── Combine Filters Page ─────────────────
+  // ── This Site (per-site rules) ───────────
+  // The rule lookup itself lives in background.js (GET_SITE_RULE) so the popup
+  // always edits the same rule the tabs are actually resolved against.
+  let siteHostname = null;
+  let siteRuleIndex = -1;
+  let siteTabId = null;
+
+  function loadSiteRule() {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      const tab = tabs && tabs[0];
+      if (!tab || !tab.url || !/^https?:/.test(tab.url)) return;
+      siteHostname = new URL(tab.url).hostname;
+      siteHost.textContent = siteHostname;
+      siteTabId = tab.id;
+      loadPageState(tab.id);
+
+      chrome.runtime.sendMessage({ type: 'GET_SITE_RULE', url: tab.url }, (match) => {
+        const rule = match && match.rule;
+        siteRuleIndex = match ? match.index : -1;
+        sitePatternInput.value = rule ? rule.pattern : siteHostname;
+        siteActionSelect.value = rule ? rule.action : '';
+        siteModeSelect.value = (rule && rule.mode) || 'bluelight';
+        const intensity = (rule && rule.intensity) || currentSettings.intensity || 80;
+        siteIntensitySlider.value = intensity;
+        siteIntensityValue.textContent = `${intensity}%`;
+        siteForceRow.classList.toggle('hidden', siteActionSelect.value !== 'force');
+        siteSection.classList.remove('hidden');
+      });
+    });
+  }
 
-  const COMBINE_FILTER_NAMES = {
-    'bluelight':         'Blue Light',
-    'darkmode':          'Dark Mode',
-    'sleep-prep':        'Sleep Prep',
-    'reduce-eye-strain': 'Eye Strain',
-    'reader-mode':       'Reader'
+  // Ask the tab's content script what it detected (already-dark sites skip inversion)
+  const DARK_REASONS = {
+    'dark-background':      'dark background',
+    'color-scheme':         'declares a dark color-scheme',
+    'prefers-color-scheme': 'follows your dark system theme'
   };
 
-  function updateCombineRatioLabels() {
-    const f1Name = COMBINE_FILTER_NAMES[currentSettings.combineFilter1] || 'Filter A';
-    const f2Name = COMBINE_FILTER_NAMES[currentSettings.combineFilter2] || 'Filter B';
-    combineRatioLabelA.textContent = f1Name;
-    combineRatioLabelB.textContent = f2Name;
-    const pctA = Math.round((1 - (currentSettings.combineRatio ?? 0.5)) * 100);
-    const pctB = 100 - pctA;
-    combineRatioValue.textContent = `${pctA} / ${pctB}`;
-  }
+  // …and whether it has stepped aside for media (see mediaAware)
+  const MEDIA_REASONS = {
+    'fullscreen':     'something is full screen',
+    'video':          'a video is playing',
+    'color-critical': 'color-critical site'
+  };
 
-  function updateCombineDisabledStates() {
-    const f1 = currentSettings.combineFilter1;
-    const f2 = currentSettings.combineFilter2;
-    combineFilter1Grid.querySelectorAll('.combine-option').forEach(opt => {
-      opt.classList.toggle('disabled', opt.dataset.combine === f2);
-    });
-    combineFilter2Grid.querySelectorAll('.combine-option').forEach(opt => {
-      opt.classList.toggle('disabled', opt.dataset.combine === f1);
+  function loadPageState(tabId) {
+    chrome.tabs.sendMessage(tabId, { type: 'GET_PAGE_STATE' }, { frameId: 0 }, (state) => {
+      if (chrome.runtime.lastError || !state || !state.nativeDark) return;
+      const { nativeDark, darkModeAction, mediaPause } = state;
+      const lines = [];
+      if (nativeDark.isDark) {
+        const why = DARK_REASONS[nativeDark.reason] || 'already dark';
+        const action = darkModeAction === 'dimmed' ? ' — inversion skipped, dimming only'
+          : darkModeAction === 'skipped' ? ' — recoloring skipped'
+          : '';
+        lines.push(`🌗 Already dark (${why})${action}`);
+      }
+      if (mediaPause) {
+        const verb = currentSettings.mediaAction === 'reduce' ? 'turned down' : 'paused';
+        lines.push(`⏸ Filter ${verb} (${MEDIA_REASONS[mediaPause]})`);
+      }
+      sitePageState.textContent = lines.join('\n');
+      sitePageState.classList.toggle('hidden', !lines.length);
     });
   }
 
-  function updateCombinePageUI() {
-    const f1 = currentSettings.combineFilter1 || 'bluelight';
-    const f2 = currentSettings.combineFilter2 || 'darkmode';
-    const ratio = currentSettings.combineRatio ?? 0.5;
-
-    combineFilter1Grid.querySelectorAll('.combine-option').forEach(opt => {
-      opt.classList.toggle('selected', opt.dataset.combine === f1);
-    });
-    combineFilter2Grid.querySelectorAll('.combine-option').forEach(opt => {
-      opt.classList.toggle('selected', opt.dataset.combine === f2);
-    });
+  function saveSiteRule() {
+    const rules = [...(currentSettings.siteRules || [])];
+    const action = siteActionSelect.value;
 
-    combineRatioSlider.value = Math.round(ratio * 100);
-    updateCombineDisabledStates();
-    updateCombineRatioLabels();
+    if (!action) {
+      if (siteRuleIndex !== -1) rules.splice(siteRuleIndex, 1);
+      siteRuleIndex = -1;
+    } else {
+      const rule = { pattern: sitePatternInput.value.trim() || siteHostname, action };
+      if (action === 'force') {
+        rule.mode = siteModeSelect.value;
+        rule.intensity = parseInt(siteIntensitySlider.value);
+      }
+      if (siteRuleIndex === -1) {
+        rules.push(rule);
+        siteRuleIndex = rules.length - 1;
+      } else {
+        rules[siteRuleIndex] = rule;
+      }
+    }
 
-    const isActive = currentSettings.mode === 'combine' && currentSettings.manualActive;
-    combineActivateBtn.textContent = isActive ? '⏹ Deactivate Combined Filter' : '✦ Activate Combined Filter';
-    combineActivateBtn.classList.toggle('active', isActive);
+    currentSettings.siteRules = rules;
+    track('site_rule_saved', { action: action || 'none' });
+    saveSettings();
   }
 
-  function setupCombineGrid(grid, settingsKey) {
-    grid.querySelectorAll('.combine-option').forEach(opt => {
-      opt.addEventListener('click', () => {
-        grid.querySelectorAll('.combine-option').forEach(o => o.classList.remove('selected'));
-        opt.classList.add('selected');
-        currentSettings[settingsKey] = opt.dataset.combine;
-        updateCombineDisabledStates();
-        updateCombineRatioLabels();
-        saveSettings();
-      });
-    });
-  }
+  siteActionSelect.addEventListener('change', () => {
+    siteForceRow.classList.toggle('hidden', siteActionSelect.value !== 'force');
+    saveSiteRule();
+  });
 
-  setupCombineGrid(combineFilter1Grid, 'combineFilter1');
-  setupCombineGrid(combineFilter2Grid, 'combineFilter2');
+  siteModeSelect.addEventListener('change', () => {
+    // Forcing a premium filter on a site needs Pro just like activating it globally
+    if (!isPro && isPremiumMode(siteModeSelect.value)) {
+      siteModeSelect.value = 'bluelight';
+      openPaymentPage();
+      return;
+    }
+    saveSiteRule();
+  });
 
-  combineRatioSlider.addEventListener('input', () => {
-    currentSettings.combineRatio = parseInt(combineRatioSlider.value) / 100;
-    updateCombineRatioLabels();
+  siteIntensitySlider.addEventListener('input', () => {
+    siteIntensityValue.textContent = `${siteIntensitySlider.value}%`;
+  });
+
+  siteIntensitySlider.addEventListener('change', () => {
+    saveSiteRule();
+  });
+
+  sitePatternInput.addEventListener('change', () => {
+    if (siteActionSelect.value) saveSiteRule();
+  });
+
+  // ── Contrast audit ───────────────────────
+  // content.js does the checking; this only shows what it found
+  function auditRow(label, value) {
+    const row = document.createElement('div');
+    row.className = 'import-diff-row';
+    row.innerHTML = '<span class="import-diff-label"></span><span class="import-diff-change"></span>';
+    row.querySelector('.import-diff-label').textContent = label;
+    row.querySelector('.import-diff-change').textContent = value;
+    return row;
+  }
+
+  function renderAuditSummary(summary) {
+    auditSummary.innerHTML = '';
+    let verdict;
+    if (!summary.checked) {
+      verdict = 'No visible text to check on this page.';
+    } else {
+      auditSummary.appendChild(auditRow('Text checked', `${summary.checked} element${summary.checked === 1 ? '' : 's'}`));
+      auditSummary.appendChild(auditRow('Below AA (page → filtered)', `${summary.original.AA} → ${summary.filtered.AA}`));
+      auditSummary.appendChild(auditRow('Below AAA (page → filtered)', `${summary.original.AAA} → ${summary.filtered.AAA}`));
+      auditSummary.appendChild(auditRow('Lowest contrast', `${summary.lowest.ratio}:1 “${summary.lowest.text}”`));
+      verdict = summary.pushedBelow
+        ? `⚠ The current filter pushes ${summary.pushedBelow} element${summary.pushedBelow === 1 ? '' : 's'} below readable contrast (WCAG AA). Try a lower strength or a site rule.`
+        : summary.filtered.AA
+          ? 'The filter doesn\'t make anything unreadable — text outlined in red already fails AA without it.'
+          : 'Everything stays readable with the current filter.';
+    }
+    auditVerdict.textContent = verdict;
+    auditVerdict.classList.toggle('warn', summary.pushedBelow > 0);
+    auditVerdict.classList.remove('hidden');
+    auditSummary.classList.toggle('hidden', !summary.checked);
+    clearAuditBtn.classList.toggle('hidden', !summary.filtered.AAA);
+  }
+
+  auditContrastBtn.addEventListener('click', () => {
+    if (siteTabId === null) return;
+    chrome.tabs.sendMessage(siteTabId, { type: 'AUDIT_CONTRAST' }, { frameId: 0 }, (summary) => {
+      if (chrome.runtime.lastError || !summary) {
+        auditVerdict.textContent = 'Couldn\'t check this page — try reloading it.';
+        auditVerdict.classList.remove('hidden', 'warn');
+        return;
+      }
+      renderAuditSummary(summary);
+      track('contrast_audited', { failing: summary.filtered.AA, pushed_below: summary.pushedBelow });
+    });
+  });
+
+  clearAuditBtn.addEventListener('click', () => {
+    chrome.tabs.sendMessage(siteTabId, { type: 'CLEAR_CONTRAST_AUDIT' }, { frameId: 0 }, () => {
+      void chrome.runtime.lastError;
+      clearAuditBtn.classList.add('hidden');
+      auditSummary.classList.add('hidden');
+      auditVerdict.classList.add('hidden');
+    });
+  });
+
+  // ── Just for Now (temporary overrides) ───
+  // Session-scoped and keyed by tab or window in background.js; they never touch
+  // currentSettings, so nothing here is broadcast to other tabs.
+  let overrideTarget = null;   // { tabId, windowId }
+  let overrideScope = 'tab';
+  let currentOverrides = { tab: null, window: null };
+
+  // Simulation is 'cb-simulate:<type>' here; the override carries the type itself so
+  // it never changes the user's own Color Blind Assist type
+  function overrideToValue(override) {
+    if (!override) return '';
+    if (override.enabled === false) return 'off';
+    if (override.mode === 'cb-simulate') return `cb-simulate:${override.colorblindType}`;
+    return override.mode || '';
+  }
+
+  function valueToOverride(value) {
+    if (!value) return null;
+    if (value === 'off') return { enabled: false };
+    if (value.startsWith('cb-simulate:')) {
+      return {
+        mode: 'cb-simulate',
+        colorblindType: value.slice('cb-simulate:'.length),
+        simulateSplit: simulateSplitBox.checked,
+        manualActive: true
+      };
+    }
+    return { mode: value, manualActive: true };
+  }
+
+  function sendOverride() {
+    const override = valueToOverride(overrideSelect.value);
+    currentOverrides[overrideScope] = override;
+    chrome.runtime.sendMessage({
+      type: 'SET_OVERRIDE',
+      scope: overrideScope,
+      id: overrideScope === 'tab' ? overrideTarget.tabId : overrideTarget.windowId,
+      override
+    });
+  }
+
+  function updateOverrideUI() {
+    const override = currentOverrides[overrideScope];
+    overrideScopeBtns.forEach(btn => btn.classList.toggle('selected', btn.dataset.scope === overrideScope));
+    overrideSelect.value = overrideToValue(override);
+    simulateSplitRow.classList.toggle('hidden', !(override && override.mode === 'cb-simulate'));
+    simulateSplitBox.checked = !!(override && override.simulateSplit);
+    overrideHint.textContent = overrideScope === 'tab'
+      ? 'Clears automatically when the tab is closed'
+      : 'Applies to every tab in this window until it is closed';
+  }
+
+  function loadOverrides() {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      const tab = tabs && tabs[0];
+      if (!tab || !tab.url || !/^https?:/.test(tab.url)) return;
+      overrideTarget = { tabId: tab.id, windowId: tab.windowId };
+      chrome.runtime.sendMessage({ type: 'GET_OVERRIDES', ...overrideTarget }, (response) => {
+        if (!response) return;
+        currentOverrides = response;
+        // Open on whichever scope is actually in effect
+        if (!currentOverrides.tab && currentOverrides.window) overrideScope = 'window';
+        updateOverrideUI();
+        overrideSection.classList.remove('hidden');
+      });
+    });
+  }
+
+  overrideScopeBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+      overrideScope = btn.dataset.scope;
+      updateOverrideUI();
+    });
+  });
+
+  overrideSelect.addEventListener('change', () => {
+    const override = valueToOverride(overrideSelect.value);
+    if (!isPro && override && isPremiumMode(override.mode)) {
+      overrideSelect.value = overrideToValue(currentOverrides[overrideScope]);
+      openPaymentPage();
+      return;
+    }
+    sendOverride();
+    simulateSplitRow.classList.toggle('hidden', !(override && override.mode === 'cb-simulate'));
+    if (override && override.mode === 'cb-simulate') track('cb_simulation_started', { type: override.colorblindType });
+  });
+
+  simulateSplitBox.addEventListener('change', sendOverride);
+
+  // ── Snooze ───────────────────────────────
+  // Handled in background.js so the resume alarm fires even with the popup closed.
+  snoozeBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'SNOOZE', preset: btn.dataset.snooze }, (response) => {
+        if (!response || !response.settings) return;
+        currentSettings = { ...currentSettings, snoozeUntil: response.settings.snoozeUntil };
+        savedSettings.snoozeUntil = response.settings.snoozeUntil;
+        updateStatus();
+      });
+    });
+  });
+
+  resumeBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ type: 'RESUME' }, () => loadSettings());
+  });
+
+  // ── Combine Filters Page ─────────────────
+
+  const COMBINE_FILTER_NAMES = {
+    'bluelight':         'Blue Light',
+    'darkmode':          'Dark Mode',
+    'sleep-prep':        'Sleep Prep',
+    'reduce-eye-strain': 'Eye Strain',
+    'reader-mode':       'Reader',
+    'dim':               'Dim'
+  };
+
+  function updateCombineRatioLabels() {
+    const f1 = currentSettings.combineFilter1;
+    const f2 = currentSettings.combineFilter2;
+    const f1Name = COMBINE_FILTER_NAMES[f1] || (FilterEngine.isCustomMode(f1) ? modeName(f1) : 'Filter A');
+    const f2Name = COMBINE_FILTER_NAMES[f2] || (FilterEngine.isCustomMode(f2) ? modeName(f2) : 'Filter B');
+    combineRatioLabelA.textContent = f1Name;
+    combineRatioLabelB.textContent = f2Name;
+    const pctA = Math.round((1 - (currentSettings.combineRatio ?? 0.5)) * 100);
+    const pctB = 100 - pctA;
+    combineRatioValue.textContent = `${pctA} / ${pctB}`;
+  }
+
+  function updateCombineDisabledStates() {
+    const f1 = currentSettings.combineFilter1;
+    const f2 = currentSettings.combineFilter2;
+    combineEngineSection.classList.toggle('hidden', f1 !== 'darkmode' && f2 !== 'darkmode');
+    combineFilter1Grid.querySelectorAll('.combine-option').forEach(opt => {
+      opt.classList.toggle('disabled', opt.dataset.combine === f2);
+    });
+    combineFilter2Grid.querySelectorAll('.combine-option').forEach(opt => {
+      opt.classList.toggle('disabled', opt.dataset.combine === f1);
+    });
+  }
+
+  // SVG filters the previews' url(#…) references point at, keyed by filter id
+  const previewSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  previewSvg.setAttribute('style', 'position:absolute;width:0;height:0;pointer-events:none');
+  document.body.appendChild(previewSvg);
+
+  // The filter's one primitive, created on first use
+  function previewPrimitive(id, build) {
+    let filter = previewSvg.querySelector(`#${id}`);
+    if (!filter) {
+      filter = document.createElementNS('http://www.w3.org/2000/svg', 'filter');
+      filter.id = id;
+      filter.setAttribute('color-interpolation-filters', 'sRGB');
+      filter.appendChild(build());
+      previewSvg.appendChild(filter);
+    }
+    return filter.firstChild;
+  }
+
+  function setPreviewFilters({ svgMatrices, svgTransfers }) {
+    const NS = 'http://www.w3.org/2000/svg';
+    Object.entries(svgMatrices).forEach(([id, values]) => {
+      previewPrimitive(id, () => {
+        const matrix = document.createElementNS(NS, 'feColorMatrix');
+        matrix.setAttribute('type', 'matrix');
+        return matrix;
+      }).setAttribute('values', values);
+    });
+    Object.entries(svgTransfers).forEach(([id, transfer]) => {
+      const funcs = previewPrimitive(id, () => {
+        const component = document.createElementNS(NS, 'feComponentTransfer');
+        ['feFuncR', 'feFuncG', 'feFuncB'].forEach(name => {
+          const func = document.createElementNS(NS, name);
+          func.setAttribute('type', 'gamma');
+          component.appendChild(func);
+        });
+        return component;
+      }).children;
+      for (const func of funcs) {
+        func.setAttribute('amplitude', transfer.amplitude);
+        func.setAttribute('exponent', transfer.exponent);
+        func.setAttribute('offset', transfer.offset);
+      }
+    });
+  }
+
+  // Same render the tabs get. Smart recolor rewrites live page colors, which the static
+  // mockup can't do, so the preview stands in the inverting engine for it.
+  function updateCombinePreview() {
+    const plan = FilterEngine.render({
+      ...currentSettings,
+      mode: 'combine',
+      enabled: true,
+      darkModeEngine: { ...(currentSettings.darkModeEngine || {}), combine: 'invert' }
+    });
+    setPreviewFilters(plan);
+    combineMockupPage.style.filter = plan.htmlFilterCSS;
+    combineMockupOverlay.style.background = plan.overlayStyle.background || 'transparent';
+    combineMockupOverlay.style.opacity = plan.overlayStyle.opacity;
+  }
+
+  function updateCombinePageUI() {
+    const f1 = currentSettings.combineFilter1 || 'bluelight';
+    const f2 = currentSettings.combineFilter2 || 'darkmode';
+    const ratio = currentSettings.combineRatio ?? 0.5;
+
+    combineFilter1Grid.querySelectorAll('.combine-option').forEach(opt => {
+      opt.classList.toggle('selected', opt.dataset.combine === f1);
+    });
+    combineFilter2Grid.querySelectorAll('.combine-option').forEach(opt => {
+      opt.classList.toggle('selected', opt.dataset.combine === f2);
+    });
+
+    combineRatioSlider.value = Math.round(ratio * 100);
+    updateEngineToggle(combineEngineToggle, 'combine');
+    updateCombineDisabledStates();
+    updateCombineRatioLabels();
+    updateCombinePreview();
+
+    const isActive = currentSettings.mode === 'combine' && currentSettings.manualActive;
+    combineActivateBtn.textContent = isActive ? '⏹ Deactivate Combined Filter' : '✦ Activate Combined Filter';
+    combineActivateBtn.classList.toggle('active', isActive);
+  }
+
+  // Delegated, since custom filter options are added and removed as filters change
+  function setupCombineGrid(grid, settingsKey) {
+    grid.addEventListener('click', (e) => {
+      const opt = e.target.closest('.combine-option');
+      if (!opt) return;
+      grid.querySelectorAll('.combine-option').forEach(o => o.classList.remove('selected'));
+      opt.classList.add('selected');
+      currentSettings[settingsKey] = opt.dataset.combine;
+      updateCombineDisabledStates();
+      updateCombineRatioLabels();
+      updateCombinePreview();
+      saveSettings();
+    });
+  }
+
+  setupCombineGrid(combineFilter1Grid, 'combineFilter1');
+  setupCombineGrid(combineFilter2Grid, 'combineFilter2');
+  setupEngineToggle(darkEngineToggle, 'darkmode');
+  setupEngineToggle(combineEngineToggle, 'combine');
+
+  combineRatioSlider.addEventListener('input', () => {
+    currentSettings.combineRatio = parseInt(combineRatioSlider.value) / 100;
+    updateCombineRatioLabels();
+    updateCombinePreview();
   });
 
   combineRatioSlider.addEventListener('change', () => {
@@ -893,7 +1737,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Sync main-page mode buttons and filter cards
     modeBtns.forEach(b => b.classList.toggle('selected', b.dataset.mode === currentSettings.mode));
-    filterCards.forEach(card => {
+    allFilterCards().forEach(card => {
       card.classList.toggle('selected', card.dataset.filter === currentSettings.mode && currentSettings.manualActive);
     });
 
@@ -905,6 +1749,1023 @@ document.addEventListener('DOMContentLoaded', () => {
     pagesWrapper.classList.remove('on-combine');
   });
 
+  // ── Custom Filters ───────────────────────
+  // Stored in settings.customFilters and rendered by filter-engine.js exactly like the
+  // built-in keyframe filters, so they work standalone, in Combine and on every tab.
+  const { FILTER_STOPS, CUSTOM_FILTER_RANGES, CUSTOM_PREFIX } = FilterEngine;
+  const EDIT_STOPS = FILTER_STOPS.filter(stop => stop > 0);
+  const CUSTOM_LABELS = {
+    sepia: 'Sepia',
+    saturate: 'Saturation',
+    brightness: 'Brightness',
+    contrast: 'Contrast',
+    hueRotate: 'Hue rotate'
+  };
+  const SHARE_CODE_PREFIX = 'ctf1.';
+
+  const customMockupPage = filterMockup.firstElementChild.cloneNode(true);
+  customMockup.appendChild(customMockupPage);
+
+  let editingFilter = null;   // working copy; only written to settings on Save
+  let editingStop = 100;
+
+  function getCustomFilters() {
+    return currentSettings.customFilters || [];
+  }
+
+  function formatCustomValue(key, value) {
+    return key === 'hueRotate' ? `${Math.round(value)}°` : `${Math.round(value * 100)}%`;
+  }
+
+  function renderCustomFilterCards() {
+    customFilterCards.innerHTML = '';
+    getCustomFilters().forEach(filter => {
+      const mode = CUSTOM_PREFIX + filter.id;
+      const card = document.createElement('div');
+      card.className = 'filter-card';
+      card.dataset.filter = mode;
+      card.innerHTML = `
+        <div class="filter-card-icon custom">✨</div>
+        <div class="filter-card-info">
+          <div class="filter-card-name"></div>
+          <div class="filter-card-desc">Custom filter</div>
+        </div>
+        <div class="filter-card-arrow">›</div>`;
+      card.querySelector('.filter-card-name').textContent = filter.name;
+      card.addEventListener('click', () => openFilterDetail(mode));
+      customFilterCards.appendChild(card);
+    });
+
+    // Offer them in Combine too
+    [combineFilter1Grid, combineFilter2Grid].forEach(grid => {
+      grid.querySelectorAll('.combine-option.custom').forEach(opt => opt.remove());
+      getCustomFilters().forEach(filter => {
+        const opt = document.createElement('button');
+        opt.className = 'combine-option custom';
+        opt.dataset.combine = CUSTOM_PREFIX + filter.id;
+        opt.textContent = `✨ ${filter.name}`;
+        grid.appendChild(opt);
+      });
+    });
+  }
+
+  function allFilterCards() {
+    return document.querySelectorAll('.filter-card');
+  }
+
+  EDIT_STOPS.forEach(stop => {
+    const btn = document.createElement('button');
+    btn.className = 'segmented-option';
+    btn.dataset.stop = stop;
+    btn.textContent = `${stop}%`;
+    btn.addEventListener('click', () => {
+      editingStop = stop;
+      updateCustomEditor();
+    });
+    customStopToggle.appendChild(btn);
+  });
+
+  Object.entries(CUSTOM_FILTER_RANGES).forEach(([key, range]) => {
+    const row = document.createElement('div');
+    row.innerHTML = `
+      <div class="slider-header">
+        <span class="slider-label">${CUSTOM_LABELS[key]}</span>
+        <span class="slider-value" data-value="${key}"></span>
+      </div>
+      <input type="range" class="slider" data-key="${key}"
+        min="${range.min}" max="${range.max}" step="${key === 'hueRotate' ? 1 : 0.01}">`;
+    row.querySelector('input').addEventListener('input', (e) => {
+      editingFilter.keyframes[editingStop][key] = parseFloat(e.target.value);
+      updateCustomEditor();
+    });
+    customSliders.appendChild(row);
+  });
+
+  function updateCustomEditor() {
+    const frame = editingFilter.keyframes[editingStop];
+    customStopToggle.querySelectorAll('[data-stop]').forEach(btn => {
+      btn.classList.toggle('selected', parseInt(btn.dataset.stop) === editingStop);
+    });
+    Object.keys(CUSTOM_FILTER_RANGES).forEach(key => {
+      customSliders.querySelector(`[data-key="${key}"]`).value = frame[key];
+      customSliders.querySelector(`[data-value="${key}"]`).textContent = formatCustomValue(key, frame[key]);
+    });
+    const { htmlFilterCSS } = FilterEngine.render({
+      mode: CUSTOM_PREFIX + editingFilter.id,
+      intensity: editingStop,
+      enabled: true,
+      customFilters: [editingFilter]
+    });
+    customMockupPage.style.filter = htmlFilterCSS;
+  }
+
+  // A new filter starts from Reader Mode's table, with no hue shift
+  function openCustomEditor(filter) {
+    editingFilter = filter
+      ? FilterEngine.normalizeCustomFilter(JSON.parse(JSON.stringify(filter)))
+      : FilterEngine.normalizeCustomFilter({
+        id: crypto.randomUUID(), name: 'My Filter', keyframes: FilterEngine.FILTER_KEYFRAMES['reader-mode']
+      });
+    editingStop = 100;
+    customNameInput.value = editingFilter.name;
+    deleteCustomBtn.classList.toggle('hidden', !filter);
+    shareCustomBtn.textContent = '🔗 Copy Share Code';
+    updateCustomEditor();
+    pagesWrapper.classList.remove('on-filters', 'on-detail');
+    pagesWrapper.classList.add('on-custom');
+  }
+
+  function closeCustomEditor() {
+    pagesWrapper.classList.remove('on-custom');
+    pagesWrapper.classList.add('on-filters');
+  }
+
+  // Share codes are the filter as URL-safe base64 JSON; ids are re-issued on import
+  function encodeFilterCode(filter) {
+    const json = JSON.stringify({ name: filter.name, keyframes: filter.keyframes });
+    return SHARE_CODE_PREFIX + SettingsIO.toBase64Url(new TextEncoder().encode(json));
+  }
+
+  function decodeFilterCode(code) {
+    const trimmed = code.trim();
+    if (!trimmed.startsWith(SHARE_CODE_PREFIX)) return null;
+    try {
+      const bytes = SettingsIO.fromBase64Url(trimmed.slice(SHARE_CODE_PREFIX.length));
+      const raw = JSON.parse(new TextDecoder().decode(bytes));
+      return FilterEngine.normalizeCustomFilter({ ...raw, id: crypto.randomUUID() });
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Drop every reference to a deleted filter so nothing points at it
+  function forgetCustomFilter(mode) {
+    if (currentSettings.mode === mode) {
+      currentSettings.mode = 'bluelight';
+      currentSettings.manualActive = false;
+    }
+    if (currentSettings.combineFilter1 === mode) currentSettings.combineFilter1 = 'bluelight';
+    if (currentSettings.combineFilter2 === mode) currentSettings.combineFilter2 = 'darkmode';
+  }
+
+  newCustomFilterBtn.addEventListener('click', () => {
+    openCustomEditor(null);
+    track('custom_filter_editor_opened', { existing: false });
+  });
+
+  editCustomFilterBtn.addEventListener('click', () => {
+    const filter = FilterEngine.findCustomFilter(currentDetailMode, getCustomFilters());
+    if (!filter) return;
+    openCustomEditor(filter);
+    track('custom_filter_editor_opened', { existing: true });
+  });
+
+  backFromCustomBtn.addEventListener('click', closeCustomEditor);
+
+  saveCustomBtn.addEventListener('click', () => {
+    editingFilter.name = customNameInput.value;
+    const saved = FilterEngine.normalizeCustomFilter(editingFilter);
+    const filters = getCustomFilters();
+    const index = filters.findIndex(f => f.id === saved.id);
+    currentSettings.customFilters = index >= 0
+      ? filters.map((f, i) => (i === index ? saved : f))
+      : [...filters, saved];
+    renderCustomFilterCards();
+    updateStatus();
+    track('custom_filter_saved', { isNew: index < 0 });
+    saveSettings();
+    closeCustomEditor();
+  });
+
+  shareCustomBtn.addEventListener('click', () => {
+    editingFilter.name = customNameInput.value;
+    navigator.clipboard.writeText(encodeFilterCode(FilterEngine.normalizeCustomFilter(editingFilter)))
+      .then(() => { shareCustomBtn.textContent = '✓ Copied'; })
+      .catch(() => { shareCustomBtn.textContent = 'Couldn\'t copy — try again'; });
+    track('custom_filter_shared');
+  });
+
+  deleteCustomBtn.addEventListener('click', () => {
+    const mode = CUSTOM_PREFIX + editingFilter.id;
+    currentSettings.customFilters = getCustomFilters().filter(f => f.id !== editingFilter.id);
+    forgetCustomFilter(mode);
+    renderCustomFilterCards();
+    updateUI();
+    track('custom_filter_deleted');
+    saveSettings();
+    closeCustomEditor();
+  });
+
+  importFilterBtn.addEventListener('click', () => {
+    const filter = decodeFilterCode(importFilterInput.value);
+    importFilterError.classList.toggle('hidden', !!filter);
+    if (!filter) {
+      importFilterError.textContent = 'That doesn\'t look like a ChromeTones filter code.';
+      return;
+    }
+    currentSettings.customFilters = [...getCustomFilters(), filter];
+    importFilterInput.value = '';
+    renderCustomFilterCards();
+    track('custom_filter_imported');
+    saveSettings();
+  });
+
+  // ── Weekly Schedule Page ─────────────────
+  // Rules are saved as they're edited; background.js picks the winner by priority.
+  const DAY_LETTERS = ['S', 'M', 'T', 'W', 'T', 'F', 'S']; // Date#getDay() order
+  const RULE_MODES = [
+    'bluelight', 'darkmode', 'sleep-prep', 'reader-mode',
+    'reduce-eye-strain', 'grayscale', 'colorblind', 'dim'
+  ];
+  const RULE_PRIORITIES = [1, 2, 3, 4, 5];
+
+  function getWeeklyRules() {
+    return currentSettings.weeklyRules || [];
+  }
+
+  function newWeeklyRule() {
+    const mode = RULE_MODES.includes(currentSettings.mode) &&
+      (isPro || !isPremiumMode(currentSettings.mode)) ? currentSettings.mode : 'bluelight';
+    return {
+      id: Date.now().toString(36),
+      days: [0, 1, 2, 3, 4, 5, 6],
+      start: currentSettings.startTime || '21:00',
+      end: currentSettings.endTime || '07:00',
+      mode,
+      intensity: currentSettings.intensity || 80,
+      priority: 1
+    };
+  }
+
+  function updateWeeklyRule(id, patch) {
+    currentSettings.weeklyRules = getWeeklyRules().map(rule => rule.id === id ? { ...rule, ...patch } : rule);
+    saveSettings();
+  }
+
+  function updateWeeklySummary() {
+    const count = getWeeklyRules().length;
+    const activeRule = currentSettings.activeRule;
+    weeklySummary.textContent = `${count} rule${count === 1 ? '' : 's'}` +
+      (activeRule ? ` · ${activeRule.profileName || modeName(activeRule.mode)} now` : '');
+    ruleList.querySelectorAll('.rule-card').forEach(card => {
+      card.classList.toggle('active', !!activeRule && activeRule.id === card.dataset.id);
+    });
+  }
+
+  // A rule runs either a filter at its own intensity or one of the user's profiles
+  function ruleModeOptions() {
+    const modes = RULE_MODES.map(m => `<option value="${m}">${MODE_NAMES[m]}</option>`).join('');
+    const profiles = getProfiles();
+    if (!profiles.length) return modes;
+    const option = document.createElement('option');
+    return `<optgroup label="Filters">${modes}</optgroup><optgroup label="Profiles">${profiles.map(p => {
+      option.value = `profile:${p.id}`;
+      option.textContent = p.name;
+      return option.outerHTML;
+    }).join('')}</optgroup>`;
+  }
+
+  function ruleProfile(rule) {
+    return rule.profile ? getProfiles().find(p => p.id === rule.profile) || null : null;
+  }
+
+  function buildRuleCard(rule) {
+    const card = document.createElement('div');
+    card.className = 'site-card rule-card';
+    card.dataset.id = rule.id;
+    card.innerHTML = `
+      <div class="rule-head">
+        <select class="site-select rule-mode">
+          ${ruleModeOptions()}
+        </select>
+        <button class="rule-delete" title="Delete rule">✕</button>
+      </div>
+      <div class="segmented-toggle">
+        ${DAY_LETTERS.map((letter, day) => `<button class="segmented-option" data-day="${day}">${letter}</button>`).join('')}
+      </div>
+      <div class="time-row">
+        <div class="time-group">
+          <div class="time-label">Start</div>
+          <input type="time" class="time-input rule-start">
+        </div>
+        <div class="time-group">
+          <div class="time-label">End</div>
+          <input type="time" class="time-input rule-end">
+        </div>
+      </div>
+      <div class="slider-header rule-intensity-row">
+        <span class="slider-label">Target intensity</span>
+        <span class="slider-value rule-intensity-value"></span>
+      </div>
+      <input type="range" class="slider rule-intensity" min="10" max="100">
+      <div class="rule-priority-row">
+        Priority
+        <select class="site-select rule-priority">
+          ${RULE_PRIORITIES.map(p => `<option value="${p}">${p}</option>`).join('')}
+        </select>
+      </div>`;
+
+    const modeSelect = card.querySelector('.rule-mode');
+    const dayBtns = card.querySelectorAll('[data-day]');
+    const startInput = card.querySelector('.rule-start');
+    const endInput = card.querySelector('.rule-end');
+    const intensityInput = card.querySelector('.rule-intensity');
+    const intensityLabel = card.querySelector('.rule-intensity-value');
+    const prioritySelect = card.querySelector('.rule-priority');
+    const intensityRow = card.querySelector('.rule-intensity-row');
+
+    // The profile brings its own intensity
+    function showIntensity(visible) {
+      intensityRow.classList.toggle('hidden', !visible);
+      intensityInput.classList.toggle('hidden', !visible);
+    }
+
+    let days = rule.days || [];
+    const profile = ruleProfile(rule);
+    modeSelect.value = profile ? `profile:${profile.id}` : rule.mode;
+    showIntensity(!profile);
+    dayBtns.forEach(btn => btn.classList.toggle('selected', days.includes(Number(btn.dataset.day))));
+    startInput.value = rule.start;
+    endInput.value = rule.end;
+    intensityInput.value = rule.intensity;
+    intensityLabel.textContent = `${rule.intensity}%`;
+    prioritySelect.value = String(rule.priority || 1);
+
+    modeSelect.addEventListener('change', () => {
+      const chosen = getProfiles().find(p => `profile:${p.id}` === modeSelect.value);
+      if (isPremiumMode(chosen ? chosen.mode : modeSelect.value) && !isPro) {
+        const saved = getWeeklyRules().find(r => r.id === rule.id);
+        const savedProfile = ruleProfile(saved);
+        modeSelect.value = savedProfile ? `profile:${savedProfile.id}` : saved.mode;
+        openPaymentPage();
+        return;
+      }
+      showIntensity(!chosen);
+      // Choosing a profile keeps the rule's mode and intensity as the fallback if it's deleted
+      updateWeeklyRule(rule.id, chosen ? { profile: chosen.id } : { mode: modeSelect.value, profile: null });
+    });
+
+    dayBtns.forEach(btn => {
+      btn.addEventListener('click', () => {
+        const day = Number(btn.dataset.day);
+        const next = days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort((a, b) => a - b);
+        if (!next.length) return; // a rule with no days would never run
+        days = next;
+        btn.classList.toggle('selected', days.includes(day));
+        updateWeeklyRule(rule.id, { days });
+      });
+    });
+
+    startInput.addEventListener('change', () => {
+      if (startInput.value) updateWeeklyRule(rule.id, { start: startInput.value });
+    });
+
+    endInput.addEventListener('change', () => {
+      if (endInput.value) updateWeeklyRule(rule.id, { end: endInput.value });
+    });
+
+    intensityInput.addEventListener('input', () => {
+      intensityLabel.textContent = `${intensityInput.value}%`;
+    });
+
+    intensityInput.addEventListener('change', () => {
+      updateWeeklyRule(rule.id, { intensity: parseInt(intensityInput.value) });
+    });
+
+    prioritySelect.addEventListener('change', () => {
+      updateWeeklyRule(rule.id, { priority: parseInt(prioritySelect.value) });
+    });
+
+    card.querySelector('.rule-delete').addEventListener('click', () => {
+      currentSettings.weeklyRules = getWeeklyRules().filter(r => r.id !== rule.id);
+      card.remove();
+      updateWeeklySummary();
+      saveSettings();
+    });
+
+    return card;
+  }
+
+  function renderRuleList() {
+    ruleList.innerHTML = '';
+    getWeeklyRules().forEach(rule => ruleList.appendChild(buildRuleCard(rule)));
+    updateWeeklySummary();
+  }
+
+  editScheduleBtn.addEventListener('click', () => {
+    renderRuleList();
+    pagesWrapper.classList.remove('on-filters', 'on-detail', 'on-combine');
+    pagesWrapper.classList.add('on-schedule');
+    track('schedule_editor_opened', { rules: getWeeklyRules().length });
+  });
+
+  addRuleBtn.addEventListener('click', () => {
+    const rule = newWeeklyRule();
+    currentSettings.weeklyRules = [...getWeeklyRules(), rule];
+    ruleList.appendChild(buildRuleCard(rule));
+    updateWeeklySummary();
+    track('schedule_rule_added');
+    saveSettings();
+  });
+
+  backFromScheduleBtn.addEventListener('click', () => {
+    pagesWrapper.classList.remove('on-schedule');
+  });
+
+  // ── Circadian Schedule ───────────────────
+  // Points are anchored to sunrise, solar noon, sunset or bedtime. background.js
+  // resolves them to today's minutes (currentSettings.circadian.points); we only
+  // draw those and edit the stored curve.
+  const CIRCADIAN_ANCHORS = {
+    sunrise: 'Sunrise',
+    noon: 'Solar noon',
+    sunset: 'Sunset',
+    bedtime: 'Bedtime'
+  };
+  const CIRCADIAN_OFFSETS = [-180, -150, -120, -90, -60, -30, 0, 30, 60, 90, 120, 150, 180];
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const GRAPH = { width: 288, height: 90, pad: 8, minKelvin: 1900, maxDim: 60 };
+  let selectedCircadianPoint = 0;
+
+  CIRCADIAN_OFFSETS.forEach(minutes => {
+    const option = document.createElement('option');
+    option.value = minutes;
+    const amount = Math.abs(minutes) % 60 ? `${Math.abs(minutes)} min` : `${Math.abs(minutes) / 60} h`;
+    option.textContent = minutes === 0 ? 'On time' : `${amount} ${minutes < 0 ? 'before' : 'after'}`;
+    circadianOffset.appendChild(option);
+  });
+
+  function getCircadianPoints() {
+    return (currentSettings.circadian && currentSettings.circadian.points) || [];
+  }
+
+  // What the tabs are showing: the curve's value scaled by the intensity slider
+  function circadianApplied() {
+    const { kelvin, dim } = currentSettings.circadian || { kelvin: NEUTRAL_KELVIN, dim: 0 };
+    const intensity = currentSettings.intensity || 0;
+    return {
+      kelvin: kelvinForIntensity(kelvin, intensity),
+      dim: Math.round(dim * intensity / 100)
+    };
+  }
+
+  function graphX(minute) {
+    return (minute / 1440) * GRAPH.width;
+  }
+
+  // Neutral at the top, warmest at the bottom — on a mired scale, like the eye sees it
+  function graphY(kelvin) {
+    const top = 1e6 / NEUTRAL_KELVIN;
+    const bottom = 1e6 / GRAPH.minKelvin;
+    const t = (1e6 / kelvin - top) / (bottom - top);
+    return GRAPH.pad + t * (GRAPH.height - GRAPH.pad * 2);
+  }
+
+  function svgEl(tag, attrs) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+    return el;
+  }
+
+  function drawCircadianGraph() {
+    const points = getCircadianPoints();
+    circadianGraph.innerHTML = '';
+    if (!points.length) return;
+
+    const samples = [];
+    for (let minute = 0; minute <= 1440; minute += 10) {
+      samples.push({ minute, ...FilterEngine.curveValueAt(points, minute % 1440) });
+    }
+
+    // Dimming as a shaded band rising from the bottom edge
+    const dimPath = samples.map(s =>
+      `${graphX(s.minute).toFixed(1)},${(GRAPH.height - (s.dim / GRAPH.maxDim) * GRAPH.height / 2).toFixed(1)}`
+    );
+    circadianGraph.appendChild(svgEl('polygon', {
+      points: `0,${GRAPH.height} ${dimPath.join(' ')} ${GRAPH.width},${GRAPH.height}`,
+      fill: 'rgba(255, 255, 255, 0.06)'
+    }));
+
+    circadianGraph.appendChild(svgEl('polyline', {
+      points: samples.map(s => `${graphX(s.minute).toFixed(1)},${graphY(s.kelvin).toFixed(1)}`).join(' '),
+      fill: 'none',
+      stroke: '#f5a623',
+      'stroke-width': 2,
+      'vector-effect': 'non-scaling-stroke'
+    }));
+
+    const now = new Date();
+    const nowX = graphX(now.getHours() * 60 + now.getMinutes());
+    circadianGraph.appendChild(svgEl('line', {
+      x1: nowX, x2: nowX, y1: 0, y2: GRAPH.height,
+      stroke: 'rgba(255, 255, 255, 0.35)',
+      'stroke-dasharray': '3 3',
+      'vector-effect': 'non-scaling-stroke'
+    }));
+
+    points.forEach(point => {
+      const selected = point.index === selectedCircadianPoint;
+      const dot = svgEl('circle', {
+        cx: graphX(point.minute),
+        cy: graphY(point.kelvin),
+        r: selected ? 5 : 3.5,
+        fill: selected ? '#ffffff' : '#f5a623'
+      });
+      dot.addEventListener('click', () => {
+        selectedCircadianPoint = point.index;
+        updateCircadianUI();
+      });
+      circadianGraph.appendChild(dot);
+    });
+  }
+
+  function updateCircadianEditor() {
+    const curve = currentSettings.circadianCurve || [];
+    if (!curve[selectedCircadianPoint]) selectedCircadianPoint = 0;
+    const point = curve[selectedCircadianPoint];
+    if (!point) return;
+
+    const resolved = getCircadianPoints().find(p => p.index === selectedCircadianPoint);
+    const clock = resolved
+      ? ` · ${formatTime(`${Math.floor(resolved.minute / 60)}:${resolved.minute % 60}`)}`
+      : '';
+    circadianPointLabel.textContent = `${CIRCADIAN_ANCHORS[point.anchor] || point.anchor}${clock}`;
+    circadianOffset.value = point.offset || 0;
+    circadianKelvinSlider.value = point.kelvin;
+    circadianKelvinValue.textContent = `${point.kelvin}K`;
+    circadianDimSlider.value = point.dim || 0;
+    circadianDimValue.textContent = `${point.dim || 0}%`;
+  }
+
+  function updateCircadianUI() {
+    circadianBedtime.value = currentSettings.circadianBedtime || '23:00';
+    drawCircadianGraph();
+    updateCircadianEditor();
+
+    const applied = circadianApplied();
+    circadianNow.textContent = currentSettings.circadian
+      ? `Now: ${applied.kelvin}K, ${applied.dim}% dimmed${hasLocation() ? '' : ' · Set a location to follow your sunrise and sunset'}`
+      : '';
+  }
+
+  // Slider drags redraw locally; the new curve is saved once the drag ends
+  function editCircadianPoint(patch) {
+    const curve = [...(currentSettings.circadianCurve || [])];
+    curve[selectedCircadianPoint] = { ...curve[selectedCircadianPoint], ...patch };
+    currentSettings.circadianCurve = curve;
+    const resolved = getCircadianPoints().find(p => p.index === selectedCircadianPoint);
+    if (resolved) Object.assign(resolved, patch);
+    drawCircadianGraph();
+    updateCircadianEditor();
+  }
+
+  function saveCircadian() {
+    saveSettings();
+    setTimeout(() => {
+      loadSettings();
+    }, 500);
+  }
+
+  circadianKelvinSlider.addEventListener('input', () => {
+    editCircadianPoint({ kelvin: parseInt(circadianKelvinSlider.value) });
+  });
+
+  circadianDimSlider.addEventListener('input', () => {
+    editCircadianPoint({ dim: parseInt(circadianDimSlider.value) });
+  });
+
+  [circadianKelvinSlider, circadianDimSlider].forEach(slider => {
+    slider.addEventListener('change', saveCircadian);
+  });
+
+  circadianOffset.addEventListener('change', () => {
+    editCircadianPoint({ offset: parseInt(circadianOffset.value) });
+    saveCircadian();
+  });
+
+  circadianBedtime.addEventListener('change', () => {
+    currentSettings.circadianBedtime = circadianBedtime.value;
+    saveCircadian();
+  });
+
+  // ── Backup & Share ───────────────────────
+  // settings-io.js owns the format and validation; this is only the page around it.
+  const SETTING_LABELS = {
+    enabled: 'ChromeTones on',
+    mode: 'Filter',
+    scheduleType: 'Schedule',
+    startTime: 'Start time',
+    endTime: 'End time',
+    latitude: 'Latitude',
+    longitude: 'Longitude',
+    locationName: 'Location',
+    intensity: 'Intensity',
+    manualActive: 'Filter activated',
+    timerEnabled: 'Timer armed',
+    colorblindType: 'Color blind type',
+    colorblindSeverity: 'Color blind severity',
+    dimGamma: 'Dim gamma',
+    dimFloor: 'Dim black floor',
+    combineFilter1: 'Combine: first filter',
+    combineFilter2: 'Combine: second filter',
+    combineRatio: 'Combine ratio',
+    transitionMinutes: 'Transition length',
+    transitionCurve: 'Transition curve',
+    siteRules: 'Site rules',
+    respectNativeDark: 'Skip already-dark sites',
+    mediaAware: 'Step aside for media',
+    mediaAction: 'When stepping aside',
+    colorCriticalSites: 'Color-critical sites',
+    darkModeEngine: 'Dark mode engine',
+    blueLightEngine: 'Blue light engine',
+    colorTemperature: 'Color temperature',
+    weeklyRules: 'Weekly rules',
+    customFilters: 'Custom filters',
+    sunStartEvent: 'Start at',
+    sunStartOffset: 'Start offset',
+    sunEndEvent: 'End at',
+    sunEndOffset: 'End offset',
+    circadianBedtime: 'Bedtime',
+    circadianCurve: 'Circadian curve',
+    profiles: 'Profiles'
+  };
+  const MODE_FIELDS = ['mode', 'combineFilter1', 'combineFilter2'];
+
+  let pendingImport = null;   // validated settings waiting for Apply
+
+  function updateSyncUI() {
+    syncEnabledBox.checked = currentSettings.syncEnabled !== false;
+    syncLocationBox.checked = !!currentSettings.syncLocation;
+    syncLocationBox.disabled = !syncEnabledBox.checked;
+    if (!syncEnabledBox.checked) {
+      syncStatus.textContent = 'Settings stay on this device.';
+      return;
+    }
+    chrome.runtime.sendMessage({ type: 'GET_SYNC_STATUS' }, (response) => {
+      if (!response) return;
+      syncStatus.textContent = response.error
+        || (response.lastSyncedAt
+          ? `Last synced ${new Date(response.lastSyncedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}. Activation and snooze stay per device.`
+          : 'Waiting for the first sync…');
+    });
+  }
+
+  function openTransferPage() {
+    updateSyncUI();
+    copyShareStringBtn.textContent = '🔗 Copy Share String';
+    pagesWrapper.classList.add('on-transfer');
+    track('transfer_page_opened');
+  }
+
+  function closeTransferPage() {
+    pagesWrapper.classList.remove('on-transfer');
+    clearImportPreview();
+  }
+
+  function describeSetting(key, value, incoming) {
+    if (value === null || value === undefined) return '—';
+    if (MODE_FIELDS.includes(key)) {
+      const custom = FilterEngine.findCustomFilter(value, incoming.customFilters);
+      return custom ? custom.name : modeName(value);
+    }
+    if (Array.isArray(value)) {
+      const noun = key === 'circadianCurve' ? 'point'
+        : key === 'customFilters' ? 'filter'
+        : key === 'profiles' ? 'profile'
+        : key === 'colorCriticalSites' ? 'site' : 'rule';
+      return `${value.length} ${noun}${value.length === 1 ? '' : 's'}`;
+    }
+    if (typeof value === 'boolean') return value ? 'On' : 'Off';
+    if (key === 'intensity') return `${value}%`;
+    if (key === 'combineRatio' || key === 'colorblindSeverity' || key === 'dimFloor') return `${Math.round(value * 100)}%`;
+    if (key === 'dimGamma') return value.toFixed(1);
+    if (key === 'colorblindType') return cbTypeMeta(value).label;
+    if (key === 'colorTemperature') return `${value}K`;
+    if (key === 'transitionMinutes') return `${value} min`;
+    if (key === 'sunStartOffset' || key === 'sunEndOffset') return `${value > 0 ? '+' : ''}${value} min`;
+    if (key === 'darkModeEngine') return `${value.darkmode} / ${value.combine}`;
+    if (key === 'mediaAction') return value === 'reduce' ? 'Turn down' : 'Pause';
+    return String(value);
+  }
+
+  function showImportError(message) {
+    importSettingsError.textContent = message;
+    importSettingsError.classList.remove('hidden');
+    clearImportPreview();
+  }
+
+  function clearImportPreview() {
+    pendingImport = null;
+    importPreview.classList.add('hidden');
+  }
+
+  // Free accounts keep their current filter when the import picks a Pro one, and
+  // rules, profiles and combine filters are held to the free filters too
+  function gateImport(settings) {
+    const notes = [];
+    if (isPro) return notes;
+    if (isPremiumMode(settings.mode)) {
+      notes.push(`${describeSetting('mode', settings.mode, settings)} needs ChromeTones Pro, so your current filter is kept.`);
+    }
+    const changed = SettingsIO.dropPremiumModes(settings).filter(key => key !== 'mode');
+    if (changed.length) {
+      notes.push(`Pro filters were left out of: ${changed.map(key => SETTING_LABELS[key] || key).join(', ')}.`);
+    }
+    return notes;
+  }
+
+  function renderImportPreview(result) {
+    const notes = gateImport(result.settings);
+    const changes = SettingsIO.diffSettings(currentSettings, result.settings);
+    if (result.skipped.length) {
+      notes.push(`Skipped invalid values: ${result.skipped.map(key => SETTING_LABELS[key] || key).join(', ')}.`);
+    }
+    if (result.unknown.length) {
+      notes.push(`Ignored ${result.unknown.length} setting${result.unknown.length === 1 ? '' : 's'} this version doesn't know.`);
+    }
+
+    importDiff.innerHTML = '';
+    changes.forEach(({ key, from, to }) => {
+      const row = document.createElement('div');
+      row.className = 'import-diff-row';
+      row.innerHTML = '<span class="import-diff-label"></span><span class="import-diff-change"></span>';
+      row.querySelector('.import-diff-label').textContent = SETTING_LABELS[key] || key;
+      row.querySelector('.import-diff-change').textContent =
+        `${describeSetting(key, from, currentSettings)} → ${describeSetting(key, to, result.settings)}`;
+      importDiff.appendChild(row);
+    });
+    if (!importDiff.children.length) {
+      importDiff.innerHTML = '<div class="site-hint">Nothing would change — these match your current settings.</div>';
+    }
+
+    importNotes.textContent = notes.join(' ');
+    importNotes.classList.toggle('hidden', !notes.length);
+    applyImportBtn.disabled = !importDiff.querySelector('.import-diff-row');
+    pendingImport = result.settings;
+    importPreview.classList.remove('hidden');
+  }
+
+  async function previewImport(input) {
+    importSettingsError.classList.add('hidden');
+    try {
+      renderImportPreview(await SettingsIO.parseImport(input));
+    } catch (e) {
+      showImportError(e.message);
+    }
+  }
+
+  document.getElementById('transferBtn').addEventListener('click', openTransferPage);
+
+  syncEnabledBox.addEventListener('change', () => {
+    currentSettings.syncEnabled = syncEnabledBox.checked;
+    track('sync_toggled', { enabled: syncEnabledBox.checked });
+    saveSettings();
+    updateSyncUI();
+  });
+
+  syncLocationBox.addEventListener('change', () => {
+    currentSettings.syncLocation = syncLocationBox.checked;
+    saveSettings();
+    updateSyncUI();
+  });
+  backFromTransferBtn.addEventListener('click', closeTransferPage);
+
+  exportFileBtn.addEventListener('click', () => {
+    const doc = SettingsIO.exportDocument(currentSettings, { includeLocation: includeLocationBox.checked });
+    const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `chrometones-settings-${doc.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    track('settings_exported', { format: 'file', location: includeLocationBox.checked });
+  });
+
+  copyShareStringBtn.addEventListener('click', () => {
+    SettingsIO.toShareString(currentSettings)
+      .then(code => navigator.clipboard.writeText(code))
+      .then(() => { copyShareStringBtn.textContent = '✓ Copied'; })
+      .catch(() => { copyShareStringBtn.textContent = 'Couldn\'t copy — try again'; });
+    track('settings_exported', { format: 'share-string' });
+  });
+
+  chooseSettingsFileBtn.addEventListener('click', () => settingsFileInput.click());
+
+  settingsFileInput.addEventListener('change', () => {
+    const file = settingsFileInput.files[0];
+    if (!file) return;
+    file.text().then(contents => {
+      importSettingsInput.value = contents;
+      previewImport(contents);
+    });
+    settingsFileInput.value = '';
+  });
+
+  previewImportBtn.addEventListener('click', () => previewImport(importSettingsInput.value));
+  importSettingsInput.addEventListener('input', clearImportPreview);
+  cancelImportBtn.addEventListener('click', clearImportPreview);
+
+  applyImportBtn.addEventListener('click', () => {
+    if (!pendingImport) return;
+    const fields = Object.keys(pendingImport).length;
+    currentSettings = { ...currentSettings, ...pendingImport };
+    importSettingsInput.value = '';
+    clearImportPreview();
+    updateUI();
+    track('settings_imported', { fields });
+    saveSettings();
+    closeTransferPage();
+  });
+
+  // ── Profiles ─────────────────────────────
+  // A profile is a named copy of SettingsIO.PROFILE_FIELDS. Switching writes those
+  // fields back into the settings, so the tabs pick it up like any other change.
+  const PROFILE_LIMIT = 20;
+
+  function getProfiles() {
+    return currentSettings.profiles || [];
+  }
+
+  function describeProfile(profile) {
+    if (!profile.enabled) return 'ChromeTones off';
+    let filter = modeName(profile.mode);
+    if (profile.mode === 'combine') {
+      filter = `${modeName(profile.combineFilter1)} + ${modeName(profile.combineFilter2)} (${Math.round(profile.combineRatio * 100)}%)`;
+    } else if (profile.mode === 'colorblind') {
+      const type = profile.colorblindType;
+      filter = `${filter} · ${cbTypeMeta(type).label}` +
+        (hasCBSeverity(type) ? ` ${Math.round(profile.colorblindSeverity * 100)}%` : '');
+    }
+    return `${filter} · ${profile.intensity}%`;
+  }
+
+  function profileFromCurrent(fields) {
+    const profile = { ...fields };
+    SettingsIO.PROFILE_FIELDS.forEach(key => { profile[key] = currentSettings[key]; });
+    profile.enabled = !profileOffBox.checked;
+    return profile;
+  }
+
+  function applyProfile(profile) {
+    if (isPremiumMode(profile.mode) && !isPro) {
+      openPaymentPage();
+      return;
+    }
+    currentSettings = SettingsIO.applyProfile(currentSettings, profile);
+    updateUI();
+    track('profile_applied', { mode: profile.mode });
+    saveSettings();
+  }
+
+  // Rebuilt only when the options change, so the 5-second refresh doesn't close it mid-pick
+  function renderProfileSelect() {
+    const profiles = getProfiles();
+    const current = SettingsIO.matchingProfile(currentSettings, profiles);
+    const options = [
+      [current ? '' : 'none', profiles.length ? 'Custom' : 'Profiles'],
+      ...profiles.map(p => [`profile:${p.id}`, p.name]),
+      ['save', '＋ Save as profile…'],
+      ['manage', 'Manage profiles…']
+    ].filter(([value]) => value);
+    const key = JSON.stringify(options);
+    if (profileSelect.dataset.options !== key) {
+      profileSelect.innerHTML = '';
+      options.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        option.hidden = value === 'none';
+        profileSelect.appendChild(option);
+      });
+      profileSelect.dataset.options = key;
+    }
+    profileSelect.value = current ? `profile:${current.id}` : 'none';
+  }
+
+  function updateProfileSaveSummary() {
+    profileSaveSummary.textContent = `Saves: ${describeProfile(profileFromCurrent({}))}`;
+  }
+
+  function showProfileError(message) {
+    profileError.textContent = message;
+    profileError.classList.toggle('hidden', !message);
+  }
+
+  function saveProfiles(profiles) {
+    currentSettings.profiles = profiles;
+    renderProfileList();
+    renderProfileSelect();
+    saveSettings();
+  }
+
+  function buildProfileCard(profile) {
+    const card = document.createElement('div');
+    card.className = 'site-card rule-card profile-card';
+    card.dataset.id = profile.id;
+    card.innerHTML = `
+      <div class="rule-head">
+        <input type="text" class="site-input profile-name" maxlength="32">
+        <button class="rule-delete" title="Delete profile">✕</button>
+      </div>
+      <div class="profile-summary"></div>
+      <div class="profile-actions">
+        <button class="set-timer-btn profile-apply">Switch To</button>
+        <button class="set-timer-btn profile-update" title="Replace with the current settings">Update</button>
+      </div>`;
+
+    const nameInput = card.querySelector('.profile-name');
+    nameInput.value = profile.name;
+    card.querySelector('.profile-summary').textContent = describeProfile(profile);
+    card.classList.toggle('current', SettingsIO.matchingProfile(currentSettings, [profile]) === profile);
+
+    nameInput.addEventListener('change', () => {
+      const name = nameInput.value.trim();
+      if (!name) {
+        nameInput.value = profile.name;
+        return;
+      }
+      saveProfiles(getProfiles().map(p => p.id === profile.id ? { ...p, name } : p));
+    });
+
+    card.querySelector('.profile-apply').addEventListener('click', () => {
+      applyProfile(profile);
+      renderProfileList();
+    });
+
+    card.querySelector('.profile-update').addEventListener('click', () => {
+      const updated = profileFromCurrent({ id: profile.id, name: profile.name });
+      saveProfiles(getProfiles().map(p => p.id === profile.id ? updated : p));
+      track('profile_saved', { updated: true });
+    });
+
+    // Weekly rules that ran it fall back to their own mode and intensity
+    card.querySelector('.rule-delete').addEventListener('click', () => {
+      saveProfiles(getProfiles().filter(p => p.id !== profile.id));
+    });
+
+    return card;
+  }
+
+  function renderProfileList() {
+    profileList.innerHTML = '';
+    getProfiles().forEach(profile => profileList.appendChild(buildProfileCard(profile)));
+    if (!profileList.children.length) {
+      profileList.innerHTML = '<div class="site-hint">No profiles yet.</div>';
+    }
+  }
+
+  function openProfilesPage() {
+    profileNameInput.value = '';
+    profileOffBox.checked = !currentSettings.enabled;
+    showProfileError('');
+    updateProfileSaveSummary();
+    renderProfileList();
+    pagesWrapper.classList.add('on-profiles');
+  }
+
+  profileSelect.addEventListener('change', () => {
+    const value = profileSelect.value;
+    renderProfileSelect(); // snap back; applying re-selects the new profile
+    if (value === 'save' || value === 'manage') {
+      openProfilesPage();
+      if (value === 'save') profileNameInput.focus();
+      return;
+    }
+    const profile = getProfiles().find(p => `profile:${p.id}` === value);
+    if (profile) applyProfile(profile);
+  });
+
+  profileOffBox.addEventListener('change', updateProfileSaveSummary);
+
+  // Saving under an existing name replaces that profile
+  saveProfileBtn.addEventListener('click', () => {
+    const name = profileNameInput.value.trim();
+    if (!name) {
+      showProfileError('Give the profile a name.');
+      return;
+    }
+    const existing = getProfiles().find(p => p.name.toLowerCase() === name.toLowerCase());
+    if (!existing && getProfiles().length >= PROFILE_LIMIT) {
+      showProfileError(`You can keep up to ${PROFILE_LIMIT} profiles. Delete one to make room.`);
+      return;
+    }
+    const profile = profileFromCurrent({ id: existing ? existing.id : Date.now().toString(36), name });
+    saveProfiles(existing
+      ? getProfiles().map(p => p.id === existing.id ? profile : p)
+      : [...getProfiles(), profile]);
+    profileNameInput.value = '';
+    showProfileError('');
+    track('profile_saved', { updated: !!existing });
+  });
+
+  profileNameInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') saveProfileBtn.click();
+  });
+
+  backFromProfilesBtn.addEventListener('click', () => {
+    pagesWrapper.classList.remove('on-profiles');
+  });
+
   // ── Rate Button ─────────────────────────
   document.getElementById('rateBtn').addEventListener('click', () => {
     chrome.tabs.create({
@@ -926,8 +2787,15 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // ── Initialize ───────────────────────────
   loadSettings();
+  loadSiteRule();
+  loadOverrides();
   track('popup_opened');
 
   // Refresh status every 5 seconds while popup is open
   setInterval(loadSettings, 5000);
+
+  // Tick the snooze countdown every second in between
+  setInterval(() => {
+    if (currentSettings.snoozeUntil) updateStatus();
+  }, 1000);
 });
@@ -0,0 +1,428 @@
+// ChromeTones — Settings Transfer
+// Export and import of settings as a versioned JSON document or a URL-safe share string,
+// and the field rules sync.js checks synced values against.
+// Pure functions only (no DOM, no chrome.*). Needs filter-engine.js loaded first.
+
+(function() {
+  'use strict';
+
+  if (globalThis.SettingsIO) return;
+
+  const EXPORT_FORMAT  = 'chrometones-settings';
+  const EXPORT_VERSION = 1;
+  const SHARE_PREFIX   = 'ctset1.';
+
+  // Where this device is: only exported when asked, never put in a share string
+  const LOCATION_FIELDS = ['latitude', 'longitude', 'locationName'];
+
+  const BUILT_IN_MODES = [
+    'bluelight', 'darkmode', 'both', 'combine', 'sleep-prep',
+    'reduce-eye-strain', 'reader-mode', 'grayscale', 'colorblind', 'dim'
+  ];
+  const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+  // ── Field Validators ───────────────────────────────────────────
+  // Each returns the cleaned value, or undefined when the value can't be used.
+  const bool = (v) => (typeof v === 'boolean' ? v : undefined);
+  const time = (v) => (typeof v === 'string' && TIME_RE.test(v) ? v : undefined);
+  const oneOf = (...values) => (v) => (values.includes(v) ? v : undefined);
+
+  function number(min, max, { integer = false, nullable = false } = {}) {
+    return (v) => {
+      if (v === null && nullable) return null;
+      if (typeof v !== 'number' || !Number.isFinite(v) || v < min || v > max) return undefined;
+      return integer ? Math.round(v) : v;
+    };
+  }
+
+  function text(maxLength, { nullable = false } = {}) {
+    return (v) => {
+      if (v === null && nullable) return null;
+      return typeof v === 'string' && v.length <= maxLength ? v : undefined;
+    };
+  }
+
+  function mode(v) {
+    if (typeof v !== 'string') return undefined;
+    return BUILT_IN_MODES.includes(v) || FilterEngine.isCustomMode(v) ? v : undefined;
+  }
+
+  // Bad entries are dropped rather than failing the whole list
+  function listOf(item, { max = 100, min = 0 } = {}) {
+    return (v) => {
+      if (!Array.isArray(v)) return undefined;
+      const items = v.map(item).filter(entry => entry !== undefined).slice(0, max);
+      return items.length >= min ? items : undefined;
+    };
+  }
+
+  function sitePattern(v) {
+    const pattern = text(200)(v);
+    return pattern && pattern.trim() ? pattern.trim() : undefined;
+  }
+
+  function siteRule(v) {
+    if (!v || typeof v !== 'object') return undefined;
+    const pattern = text(200)(v.pattern);
+    const action = oneOf('exclude', 'no-darkmode', 'force')(v.action);
+    if (!pattern || !pattern.trim() || !action) return undefined;
+    const rule = { pattern: pattern.trim(), action };
+    if (action === 'force') {
+      if (mode(v.mode)) rule.mode = v.mode;
+      const intensity = number(10, 100, { integer: true })(v.intensity);
+      if (intensity !== undefined) rule.intensity = intensity;
+    }
+    return rule;
+  }
+
+  function weeklyRule(v) {
+    if (!v || typeof v !== 'object') return undefined;
+    const days = Array.isArray(v.days)
+      ? [...new Set(v.days.filter(d => Number.isInteger(d) && d >= 0 && d <= 6))]
+      : [];
+    const start = time(v.start);
+    const end = time(v.end);
+    if (!days.length || !start || !end) return undefined;
+    const rule = {
+      id: text(40)(v.id) || `${days.join('')}-${start}-${end}`,
+      days,
+      start,
+      end,
+      mode: mode(v.mode) || 'bluelight',
+      intensity: number(10, 100, { integer: true })(v.intensity) ?? 80,
+      priority: number(1, 5, { integer: true })(v.priority) ?? 1
+    };
+    // Run a profile instead of mode + intensity (kept as the fallback if it's deleted)
+    const profileId = text(40)(v.profile);
+    if (profileId) rule.profile = profileId;
+    return rule;
+  }
+
+  function circadianPoint(v) {
+    if (!v || typeof v !== 'object') return undefined;
+    const anchor = oneOf('sunrise', 'noon', 'sunset', 'bedtime')(v.anchor);
+    const kelvin = number(1900, 6500, { integer: true })(v.kelvin);
+    if (!anchor || kelvin === undefined) return undefined;
+    return {
+      anchor,
+      offset: number(-180, 180, { integer: true })(v.offset) ?? 0,
+      kelvin,
+      dim: number(0, 60, { integer: true })(v.dim) ?? 0
+    };
+  }
+
+  function customFilter(v) {
+    return v && typeof v === 'object' ? FilterEngine.normalizeCustomFilter(v) : undefined;
+  }
+
+  // ── Profiles ───────────────────────────────────────────────────
+  // A profile is a named set of these fields; switching to one writes them into settings.
+  const PROFILE_FIELDS = [
+    'enabled', 'mode', 'intensity', 'combineFilter1', 'combineFilter2', 'combineRatio',
+    'colorblindType', 'colorblindSeverity', 'dimGamma', 'dimFloor'
+  ];
+  const PROFILE_DEFAULTS = {
+    enabled: true, intensity: 80, combineFilter1: 'bluelight', combineFilter2: 'darkmode',
+    combineRatio: 0.5, colorblindType: 'deuteranopia', colorblindSeverity: FilterEngine.DEFAULT_CB_SEVERITY,
+    dimGamma: FilterEngine.DEFAULT_DIM_GAMMA, dimFloor: 0
+  };
+
+  function profile(v) {
+    if (!v || typeof v !== 'object') return undefined;
+    const name = typeof v.name === 'string' ? v.name.trim().slice(0, 32) : '';
+    if (!name || !mode(v.mode)) return undefined;
+    const result = { id: text(40)(v.id) || name.toLowerCase().replace(/[^a-z0-9]+/g, '-'), name };
+    PROFILE_FIELDS.forEach(key => {
+      result[key] = FIELD_RULES[key](v[key]) ?? PROFILE_DEFAULTS[key];
+    });
+    return result;
+  }
+
+  function applyProfile(settings, chosen) {
+    const applied = { ...settings };
+    PROFILE_FIELDS.forEach(key => { applied[key] = chosen[key]; });
+    return applied;
+  }
+
+  // The profile the settings currently amount to. Combine, color blind and dim fields
+  // only count when that mode is the one in use.
+  function matchingProfile(settings, profiles) {
+    return (profiles || []).find(p => PROFILE_FIELDS.every(key => {
+      if (key.startsWith('combine') && p.mode !== 'combine') return true;
+      if (key.startsWith('colorblind') && p.mode !== 'colorblind') return true;
+      if (key.startsWith('dim') && !FilterEngine.hasDimLayer(p)) return true;
+      return p[key] === settings[key];
+    })) || null;
+  }
+
+  function darkModeEngine(v) {
+    if (!v || typeof v !== 'object') return undefined;
+    const engine = oneOf('invert', 'smart');
+    return { darkmode: engine(v.darkmode) || 'invert', combine: engine(v.combine) || 'invert' };
+  }
+
+  const dusk = oneOf('sunset', 'civil-dusk', 'nautical-dusk', 'astronomical-dusk');
+  const dawn = oneOf('sunrise', 'civil-dawn', 'nautical-dawn', 'astronomical-dawn');
+
+  // Every setting a user chooses. Runtime state (currentIntensity, isActive,
+  // snoozeUntil, sunPolar…) is deliberately absent, so it never travels.
+  const FIELD_RULES = {
+    enabled:           bool,
+    mode,
+    scheduleType:      oneOf('manual', 'auto', 'weekly', 'circadian'),
+    startTime:         time,
+    endTime:           time,
+    latitude:          number(-90, 90, { nullable: true }),
+    longitude:         number(-180, 180, { nullable: true }),
+    locationName:      text(100, { nullable: true }),
+    intensity:         number(0, 100, { integer: true }),
+    manualActive:      bool,
+    timerEnabled:      bool,
+    colorblindType:    oneOf(...Object.keys(FilterEngine.CB_TYPES)),
+    colorblindSeverity: number(0.1, 1),
+    dimGamma:          number(0.5, 2.5),
+    dimFloor:          number(0, 0.2),
+    combineFilter1:    mode,
+    combineFilter2:    mode,
+    combineRatio:      number(0, 1),
+    transitionMinutes: number(10, 45, { integer: true }),
+    transitionCurve:   oneOf('linear', 'ease-in-out', 'sigmoid'),
+    siteRules:         listOf(siteRule, { max: 500 }),
+    respectNativeDark: bool,
+    mediaAware:        bool,
+    mediaAction:       oneOf('suspend', 'reduce'),
+    colorCriticalSites: listOf(sitePattern, { max: 100 }),
+    darkModeEngine,
+    blueLightEngine:   oneOf('overlay', 'kelvin'),
+    colorTemperature:  number(1900, 6500, { integer: true }),
+    weeklyRules:       listOf(weeklyRule),
+    customFilters:     listOf(customFilter, { max: 50 }),
+    sunStartEvent:     dusk,
+    sunStartOffset:    number(-60, 60, { integer: true }),
+    sunEndEvent:       dawn,
+    sunEndOffset:      number(-60, 60, { integer: true }),
+    circadianBedtime:  time,
+    circadianCurve:    listOf(circadianPoint, { min: 2, max: 12 }),
+    profiles:          listOf(profile, { max: 20 })
+  };
+
+  // Stored, but specific to one device — never exported or synced
+  const DEVICE_FIELD_RULES = {
+    snoozeUntil:  number(0, Number.MAX_SAFE_INTEGER, { integer: true, nullable: true }),
+    syncEnabled:  bool,
+    syncLocation: bool
+  };
+
+  // ── Validation ─────────────────────────────────────────────────
+  // Returns the usable fields plus what was left out, so an import can say so.
+  function validateSettings(raw) {
+    const settings = {};
+    const skipped = [];
+    const unknown = [];
+    const source = (raw && typeof raw === 'object' && !Array.isArray(raw)) ? raw : {};
+
+    for (const [key, value] of Object.entries(source)) {
+      const rule = FIELD_RULES[key];
+      if (!rule) {
+        unknown.push(key);
+        continue;
+      }
+      const clean = rule(value);
+      if (clean === undefined) skipped.push(key);
+      else settings[key] = clean;
+    }
+
+    if (settings.customFilters) {
+      missingCustomModes(settings).forEach(key => {
+        delete settings[key];
+        skipped.push(key);
+      });
+    }
+
+    return { settings, skipped, unknown };
+  }
+
+  // Mode fields naming a custom filter that isn't in settings.customFilters
+  function missingCustomModes(settings) {
+    const filterIds = new Set((settings.customFilters || []).map(f => f.id));
+    return ['mode', 'combineFilter1', 'combineFilter2'].filter(key => {
+      const value = settings[key];
+      return FilterEngine.isCustomMode(value) && !filterIds.has(value.slice(FilterEngine.CUSTOM_PREFIX.length));
+    });
+  }
+
+  // The stored-settings counterpart: every field in `defaults`, each either valid or
+  // reset to its default, and nothing else. Returns which fields had to be reset.
+  function repairSettings(stored, defaults) {
+    const source = (stored && typeof stored === 'object' && !Array.isArray(stored)) ? stored : {};
+    const settings = {};
+    const repaired = [];
+
+    Object.keys(defaults).forEach(key => {
+      if (!(key in source)) {
+        settings[key] = defaults[key];
+        return;
+      }
+      const rule = FIELD_RULES[key] || DEVICE_FIELD_RULES[key];
+      const clean = rule ? rule(source[key]) : (typeof source[key] === typeof defaults[key] ? source[key] : undefined);
+      if (clean === undefined) {
+        settings[key] = defaults[key];
+        repaired.push(key);
+      } else {
+        settings[key] = clean;
+      }
+    });
+
+    missingCustomModes(settings).forEach(key => {
+      settings[key] = defaults[key];
+      repaired.push(key);
+    });
+
+    return { settings, repaired };
+  }
+
+  function pickSettings(settings, { includeLocation = false } = {}) {
+    const picked = {};
+    Object.keys(FIELD_RULES).forEach(key => {
+      if (!includeLocation && LOCATION_FIELDS.includes(key)) return;
+      if (settings[key] !== undefined) picked[key] = settings[key];
+    });
+    return picked;
+  }
+
+  // ── Pro Filters ────────────────────────────────────────────────
+  // Holds imported settings to the free filters, field by field: the top-level mode and
+  // combine filters are left out so the current ones stay, rules fall back to Blue Light
+  // (or stop forcing a mode), and profiles built on a Pro filter are dropped.
+  // Changes `settings` in place and returns the fields it touched.
+  function dropPremiumModes(settings) {
+    const isPremium = FilterEngine.isPremiumMode;
+    const changed = [];
+
+    ['mode', 'combineFilter1', 'combineFilter2'].forEach(key => {
+      if (!isPremium(settings[key])) return;
+      delete settings[key];
+      changed.push(key);
+    });
+
+    const gateList = (key, gate) => {
+      if (!Array.isArray(settings[key])) return;
+      const before = JSON.stringify(settings[key]);
+      settings[key] = settings[key].map(gate).filter(Boolean);
+      if (JSON.stringify(settings[key]) !== before) changed.push(key);
+    };
+
+    // A force rule left with nothing to force is dropped
+    gateList('siteRules', rule => {
+      if (!isPremium(rule.mode)) return rule;
+      const kept = { ...rule };
+      delete kept.mode;
+      return kept.intensity !== undefined ? kept : null;
+    });
+    gateList('weeklyRules', rule => (isPremium(rule.mode) ? { ...rule, mode: 'bluelight' } : rule));
+    gateList('profiles', p => {
+      if (isPremium(p.mode)) return null;
+      const kept = { ...p };
+      ['combineFilter1', 'combineFilter2'].forEach(key => {
+        if (isPremium(kept[key])) kept[key] = PROFILE_DEFAULTS[key];
+      });
+      return kept;
+    });
+
+    return changed;
+  }
+
+  // ── Documents ──────────────────────────────────────────────────
+  function exportDocument(settings, options = {}) {
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: pickSettings(settings, options)
+    };
+  }
+
+  function readDocument(doc) {
+    if (!doc || typeof doc !== 'object' || doc.format !== EXPORT_FORMAT) {
+      throw new Error('This isn\'t a ChromeTones settings file.');
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+      throw new Error('This settings file has no valid version.');
+    }
+    if (doc.version > EXPORT_VERSION) {
+      throw new Error('This settings file is from a newer version of ChromeTones. Update the extension first.');
+    }
+    return { version: doc.version, ...validateSettings(doc.settings) };
+  }
+
+  // ── Share Strings ──────────────────────────────────────────────
+  // The document minus location and timestamp, deflated and base64url-encoded
+  // so it survives being pasted into a URL, chat or ticket.
+  function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(str) {
+    const base64 = str.replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  }
+
+  async function pipeBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  async function toShareString(settings) {
+    const doc = { format: EXPORT_FORMAT, version: EXPORT_VERSION, settings: pickSettings(settings) };
+    const bytes = new TextEncoder().encode(JSON.stringify(doc));
+    return SHARE_PREFIX + toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate')));
+  }
+
+  // Accepts either a pasted settings file or a share string
+  async function parseImport(input) {
+    const trimmed = String(input || '').trim();
+    if (!trimmed) throw new Error('Paste a settings file or share string first.');
+
+    let doc;
+    try {
+      if (trimmed.startsWith(SHARE_PREFIX)) {
+        const bytes = await pipeBytes(fromBase64Url(trimmed.slice(SHARE_PREFIX.length)), new DecompressionStream('deflate'));
+        doc = JSON.parse(new TextDecoder().decode(bytes));
+      } else {
+        doc = JSON.parse(trimmed);
+      }
+    } catch (e) {
+      throw new Error('That doesn\'t look like ChromeTones settings — check it was copied in full.');
+    }
+    return readDocument(doc);
+  }
+
+  // Fields whose imported value differs from the current one
+  function diffSettings(current, incoming) {
+    return Object.keys(incoming)
+      .filter(key => JSON.stringify(current[key]) !== JSON.stringify(incoming[key]))
+      .map(key => ({ key, from: current[key], to: incoming[key] }));
+  }
+
+  globalThis.SettingsIO = {
+    EXPORT_FORMAT,
+    EXPORT_VERSION,
+    PREFERENCE_FIELDS: Object.keys(FIELD_RULES),
+    LOCATION_FIELDS,
+    PROFILE_FIELDS,
+    validateSettings,
+    repairSettings,
+    applyProfile,
+    matchingProfile,
+    dropPremiumModes,
+    exportDocument,
+    readDocument,
+    toShareString,
+    parseImport,
+    diffSettings,
+    toBase64Url,
+    fromBase64Url
+  };
+})();
@@ -0,0 +1,241 @@
+// ChromeTones — Settings Sync
+// Mirrors preferences to chrome.storage.sync so they follow the user between devices.
+// chrome.storage.local stays the copy everything reads; sync only carries changes across.
+//
+// Each synced field is its own sync item ('pref:<field>' → { v, t, d }): the value, when it
+// was last edited and on which device. Two devices editing different fields never collide;
+// editing the same field, the later edit wins. Rule and filter lists go one step further
+// and merge entry by entry ({ m, x }: edit and deletion times per entry), so a rule added
+// on each device at the same time keeps both.
+
+const SYNC_PREFIX = 'pref:';
+const SYNC_ITEM_BYTES = 8000;      // chrome.storage.sync.QUOTA_BYTES_PER_ITEM is 8192
+const SYNC_TOTAL_BYTES = 100000;   // chrome.storage.sync.QUOTA_BYTES is 102400
+const SYNC_TOMBSTONE_MS = 60 * 24 * 60 * 60 * 1000;
+
+// Specific to this device even when sync is on. Location joins them unless `syncLocation`.
+const SYNC_DEVICE_FIELDS = ['manualActive', 'timerEnabled'];
+
+const SYNC_LIST_KEYS = {
+  siteRules: (rule) => rule.pattern,
+  weeklyRules: (rule) => rule.id,
+  customFilters: (filter) => filter.id,
+  profiles: (profile) => profile.id
+};
+
+function syncedFields(settings) {
+  return SettingsIO.PREFERENCE_FIELDS.filter((field) =>
+    !SYNC_DEVICE_FIELDS.includes(field) &&
+    (settings.syncLocation || !SettingsIO.LOCATION_FIELDS.includes(field)));
+}
+
+async function getSyncState() {
+  const { syncState } = await chrome.storage.local.get('syncState');
+  return { deviceId: null, fields: {}, lastSyncedAt: null, error: null, ...(syncState || {}) };
+}
+
+function byteLength(value) {
+  return new TextEncoder().encode(JSON.stringify(value)).length;
+}
+
+// ── Records ─────────────────────────────────────────────────────
+function listEntries(field, list) {
+  const keyOf = SYNC_LIST_KEYS[field];
+  const entries = new Map();
+  (list || []).forEach((item) => entries.set(String(keyOf(item) ?? JSON.stringify(item)), item));
+  return entries;
+}
+
+// This device's side of a field. Anything that differs from what was last reconciled
+// counts as edited now; a field never reconciled counts as never edited (t 0), so a
+// fresh install adopts what the user's other devices already have.
+function localRecord(field, value, previous, now) {
+  const record = { v: value, t: previous ? previous.t : 0 };
+  const edited = previous && JSON.stringify(value) !== previous.snapshot;
+  if (edited) record.t = now;
+  if (!SYNC_LIST_KEYS[field]) return record;
+
+  record.m = { ...(previous && previous.m) };
+  record.x = { ...(previous && previous.x) };
+  if (edited) {
+    const before = listEntries(field, previous.snapshot ? JSON.parse(previous.snapshot) : []);
+    const after = listEntries(field, value);
+    after.forEach((item, key) => {
+      if (JSON.stringify(before.get(key)) !== JSON.stringify(item)) record.m[key] = now;
+    });
+    before.forEach((item, key) => {
+      if (!after.has(key)) record.x[key] = now;
+    });
+  }
+  return record;
+}
+
+// A value never edited here loses to any synced one, even another untouched one, so
+// untouched defaults can't win a tie on device id. Otherwise the later edit wins.
+function remoteWins(localTime, remote, deviceId) {
+  if (!localTime) return true;
+  return remote.t > localTime || (remote.t === localTime && remote.d > deviceId);
+}
+
+function mergeList(field, local, remote, deviceId, now) {
+  const localEntries = listEntries(field, local.v);
+  const remoteEntries = listEntries(field, remote.v);
+  const m = { ...local.m };
+  const x = { ...local.x };
+  Object.entries(remote.m || {}).forEach(([key, t]) => { m[key] = Math.max(m[key] || 0, t); });
+  Object.entries(remote.x || {}).forEach(([key, t]) => { x[key] = Math.max(x[key] || 0, t); });
+
+  // Remote order first, so both devices settle on the same list instead of reordering forever
+  const keys = [...new Set([...remoteEntries.keys(), ...localEntries.keys()])];
+  const v = [];
+  keys.forEach((key) => {
+    const mine = localEntries.get(key);
+    const theirs = remoteEntries.get(key);
+    const item = !theirs ? mine
+      : !mine ? theirs
+      : remoteWins((local.m || {})[key] || 0, { t: (remote.m || {})[key] || 0, d: remote.d }, deviceId) ? theirs : mine;
+    if ((x[key] || 0) > (m[key] || 0)) return;
+    v.push(item);
+  });
+
+  Object.keys(x).forEach((key) => {
+    if (now - x[key] > SYNC_TOMBSTONE_MS) delete x[key];
+  });
+  return { v, t: Math.max(local.t, remote.t), m, x };
+}
+
+function mergeRecord(field, local, remote, deviceId, now) {
+  if (!remote) return local;
+  if (SYNC_LIST_KEYS[field]) return mergeList(field, local, remote, deviceId, now);
+  return remoteWins(local.t, remote, deviceId) ? { v: remote.v, t: remote.t } : local;
+}
+
+// Key order differs between devices; it mustn't count as a change, or they'd take turns pushing
+function sortKeys(map) {
+  return map && Object.fromEntries(Object.entries(map).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+}
+
+function sameRecord(a, b) {
+  return !!a && !!b &&
+    JSON.stringify([a.v, sortKeys(a.m), sortKeys(a.x)]) === JSON.stringify([b.v, sortKeys(b.m), sortKeys(b.x)]);
+}
+
+// ── Sync Items ──────────────────────────────────────────────────
+// A record that's too big for one item (long site rule lists, many custom filters) is
+// split into 'pref:<field>#<n>' string chunks behind a { n } header.
+function packRecord(field, record) {
+  const key = SYNC_PREFIX + field;
+  if (byteLength(record) + key.length <= SYNC_ITEM_BYTES) return { [key]: record };
+
+  const json = JSON.stringify(record);
+  const chunks = [];
+  let chunk = '';
+  let size = 2;
+  for (const char of json) {
+    const charSize = byteLength(char) - 2;
+    if (size + charSize > SYNC_ITEM_BYTES - key.length - 8) {
+      chunks.push(chunk);
+      chunk = '';
+      size = 2;
+    }
+    chunk += char;
+    size += charSize;
+  }
+  chunks.push(chunk);
+
+  const items = { [key]: { n: chunks.length } };
+  chunks.forEach((part, i) => { items[`${key}#${i}`] = part; });
+  return items;
+}
+
+// Records other devices wrote, checked with the same rules as an imported file.
+// A value this version can't read is left alone rather than overwritten.
+function readRecords(items) {
+  const records = {};
+  Object.keys(items).forEach((key) => {
+    if (!key.startsWith(SYNC_PREFIX) || key.includes('#')) return;
+    const field = key.slice(SYNC_PREFIX.length);
+    let record = items[key];
+    try {
+      if (record && record.n) {
+        const parts = Array.from({ length: record.n }, (_, i) => items[`${key}#${i}`]);
+        if (parts.some((part) => typeof part !== 'string')) return; // still arriving
+        record = JSON.parse(parts.join(''));
+      }
+    } catch (e) {
+      return;
+    }
+    if (!record || typeof record.t !== 'number') return;
+    const { settings } = SettingsIO.validateSettings({ [field]: record.v });
+    if (!(field in settings)) return;
+    records[field] = { ...record, v: settings[field] };
+  });
+  return records;
+}
+
+// ── Reconcile ───────────────────────────────────────────────────
+// Merge this device's preferences with everything synced, push whatever this device
+// knows better, and return the merged settings (null when nothing local changed).
+async function reconcileSync(settings) {
+  const state = await getSyncState();
+  if (!state.deviceId) state.deviceId = crypto.randomUUID();
+  const now = Date.now();
+
+  let items;
+  try {
+    items = await chrome.storage.sync.get(null);
+  } catch (e) {
+    state.error = 'Chrome sync isn\'t available right now.';
+    await chrome.storage.local.set({ syncState: state });
+    return null;
+  }
+
+  const remote = readRecords(items);
+  const merged = { ...settings };
+  const writes = {};
+  const fields = {};
+  let localChanged = false;
+
+  syncedFields(settings).forEach((field) => {
+    const local = localRecord(field, settings[field], state.fields[field], now);
+    const result = mergeRecord(field, local, remote[field], state.deviceId, now);
+
+    if (JSON.stringify(result.v) !== JSON.stringify(settings[field])) {
+      merged[field] = result.v;
+      localChanged = true;
+    }
+    if (!sameRecord(result, remote[field])) {
+      Object.assign(writes, packRecord(field, { ...result, d: state.deviceId }));
+    }
+    fields[field] = { t: result.t, snapshot: JSON.stringify(result.v), m: result.m, x: result.x };
+  });
+
+  // Chunks left over from a field that used to be longer
+  const stale = Object.keys(items).filter((key) => {
+    const [base] = key.split('#');
+    return key.includes('#') && (base in writes) && !(key in writes);
+  });
+
+  const total = Object.entries({ ...items, ...writes })
+    .filter(([key]) => !stale.includes(key))
+    .reduce((sum, [key, value]) => sum + key.length + byteLength(value), 0);
+
+  // The merge is kept even when the push fails: the next run sees the
+  // difference from what's synced and pushes it then
+  state.fields = { ...state.fields, ...fields };
+  state.error = null;
+  if (total > SYNC_TOTAL_BYTES) {
+    state.error = 'Your settings are larger than Chrome sync allows, so they stay on this device. Removing some site rules or custom filters will fix this.';
+  } else {
+    try {
+      if (Object.keys(writes).length) await chrome.storage.sync.set(writes);
+      if (stale.length) await chrome.storage.sync.remove(stale);
+      state.lastSyncedAt = now;
+    } catch (e) {
+      // Usually the per-minute write limit; the next change tries again
+      state.error = `Couldn't sync: ${e.message}`;
+    }
+  }
+  await chrome.storage.local.set({ syncState: state });
+  return localChanged ? merged : null;
+}
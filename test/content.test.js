@@ -0,0 +1,205 @@
+// What content.js puts on the page for each UPDATE_FILTER payload, checked against
+// known-good output: the html filter <style>, the overlay div and the SVG filters.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContent } = require('./helpers/content');
+
+const BASE = { type: 'UPDATE_FILTER', enabled: true, intensity: 70, darkModeEngine: {}, respectNativeDark: true };
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const COUNTER_INVERT = ' html img, html video, html canvas, html svg image, html picture { filter: invert(100%) hue-rotate(180deg) !important; }';
+const htmlRule = (filter, transition = '10s') => `html { filter: ${filter} !important; transition: filter ${transition} ease !important; }`;
+const NO_OVERLAY = ['', '0'];
+const WARM_OVERLAY_70 = ['rgba(255, 152, 25, 0.234)', '1'];
+
+function snapshot(document) {
+  const style = document.getElementById('chrometones-html-filter');
+  const overlay = document.getElementById('chrometones-overlay');
+  const cb = document.querySelector('#chrometones-cb-svg feColorMatrix');
+  return {
+    css: style && style.textContent.replace(/\s+/g, ' ').trim(),
+    cb: cb ? cb.getAttribute('values') : null,
+    kelvin: !!document.getElementById('chrometones-kelvin-svg'),
+    overlay: overlay && [overlay.style.background, overlay.style.opacity]
+  };
+}
+
+async function renderPage(...messages) {
+  const page = loadContent();
+  for (const message of messages) {
+    page.send({ ...BASE, ...message });
+    await wait(50);
+  }
+  return page;
+}
+
+const GOLDEN = [
+  {
+    message: { mode: 'bluelight' },
+    css: htmlRule('none'), overlay: WARM_OVERLAY_70
+  },
+  {
+    message: { mode: 'bluelight', intensity: 100 },
+    css: htmlRule('none'), overlay: ['rgba(255, 140, 10, 0.3)', '1']
+  },
+  {
+    message: { mode: 'darkmode' },
+    css: htmlRule('brightness(65%) invert(100%) hue-rotate(180deg)') + COUNTER_INVERT, overlay: NO_OVERLAY
+  },
+  {
+    message: { mode: 'both' },
+    css: htmlRule('brightness(46%) invert(100%) hue-rotate(180deg)') + COUNTER_INVERT, overlay: WARM_OVERLAY_70
+  },
+  {
+    message: { mode: 'sleep-prep' },
+    css: htmlRule('sepia(0.825) saturate(2.750) brightness(0.910) contrast(1.000)'), overlay: NO_OVERLAY
+  },
+  {
+    message: { mode: 'reduce-eye-strain', intensity: 33 },
+    css: htmlRule('sepia(0.126) saturate(1.083) brightness(0.984) contrast(0.984)'), overlay: NO_OVERLAY
+  },
+  {
+    message: { mode: 'reader-mode', intensity: 100 },
+    css: htmlRule('sepia(0.650) saturate(0.800) brightness(0.850) contrast(0.850)'), overlay: NO_OVERLAY
+  },
+  {
+    message: { mode: 'grayscale' },
+    css: htmlRule('grayscale(0.700)', '0.8s'), overlay: NO_OVERLAY
+  },
+  {
+    message: { mode: 'colorblind' },
+    css: htmlRule('url(#chrometones-cb-filter)', '0.8s'), overlay: NO_OVERLAY,
+    cb: '0.862758 0.160475 -0.023232 0 0 0.000000 1.000000 0.000000 0 0 -0.137242 0.160475 0.976768 0 0 0 0 0 1 0'
+  },
+  {
+    message: { mode: 'colorblind', colorblindType: 'protanopia' },
+    css: htmlRule('url(#chrometones-cb-filter)', '0.8s'), overlay: NO_OVERLAY,
+    cb: '1.000000 0.000000 0.000000 0 0 0.415380 0.484234 0.100385 0 0 0.415380 -0.515766 1.100385 0 0 0 0 0 1 0'
+  },
+  {
+    message: { mode: 'combine', combineFilter1: 'bluelight', combineFilter2: 'darkmode', combineRatio: 0.3 },
+    css: htmlRule('brightness(20%) invert(100%) hue-rotate(180deg)') + COUNTER_INVERT,
+    overlay: ['rgba(255, 160, 36, 0.188)', '1']
+  },
+  {
+    message: { mode: 'combine', combineFilter1: 'sleep-prep', combineFilter2: 'darkmode', combineRatio: 0.4 },
+    css: htmlRule('sepia(0.602) saturate(1.906) brightness(0.682) contrast(1.070)', '0.8s'), overlay: NO_OVERLAY
+  },
+  {
+    message: { mode: 'combine', combineFilter1: 'reader-mode', combineFilter2: 'reduce-eye-strain' },
+    css: htmlRule('sepia(0.395) saturate(0.992) brightness(0.931) contrast(0.924)', '0.8s'), overlay: NO_OVERLAY
+  },
+  {
+    message: { mode: 'combine', combineFilter1: 'darkmode', combineFilter2: 'reader-mode', darkModeEngine: { combine: 'smart' } },
+    css: htmlRule('sepia(0.262) saturate(0.912) brightness(0.948) contrast(0.940)'), overlay: NO_OVERLAY
+  },
+  {
+    message: { mode: 'darkmode', darkModeEngine: { darkmode: 'smart' } },
+    css: htmlRule('none'), overlay: NO_OVERLAY
+  },
+  {
+    message: { mode: 'both', darkModeEngine: { darkmode: 'smart' } },
+    css: htmlRule('none'), overlay: WARM_OVERLAY_70
+  },
+  {
+    message: { mode: 'bluelight', blueLightEngine: 'kelvin', colorTemperature: 2500, dimming: 20 },
+    css: htmlRule('url(#chrometones-kelvin-filter)'), overlay: ['rgba(0, 0, 0, 0.2)', '1'], kelvin: true
+  },
+  {
+    message: { mode: 'both', blueLightEngine: 'kelvin', colorTemperature: 2500 },
+    css: htmlRule('brightness(46%) invert(100%) hue-rotate(180deg) url(#chrometones-kelvin-filter)') + COUNTER_INVERT,
+    overlay: ['rgba(0, 0, 0, 0)', '0'], kelvin: true
+  },
+  {
+    message: { mode: 'bluelight', enabled: false },
+    css: htmlRule('none'), overlay: NO_OVERLAY
+  },
+  {
+    message: { mode: 'sleep-prep', intensity: 0 },
+    css: htmlRule('none'), overlay: NO_OVERLAY
+  }
+];
+
+for (const { message, css, overlay, cb = null, kelvin = false } of GOLDEN) {
+  test(`UPDATE_FILTER ${JSON.stringify(message)}`, async () => {
+    const page = await renderPage(message);
+    assert.deepEqual(snapshot(page.document), { css, cb, kelvin, overlay });
+    page.close();
+  });
+}
+
+test('switching between chains that CSS cannot interpolate fades through none', async () => {
+  const page = await renderPage({ mode: 'darkmode' }, { mode: 'sleep-prep' });
+  assert.equal(snapshot(page.document).css, htmlRule('none', '2000ms'));
+
+  await wait(2200);
+  assert.equal(snapshot(page.document).css, htmlRule('sepia(0.825) saturate(2.750) brightness(0.910) contrast(1.000)'));
+  page.close();
+});
+
+test('leaving dark mode for blue light clears the chain and shows the overlay', async () => {
+  const page = await renderPage({ mode: 'darkmode' }, { mode: 'bluelight' });
+  assert.deepEqual(snapshot(page.document), { css: htmlRule('none', '3s'), cb: null, kelvin: false, overlay: WARM_OVERLAY_70 });
+  page.close();
+});
+
+test('scrolling a playing video into view quickly pauses the filter, and out of view brings it back', async () => {
+  const page = await renderPage();
+  const { document, window } = page;
+  const video = document.createElement('video');
+  let top = window.innerHeight; // just below the fold
+  Object.defineProperty(video, 'paused', { value: false });
+  Object.defineProperty(video, 'readyState', { value: 4 });
+  video.getBoundingClientRect = () => ({ top, bottom: top + window.innerHeight, left: 0, right: window.innerWidth });
+  document.body.appendChild(video);
+
+  page.send({ ...BASE, mode: 'bluelight', mediaAware: true });
+  await wait(50);
+  assert.deepEqual(snapshot(document).overlay, WARM_OVERLAY_70);
+
+  top = 0;
+  document.dispatchEvent(new window.Event('scroll'));
+  await wait(300);
+  assert.equal(snapshot(document).overlay[1], '0');
+  assert.equal(page.send({ type: 'GET_PAGE_STATE' }).mediaPause, 'video');
+  // Steps aside quickly rather than over the usual 10s
+  const overlay = document.getElementById('chrometones-overlay');
+  assert.equal(overlay.style.transitionDuration, '0.3s');
+  assert.equal(snapshot(document).css, htmlRule('none', '0.3s'));
+
+  top = window.innerHeight;
+  document.dispatchEvent(new window.Event('scroll'));
+  await wait(300);
+  assert.deepEqual(snapshot(document).overlay, WARM_OVERLAY_70);
+  assert.equal(overlay.style.transitionDuration, '10s');
+  page.close();
+});
+
+test('native dark detection only runs for filters with a dark layer, and re-applies only on a new verdict', async () => {
+  let samples = 0;
+  const page = loadContent({
+    before: (window) => {
+      window.document.elementFromPoint = () => { samples++; return window.document.body; };
+    }
+  });
+  const { document, window } = page;
+  let rewrites = 0;
+  new window.MutationObserver((records) => { rewrites += records.length; })
+    .observe(document.documentElement, { subtree: true, childList: true, characterData: true, attributes: true });
+
+  page.send({ ...BASE, mode: 'bluelight' });
+  window.dispatchEvent(new window.Event('load'));
+  await wait(50);
+  assert.equal(samples, 0);
+
+  page.send({ ...BASE, mode: 'darkmode' });
+  await wait(50);
+  assert.ok(samples > 0);
+
+  rewrites = 0;
+  window.dispatchEvent(new window.Event('load'));
+  await wait(50);
+  assert.equal(rewrites, 0);
+  page.close();
+});
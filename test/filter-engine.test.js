@@ -0,0 +1,214 @@
+// Filter math shared by the popup, background and content scripts (filter-engine.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../filter-engine.js');
+const FE = globalThis.FilterEngine;
+
+const IDENTITY_MATRIX = '1.000000 0.000000 0.000000 0 0 0.000000 1.000000 0.000000 0 0 0.000000 0.000000 1.000000 0 0 0 0 0 1 0';
+
+// Values are sums and products of keyframes, so compare them to 1e-9
+function assertValuesClose(actual, expected) {
+  assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort());
+  for (const key of Object.keys(expected)) {
+    assert.ok(Math.abs(actual[key] - expected[key]) < 1e-9, `${key}: ${actual[key]} ≠ ${expected[key]}`);
+  }
+}
+
+// ── Color blindness ─────────────────────────────────────────────
+test('computeCBMatrix: no correction is the identity matrix', () => {
+  assert.equal(FE.computeCBMatrix('deuteranopia', 0), IDENTITY_MATRIX);
+  assert.equal(FE.computeCBMatrix('protanopia', 0, 0.3), IDENTITY_MATRIX);
+});
+
+test('computeCBMatrix: full and half-strength corrections', () => {
+  assert.equal(
+    FE.computeCBMatrix('deuteranopia', 1),
+    '0.803941 0.229249 -0.033189 0 0 0.000000 1.000000 0.000000 0 0 -0.196059 0.229249 0.966811 0 0 0 0 0 1 0'
+  );
+  assert.equal(
+    FE.computeCBMatrix('protanopia', 0.5),
+    '1.000000 0.000000 0.000000 0 0 0.296700 0.631596 0.071704 0 0 0.296700 -0.368404 1.071704 0 0 0 0 0 1 0'
+  );
+});
+
+test('computeCBMatrix: an unknown type falls back to deuteranopia', () => {
+  assert.equal(FE.computeCBMatrix('not-a-type', 1), FE.computeCBMatrix('deuteranopia', 1));
+});
+
+// ── Modes ───────────────────────────────────────────────────────
+test('isPremiumMode: blue light and dark mode are free, scientific and custom filters are Pro', () => {
+  for (const mode of ['bluelight', 'darkmode', 'both']) assert.equal(FE.isPremiumMode(mode), false, mode);
+  for (const mode of ['sleep-prep', 'combine', 'dim', 'cb-simulate', `${FE.CUSTOM_PREFIX}abc`]) {
+    assert.equal(FE.isPremiumMode(mode), true, mode);
+  }
+  for (const mode of FE.PREMIUM_MODES) assert.ok(FE.MODE_NAMES[mode], mode);
+});
+
+// ── Keyframes ───────────────────────────────────────────────────
+test('computeFilterValues: lands on keyframes exactly and interpolates between them', () => {
+  assert.deepEqual(FE.computeFilterValues('sleep-prep', 80), FE.FILTER_KEYFRAMES['sleep-prep'][80]);
+  assertValuesClose(FE.computeFilterValues('sleep-prep', 50), { sepia: 0.65, saturate: 2.25, brightness: 0.935, contrast: 1 });
+  assertValuesClose(FE.computeFilterValues('reader-mode', 10), { sepia: 0.075, saturate: 0.975, brightness: 0.985, contrast: 0.985 });
+});
+
+test('computeFilterValues: clamps intensity to 0–100', () => {
+  assert.deepEqual(FE.computeFilterValues('sleep-prep', 150), FE.FILTER_KEYFRAMES['sleep-prep'][100]);
+  assert.deepEqual(FE.computeFilterValues('sleep-prep', -20), FE.FILTER_KEYFRAMES['sleep-prep'][0]);
+});
+
+test('computeFilterValues: darkmode uses its mergeable keyframes, overlay modes have none', () => {
+  assert.deepEqual(FE.computeFilterValues('darkmode', 100), { sepia: 0.12, saturate: 0.75, brightness: 0.2, contrast: 1.25 });
+  assert.equal(FE.computeFilterValues('bluelight', 50), null);
+});
+
+// ── Combine ─────────────────────────────────────────────────────
+test('mergeFilterValues: sepia adds up to 1, hue-rotate adds, the rest multiply', () => {
+  const merged = FE.mergeFilterValues(
+    { sepia: 0.7, saturate: 2, brightness: 0.9, contrast: 1 },
+    { sepia: 0.5, saturate: 0.5, brightness: 0.5, contrast: 1.2, hueRotate: 30 }
+  );
+  assertValuesClose(merged, { sepia: 1, saturate: 1, brightness: 0.45, contrast: 1.2, hueRotate: 30 });
+});
+
+test('combineIntensities: the ratio splits intensity between the two filters', () => {
+  assert.deepEqual(FE.combineIntensities(80, 0.25), [60, 20]);
+  assert.deepEqual(FE.combineIntensities(80), [40, 40]);
+});
+
+test('resolveLayers: off when disabled or at 0%', () => {
+  const off = { overlay: 0, html: null, smartDark: 0, dim: 0 };
+  assert.deepEqual(FE.resolveLayers({ enabled: false, intensity: 80, mode: 'bluelight' }), off);
+  assert.deepEqual(FE.resolveLayers({ enabled: true, intensity: 0, mode: 'bluelight' }), off);
+});
+
+test('resolveLayers: single modes', () => {
+  const layers = (settings) => FE.resolveLayers({ enabled: true, intensity: 80, ...settings });
+  assert.deepEqual(layers({ mode: 'bluelight' }), { overlay: 80, html: null, smartDark: 0, dim: 0 });
+  assert.deepEqual(layers({ mode: 'both' }), { overlay: 80, html: { mode: 'darkmode', intensity: 56 }, smartDark: 0, dim: 0 });
+  assert.deepEqual(layers({ mode: 'dim' }), { overlay: 0, html: null, smartDark: 0, dim: 80 });
+  assert.deepEqual(layers({ mode: 'darkmode', darkModeEngine: { darkmode: 'smart' } }), { overlay: 0, html: null, smartDark: 80, dim: 0 });
+  assert.deepEqual(layers({ mode: 'both', darkModeEngine: { darkmode: 'smart' } }), { overlay: 80, html: null, smartDark: 56, dim: 0 });
+});
+
+test('resolveLayers: blue light combines as the overlay next to the html filter', () => {
+  const layers = FE.resolveLayers({
+    enabled: true, intensity: 80, mode: 'combine', combineFilter1: 'bluelight', combineFilter2: 'darkmode', combineRatio: 0.25
+  });
+  assert.deepEqual(layers, { overlay: 60, html: { mode: 'darkmode', intensity: 20 }, smartDark: 0, dim: 0 });
+
+  const twice = FE.resolveLayers({ enabled: true, intensity: 80, mode: 'combine', combineFilter1: 'bluelight', combineFilter2: 'bluelight' });
+  assert.deepEqual(twice, { overlay: 80, html: null, smartDark: 0, dim: 0 });
+});
+
+test('resolveLayers: two html filters merge into one chain', () => {
+  const layers = FE.resolveLayers({ enabled: true, intensity: 80, mode: 'combine', combineFilter1: 'sleep-prep', combineFilter2: 'darkmode' });
+  assert.equal(layers.overlay, 0);
+  assert.equal(layers.html.mode, 'combine');
+  assert.equal(layers.html.intensity, 80);
+  assertValuesClose(layers.html.values, FE.mergeFilterValues(FE.computeFilterValues('sleep-prep', 40), FE.computeFilterValues('darkmode', 40)));
+  assertValuesClose(layers.html.values, { sepia: 0.6, saturate: 1.8, brightness: 0.57, contrast: 1.1 });
+});
+
+test('resolveLayers: smart dark mode and dim stack on the other filter instead of merging', () => {
+  const smart = FE.resolveLayers({
+    enabled: true, intensity: 80, mode: 'combine', combineFilter1: 'darkmode', combineFilter2: 'reader-mode',
+    darkModeEngine: { combine: 'smart' }
+  });
+  assert.deepEqual(smart, { overlay: 0, html: { mode: 'reader-mode', intensity: 40 }, smartDark: 40, dim: 0 });
+
+  const dim = FE.resolveLayers({
+    enabled: true, intensity: 80, mode: 'combine', combineFilter1: 'dim', combineFilter2: 'sleep-prep', combineRatio: 0.25
+  });
+  assert.deepEqual(dim, { overlay: 0, html: { mode: 'sleep-prep', intensity: 20 }, smartDark: 0, dim: 60 });
+});
+
+// ── render ──────────────────────────────────────────────────────
+test('normalizeCustomFilter: clamps the table and gives a filter without an id the same id every time', () => {
+  const raw = { name: '  Warm  ', keyframes: { 0: { sepia: 1 }, 100: { sepia: 3, hueRotate: -500 } } };
+  const filter = FE.normalizeCustomFilter(raw);
+  assert.equal(filter.name, 'Warm');
+  assert.equal(filter.keyframes[0].sepia, 0);
+  assert.equal(filter.keyframes[100].sepia, 1);
+  assert.equal(filter.keyframes[100].hueRotate, -180);
+  assert.equal(filter.keyframes[60].saturate, 1);
+
+  assert.equal(FE.normalizeCustomFilter(raw).id, filter.id);
+  assert.equal(FE.normalizeCustomFilter(filter).id, filter.id);
+  assert.notEqual(FE.normalizeCustomFilter({ ...raw, name: 'Cool' }).id, filter.id);
+  assert.equal(FE.normalizeCustomFilter({ ...raw, id: 'mine' }).id, 'mine');
+});
+
+const render = (settings) => FE.render({ enabled: true, intensity: 80, ...settings });
+const NO_OVERLAY = { background: null, opacity: '0' };
+
+test('render: blue light is the overlay only', () => {
+  const out = render({ mode: 'bluelight' });
+  assert.deepEqual(out.overlayStyle, { background: 'rgba(255, 148, 20, 0.256)', opacity: '1' });
+  assert.equal(out.htmlFilterCSS, 'none');
+  assert.deepEqual(out.svgMatrices, {});
+});
+
+test('render: dark mode inverts, or only dims a page that is already dark', () => {
+  assert.equal(render({ mode: 'darkmode' }).htmlFilterCSS, 'brightness(74%) invert(100%) hue-rotate(180deg)');
+  assert.equal(render({ mode: 'darkmode' }).layers.html.counterInvert, true);
+  assert.equal(render({ mode: 'darkmode', nativeDark: true }).htmlFilterCSS, 'brightness(88%)');
+  assert.deepEqual(render({ mode: 'darkmode' }).overlayStyle, NO_OVERLAY);
+});
+
+test('render: both is the overlay plus dark mode at 70%', () => {
+  const out = render({ mode: 'both' });
+  assert.deepEqual(out.overlayStyle, { background: 'rgba(255, 148, 20, 0.256)', opacity: '1' });
+  assert.equal(out.htmlFilterCSS, 'brightness(52%) invert(100%) hue-rotate(180deg)');
+});
+
+test('render: keyframe modes', () => {
+  assert.equal(render({ mode: 'sleep-prep' }).htmlFilterCSS, 'sepia(0.900) saturate(3.000) brightness(0.900) contrast(1.000)');
+  assert.equal(render({ mode: 'reduce-eye-strain' }).htmlFilterCSS, 'sepia(0.280) saturate(1.200) brightness(0.970) contrast(0.970)');
+  assert.equal(render({ mode: 'reader-mode' }).htmlFilterCSS, 'sepia(0.550) saturate(0.820) brightness(0.870) contrast(0.870)');
+  assert.equal(render({ mode: 'sleep-prep' }).layers.html.transition, '10s');
+});
+
+test('render: grayscale, color blindness and its simulation', () => {
+  assert.equal(render({ mode: 'grayscale' }).htmlFilterCSS, 'grayscale(0.800)');
+
+  const colorblind = render({ mode: 'colorblind' });
+  assert.equal(colorblind.htmlFilterCSS, `url(#${FE.CB_FILTER_ID})`);
+  assert.equal(colorblind.svgMatrices[FE.CB_FILTER_ID], FE.computeCBMatrix('deuteranopia', 0.8));
+
+  const simulated = render({ mode: 'cb-simulate', colorblindType: 'protanopia' });
+  assert.equal(simulated.svgMatrices[FE.CB_FILTER_ID], FE.computeCBSimMatrix('protanopia'));
+
+  const split = render({ mode: 'cb-simulate', simulateSplit: true });
+  assert.equal(split.htmlFilterCSS, 'none');
+  assert.equal(split.layers.html.split, true);
+});
+
+test('render: dim is a transfer at the end of the chain', () => {
+  const out = render({ mode: 'dim' });
+  assert.equal(out.htmlFilterCSS, `url(#${FE.DIM_FILTER_ID})`);
+  assert.deepEqual(out.svgTransfers, { [FE.DIM_FILTER_ID]: FE.computeDimTransfer(80, undefined, undefined) });
+
+  const stacked = render({ mode: 'combine', combineFilter1: 'dim', combineFilter2: 'grayscale' });
+  assert.equal(stacked.htmlFilterCSS, `grayscale(0.400) url(#${FE.DIM_FILTER_ID})`);
+});
+
+test('render: the Kelvin engine shifts the white point instead of showing the overlay', () => {
+  const out = render({ mode: 'bluelight', blueLightEngine: 'kelvin', colorTemperature: 2500 });
+  assert.equal(out.overlayStyle.opacity, '0');
+  assert.equal(out.htmlFilterCSS, `url(#${FE.KELVIN_FILTER_ID})`);
+  assert.equal(out.svgMatrices[FE.KELVIN_FILTER_ID], FE.computeKelvinMatrix(FE.kelvinForIntensity(2500, 80)));
+
+  const withDark = render({ mode: 'both', blueLightEngine: 'kelvin' });
+  assert.equal(withDark.htmlFilterCSS, `brightness(52%) invert(100%) hue-rotate(180deg) url(#${FE.KELVIN_FILTER_ID})`);
+});
+
+test('render: combine merges into one chain; a deleted custom filter renders as nothing', () => {
+  assert.equal(
+    render({ mode: 'combine', combineFilter1: 'sleep-prep', combineFilter2: 'darkmode' }).htmlFilterCSS,
+    'sepia(0.600) saturate(1.800) brightness(0.570) contrast(1.100)'
+  );
+  const deleted = render({ mode: `${FE.CUSTOM_PREFIX}gone`, customFilters: [] });
+  assert.equal(deleted.htmlFilterCSS, 'none');
+  assert.deepEqual(deleted.overlayStyle, NO_OVERLAY);
+});
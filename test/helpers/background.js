@@ -0,0 +1,150 @@
+// Loads background.js into a fresh vm context, the way the service worker runs it:
+// importScripts() pulls in the other scripts, and `chrome` is an in-memory stand-in
+// for the storage, alarms, tabs, scripting and runtime messaging APIs it uses.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// chrome.*.onX — keeps the listeners so tests can fire the events themselves
+function createEvent() {
+  const listeners = [];
+  return { listeners, addListener: (fn) => listeners.push(fn) };
+}
+
+// JSON round trip, as Chrome's structured clone does for storage and messages
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+function createStorageArea() {
+  const data = {};
+  return {
+    data,
+    async get(keys) {
+      if (keys == null) return clone(data);
+      const list = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const out = {};
+      for (const key of list) if (key in data) out[key] = clone(data[key]);
+      return out;
+    },
+    async set(items) { Object.assign(data, clone(items)); },
+    async remove(keys) { for (const key of [].concat(keys)) delete data[key]; }
+  };
+}
+
+function createChrome({ tabs = [] } = {}) {
+  const alarms = {};
+  const sentToTabs = [];
+  const injected = [];
+  return {
+    sentToTabs,
+    injected,
+    storage: {
+      local: createStorageArea(),
+      sync: createStorageArea(),
+      session: createStorageArea(),
+      onChanged: createEvent()
+    },
+    alarms: {
+      all: alarms,
+      get: (name, callback) => callback && callback(alarms[name] || null),
+      create: async (name, info) => { alarms[name] = { name, ...info }; },
+      clear: async (name) => delete alarms[name],
+      onAlarm: createEvent()
+    },
+    runtime: {
+      lastError: null,
+      onMessage: createEvent(),
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+      getURL: (file) => `chrome-extension://test/${file}`,
+      sendMessage: async () => {}
+    },
+    tabs: {
+      query: async () => clone(tabs),
+      get: async (id) => clone(tabs.find((tab) => tab.id === id)),
+      sendMessage: async (tabId, message, options) => { sentToTabs.push({ tabId, message: clone(message), options }); },
+      onUpdated: createEvent(),
+      onRemoved: createEvent(),
+      onActivated: createEvent()
+    },
+    windows: { onRemoved: createEvent() },
+    commands: { onCommand: createEvent() },
+    scripting: { executeScript: async (injection) => { injected.push(clone(injection)); return []; } },
+    action: { setBadgeText: () => {}, setBadgeBackgroundColor: () => {} }
+  };
+}
+
+// A Date whose "now" the test controls; explicit dates still work as usual
+function createClock(start) {
+  let now = start.getTime();
+  class ClockDate extends Date {
+    constructor(...args) {
+      if (args.length) super(...args);
+      else super(now);
+    }
+
+    static now() { return now; }
+  }
+  return { Date: ClockDate, set: (date) => { now = date.getTime(); } };
+}
+
+// Timers are unref'd so a pending sync write can't hold the test run open
+const unref = (timer) => (timer && timer.unref ? timer.unref() : timer);
+
+// options: { now: Date, tabs: [{ id, windowId, url }], paid: boolean }
+function loadBackground({ now = new Date(), tabs = [], paid = true } = {}) {
+  const chrome = createChrome({ tabs });
+  const clock = createClock(now);
+  const context = {
+    chrome,
+    console,
+    Date: clock.Date,
+    setTimeout: (fn, ms) => unref(setTimeout(fn, ms)),
+    clearTimeout,
+    setInterval: (fn, ms) => unref(setInterval(fn, ms)),
+    clearInterval,
+    crypto: globalThis.crypto,
+    fetch: async () => ({ ok: true, json: async () => ({}) }),
+    URL,
+    TextEncoder,
+    TextDecoder,
+    importScripts: (...files) => {
+      for (const file of files) {
+        if (file === 'ExtPay.js') {
+          context.ExtPay = () => ({
+            startBackground() {},
+            getUser: async () => ({ paid }),
+            openPaymentPage() {}
+          });
+          continue;
+        }
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+      }
+    }
+  };
+  context.self = context;
+  context.globalThis = context;
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8'), context, { filename: 'background.js' });
+
+  // Resolves with whatever the listener passes to sendResponse
+  const sendMessage = (message, sender = {}) => new Promise((resolve) => {
+    let responded = false;
+    const respond = (response) => { responded = true; resolve(clone(response)); };
+    const results = chrome.runtime.onMessage.listeners.map((fn) => fn(clone(message), sender, respond));
+    if (!results.includes(true) && !responded) resolve(undefined);
+  });
+
+  const fireAlarm = (name) => chrome.alarms.onAlarm.listeners.forEach((fn) => fn({ name }));
+
+  // Top-level consts (DEFAULT_SETTINGS…) aren't properties of the global, so read them by name
+  const evaluate = (expression) => vm.runInContext(expression, context);
+
+  return { context, chrome, sendMessage, fireAlarm, evaluate, setNow: clock.set };
+}
+
+// Lets the fire-and-forget async work a listener started (updateFilter etc.) finish
+const settle = () => new Promise((resolve) => setImmediate(resolve)).then(() => new Promise((resolve) => setTimeout(resolve, 10)));
+
+module.exports = { loadBackground, settle, ROOT };
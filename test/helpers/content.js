@@ -0,0 +1,48 @@
+// Runs filter-engine.js and content.js in a jsdom page, as the manifest injects them.
+// `send` delivers a message the way chrome.runtime.onMessage would and returns the reply.
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SCRIPTS = ['filter-engine.js', 'content.js'];
+
+const DEFAULT_HTML = '<!doctype html><html><head></head><body><p>Hello</p></body></html>';
+
+// options: { html, url, prefersDark, before(window) }
+function loadContent({ html = DEFAULT_HTML, url = 'https://example.com/', prefersDark = false, before } = {}) {
+  const dom = new JSDOM(html, { runScripts: 'outside-only', pretendToBeVisual: true, url });
+  const { window } = dom;
+  const listeners = [];
+  const sent = [];
+
+  // Neither exists in jsdom
+  window.matchMedia = (query) => ({
+    matches: prefersDark && /dark/.test(query),
+    addEventListener() {},
+    removeEventListener() {}
+  });
+  window.document.elementFromPoint = () => window.document.body;
+
+  window.chrome = {
+    runtime: {
+      lastError: null,
+      onMessage: { addListener: (fn) => listeners.push(fn) },
+      sendMessage: (message) => { sent.push(message); },
+      getURL: (file) => `chrome-extension://test/${file}`
+    }
+  };
+  if (before) before(window);
+
+  for (const file of SCRIPTS) window.eval(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+
+  const send = (message) => {
+    let response;
+    listeners.forEach((fn) => fn(message, {}, (value) => { response = value; }));
+    return response;
+  };
+
+  return { window, document: window.document, send, sent, close: () => window.close() };
+}
+
+module.exports = { loadContent };
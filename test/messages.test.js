@@ -0,0 +1,251 @@
+// Popup ↔ background message flows and the once-a-minute tick (background.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, settle } = require('./helpers/background');
+
+const TABS = [
+  { id: 1, windowId: 1, url: 'https://example.com/' },
+  { id: 2, windowId: 1, url: 'https://www.figma.com/file/abc' },
+  { id: 3, windowId: 1, url: 'chrome://settings/' }
+];
+
+// Inside the default 21:00–07:00 window, past the 30-minute ramp
+const NIGHT = new Date(2026, 0, 5, 23, 0);
+
+async function setup({ now = NIGHT, settings = {}, paid = true } = {}) {
+  const bg = loadBackground({ now, tabs: TABS, paid });
+  // Let the startup update finish first so it can't overwrite these settings
+  await settle();
+  await bg.chrome.storage.local.set({ settings: { ...bg.evaluate('DEFAULT_SETTINGS'), timerEnabled: true, ...settings } });
+  bg.chrome.sentToTabs.length = 0;
+  return bg;
+}
+
+const stored = (bg) => bg.chrome.storage.local.data.settings;
+const filterSentTo = (bg, tabId) => bg.chrome.sentToTabs.filter((sent) => sent.tabId === tabId).map((sent) => sent.message);
+
+test('GET_STATUS from the popup: settings with the live intensity, and the next start', async () => {
+  const bg = await setup();
+  const { settings, nextStart } = await bg.sendMessage({ type: 'GET_STATUS' });
+
+  assert.equal(settings.currentIntensity, 80);
+  assert.equal(settings.isActive, true);
+  assert.equal(settings.activeRule, null);
+  assert.equal(nextStart, new Date(2026, 0, 6, 21, 0).getTime());
+  // Worked out on request, never written back
+  assert.equal('currentIntensity' in stored(bg), false);
+});
+
+test('GET_STATUS follows the ramp and the schedule window', async () => {
+  const bg = await setup({ now: new Date(2026, 0, 5, 21, 14) });
+  assert.equal((await bg.sendMessage({ type: 'GET_STATUS' })).settings.currentIntensity, 40);
+
+  bg.setNow(new Date(2026, 0, 6, 12, 0));
+  const { settings } = await bg.sendMessage({ type: 'GET_STATUS' });
+  assert.equal(settings.currentIntensity, 0);
+  assert.equal(settings.isActive, false);
+});
+
+test('GET_STATUS from a content script also returns its site-resolved filter', async () => {
+  const bg = await setup({ settings: { siteRules: [{ pattern: 'example.com', action: 'exclude' }] } });
+
+  const excluded = await bg.sendMessage({ type: 'GET_STATUS' }, { tab: TABS[0] });
+  assert.equal(excluded.filter.type, 'UPDATE_FILTER');
+  assert.equal(excluded.filter.enabled, false);
+
+  const critical = await bg.sendMessage({ type: 'GET_STATUS' }, { tab: TABS[1] });
+  assert.equal(critical.filter.enabled, true);
+  assert.equal(critical.filter.intensity, 80);
+  assert.equal(critical.filter.colorCritical, true);
+
+  const restricted = await bg.sendMessage({ type: 'GET_STATUS' }, { tab: TABS[2] });
+  assert.equal(restricted.filter, undefined);
+});
+
+test('UPDATE_SETTINGS stores repaired settings and pushes the filter to every page tab', async () => {
+  const bg = await setup();
+  const settings = { ...stored(bg), mode: 'sleep-prep', intensity: 60, transitionMinutes: 'soon', unknownField: 1 };
+
+  assert.deepEqual(await bg.sendMessage({ type: 'UPDATE_SETTINGS', settings }), { success: true });
+  await settle();
+
+  assert.equal(stored(bg).mode, 'sleep-prep');
+  assert.equal(stored(bg).intensity, 60);
+  assert.equal(stored(bg).transitionMinutes, bg.evaluate('DEFAULT_SETTINGS.transitionMinutes'));
+  assert.equal('unknownField' in stored(bg), false);
+
+  assert.deepEqual(bg.chrome.sentToTabs.map((sent) => sent.tabId).sort(), [1, 2]);
+  const [message] = filterSentTo(bg, 1);
+  assert.equal(message.mode, 'sleep-prep');
+  assert.equal(message.intensity, 60);
+  assert.equal(message.enabled, true);
+});
+
+test('UPDATE_SETTINGS merges the fields it carries into what is stored', async () => {
+  const bg = await setup({ settings: { mode: 'darkmode' } });
+  // Changed since the popup loaded, e.g. by a sync merge
+  await bg.chrome.storage.local.set({ settings: { ...stored(bg), siteRules: [{ pattern: 'a.com', action: 'exclude' }] } });
+
+  await bg.sendMessage({ type: 'UPDATE_SETTINGS', settings: { intensity: 55 } });
+  assert.equal(stored(bg).intensity, 55);
+  assert.equal(stored(bg).mode, 'darkmode');
+  assert.deepEqual(stored(bg).siteRules, [{ pattern: 'a.com', action: 'exclude' }]);
+});
+
+test('TOGGLE turns the filter off and back on', async () => {
+  const bg = await setup();
+
+  const off = await bg.sendMessage({ type: 'TOGGLE' });
+  assert.equal(off.settings.enabled, false);
+  await settle();
+  assert.equal(stored(bg).enabled, false);
+  assert.equal(filterSentTo(bg, 1).at(-1).enabled, false);
+  assert.equal(filterSentTo(bg, 1).at(-1).intensity, 0);
+
+  const on = await bg.sendMessage({ type: 'TOGGLE' });
+  assert.equal(on.settings.enabled, true);
+  await settle();
+  assert.equal(filterSentTo(bg, 1).at(-1).enabled, true);
+  assert.equal(filterSentTo(bg, 1).at(-1).intensity, 80);
+});
+
+test('the tick is scheduled once a minute and updates tabs as the schedule moves', async () => {
+  const bg = await setup({ now: new Date(2026, 0, 5, 20, 59) });
+  assert.deepEqual({ ...bg.chrome.alarms.all['chrometones-tick'] }, { name: 'chrometones-tick', periodInMinutes: 1 });
+
+  bg.fireAlarm('chrometones-tick');
+  await settle();
+  assert.equal(filterSentTo(bg, 1).at(-1).enabled, false);
+
+  bg.setNow(new Date(2026, 0, 5, 21, 14));
+  bg.fireAlarm('chrometones-tick');
+  await settle();
+  assert.equal(filterSentTo(bg, 1).at(-1).intensity, 40);
+
+  // Never sent to pages content.js can't run on
+  assert.equal(filterSentTo(bg, 3).length, 0);
+});
+
+test('the resume alarm ends a snooze', async () => {
+  const bg = await setup({ settings: { snoozeUntil: NIGHT.getTime() + 60000 } });
+  assert.equal((await bg.sendMessage({ type: 'GET_STATUS' })).settings.currentIntensity, 0);
+
+  bg.fireAlarm('chrometones-resume');
+  await settle();
+  assert.equal(stored(bg).snoozeUntil, null);
+  assert.equal((await bg.sendMessage({ type: 'GET_STATUS' })).settings.currentIntensity, 80);
+});
+
+test('install injects into every frame of open page tabs', async () => {
+  const bg = loadBackground({ now: NIGHT, tabs: TABS });
+  bg.chrome.runtime.onInstalled.listeners.forEach((fn) => fn({ reason: 'install' }));
+  await settle();
+
+  assert.deepEqual(bg.chrome.injected, [
+    { target: { tabId: 1, allFrames: true }, files: ['filter-engine.js', 'content.js'] },
+    { target: { tabId: 2, allFrames: true }, files: ['filter-engine.js', 'content.js'] }
+  ]);
+  assert.equal(stored(bg).schemaVersion, bg.evaluate('SETTINGS_VERSION'));
+});
+
+test('the mode shortcut cycles single-filter modes, free ones only without Pro', async () => {
+  const free = await setup({ paid: false, settings: { mode: 'bluelight' } });
+  assert.equal(await free.context.runCommand('cycle-mode'), 'Mode: Dark Mode');
+  assert.equal(await free.context.runCommand('cycle-mode'), 'Mode: Blue Light');
+
+  const pro = await setup({ settings: { mode: 'colorblind' } });
+  assert.equal(await pro.context.runCommand('cycle-mode'), 'Mode: Dim');
+  assert.equal(stored(pro).mode, 'dim');
+  assert.equal(await pro.context.runCommand('cycle-mode'), 'Mode: Blue Light');
+});
+
+test('site rules: no-darkmode keeps the warm part, force swaps the mode and scales the intensity', async () => {
+  const bg = await setup({
+    settings: {
+      mode: 'both',
+      siteRules: [
+        { pattern: 'example.com', action: 'no-darkmode' },
+        { pattern: '*.figma.com', action: 'force', mode: 'sleep-prep', intensity: 40 }
+      ]
+    }
+  });
+  await bg.sendMessage({ type: 'FORCE_UPDATE' });
+
+  const [example] = filterSentTo(bg, 1);
+  assert.equal(example.mode, 'bluelight');
+  assert.equal(example.intensity, 80);
+
+  const [figma] = filterSentTo(bg, 2);
+  assert.equal(figma.mode, 'sleep-prep');
+  assert.equal(figma.intensity, 40);
+});
+
+test('a tab override beats its window\'s override, and clearing it hands back to the window', async () => {
+  const bg = await setup();
+  await bg.sendMessage({ type: 'SET_OVERRIDE', scope: 'window', id: 1, override: { mode: 'reader-mode' } });
+  await bg.sendMessage({ type: 'SET_OVERRIDE', scope: 'tab', id: 1, override: { enabled: false } });
+  await settle();
+
+  assert.deepEqual(await bg.sendMessage({ type: 'GET_OVERRIDES', tabId: 1, windowId: 1 }), {
+    tab: { enabled: false }, window: { mode: 'reader-mode' }
+  });
+  assert.equal(filterSentTo(bg, 1).at(-1).enabled, false);
+  assert.equal(filterSentTo(bg, 2).at(-1).mode, 'reader-mode');
+  // Never written into the settings
+  assert.equal(stored(bg).mode, 'bluelight');
+
+  await bg.sendMessage({ type: 'SET_OVERRIDE', scope: 'tab', id: 1, override: null });
+  await settle();
+  assert.equal((await bg.sendMessage({ type: 'GET_OVERRIDES', tabId: 1, windowId: 1 })).tab, null);
+  assert.equal(filterSentTo(bg, 1).at(-1).enabled, true);
+  assert.equal(filterSentTo(bg, 1).at(-1).mode, 'reader-mode');
+});
+
+test('weekly rules: the highest priority wins, and a rule past midnight belongs to the day it starts', async () => {
+  // NIGHT is a Monday
+  const bg = await setup({
+    settings: {
+      scheduleType: 'weekly',
+      weeklyRules: [
+        { days: [1], start: '22:00', end: '23:30', mode: 'reader-mode', intensity: 60, priority: 1 },
+        { days: [1], start: '20:00', end: '02:00', mode: 'dim', intensity: 50, priority: 2 }
+      ]
+    }
+  });
+  const status = async () => (await bg.sendMessage({ type: 'GET_STATUS' })).settings;
+
+  const monday = await status();
+  assert.equal(monday.activeRule.mode, 'dim');
+  assert.equal(monday.currentIntensity, 50);
+  // The rule's mode is only applied, never stored
+  assert.equal(monday.mode, 'bluelight');
+
+  bg.setNow(new Date(2026, 0, 6, 1, 0));
+  assert.equal((await status()).activeRule.mode, 'dim');
+
+  bg.setNow(new Date(2026, 0, 6, 3, 0));
+  const tuesday = await status();
+  assert.equal(tuesday.activeRule, null);
+  assert.equal(tuesday.currentIntensity, 0);
+});
+
+test('SNOOZE presets set snoozeUntil and the resume alarm; one with no time to snooze to changes nothing', async () => {
+  const bg = await setup();
+
+  const { settings } = await bg.sendMessage({ type: 'SNOOZE', preset: '1h' });
+  assert.equal(settings.snoozeUntil, NIGHT.getTime() + 60 * 60000);
+  assert.equal(bg.chrome.alarms.all['chrometones-resume'].when, settings.snoozeUntil);
+
+  // 'tomorrow' runs to the end of tonight's window
+  const tomorrow = await bg.sendMessage({ type: 'SNOOZE', preset: 'tomorrow' });
+  assert.equal(tomorrow.settings.snoozeUntil, new Date(2026, 0, 6, 7, 0).getTime());
+
+  const resumed = await bg.sendMessage({ type: 'RESUME' });
+  assert.equal(resumed.settings.snoozeUntil, null);
+  assert.equal(bg.chrome.alarms.all['chrometones-resume'], undefined);
+
+  const unscheduled = await setup({ settings: { timerEnabled: false } });
+  const next = await unscheduled.sendMessage({ type: 'SNOOZE', preset: 'next-start' });
+  assert.equal(next.settings.snoozeUntil, null);
+  assert.equal(unscheduled.chrome.alarms.all['chrometones-resume'], undefined);
+});
@@ -0,0 +1,94 @@
+// Schedule window, sun times and the scheduled ramp (background.js)
+process.env.TZ = 'America/New_York';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/background');
+
+const { context: bg } = loadBackground();
+
+const NYC = [40.7128, -74.006];
+const TROMSO = [69.6492, 18.9553];
+const minutes = (time) => bg.timeToMinutes(time);
+
+test('isInActiveWindow: same-day window includes the start and excludes the end', () => {
+  assert.equal(bg.isInActiveWindow('09:00', '17:00', minutes('08:59')), false);
+  assert.equal(bg.isInActiveWindow('09:00', '17:00', minutes('09:00')), true);
+  assert.equal(bg.isInActiveWindow('09:00', '17:00', minutes('16:59')), true);
+  assert.equal(bg.isInActiveWindow('09:00', '17:00', minutes('17:00')), false);
+});
+
+test('isInActiveWindow: a window that wraps midnight covers both sides of it', () => {
+  assert.equal(bg.isInActiveWindow('21:00', '07:00', minutes('20:59')), false);
+  assert.equal(bg.isInActiveWindow('21:00', '07:00', minutes('21:00')), true);
+  assert.equal(bg.isInActiveWindow('21:00', '07:00', minutes('23:59')), true);
+  assert.equal(bg.isInActiveWindow('21:00', '07:00', minutes('00:00')), true);
+  assert.equal(bg.isInActiveWindow('21:00', '07:00', minutes('06:59')), true);
+  assert.equal(bg.isInActiveWindow('21:00', '07:00', minutes('07:00')), false);
+  assert.equal(bg.isInActiveWindow('21:00', '07:00', minutes('12:00')), false);
+});
+
+test('calculateSunTimes: New York matches the NOAA calculator to the minute', () => {
+  const summer = bg.calculateSunTimes(...NYC, new Date(2026, 5, 21));
+  assert.equal(summer.polar, null);
+  assert.equal(summer.times.sunrise, '05:25');
+  assert.equal(summer.times.sunset, '20:31');
+  assert.equal(summer.times['civil-dusk'], '21:04');
+
+  const winter = bg.calculateSunTimes(...NYC, new Date(2026, 11, 21));
+  assert.equal(winter.polar, null);
+  assert.equal(winter.times.sunrise, '07:17');
+  assert.equal(winter.times.sunset, '16:32');
+});
+
+test('calculateSunTimes: Tromsø has polar day in June and polar night in December', () => {
+  const june = bg.calculateSunTimes(...TROMSO, new Date(2026, 5, 21));
+  assert.equal(june.polar, 'day');
+  assert.equal(june.times.sunrise, null);
+  assert.equal(june.times.sunset, null);
+
+  const december = bg.calculateSunTimes(...TROMSO, new Date(2026, 11, 21));
+  assert.equal(december.polar, 'night');
+  assert.equal(december.times.sunrise, null);
+  // Civil twilight still happens around midday
+  assert.notEqual(december.times['civil-dawn'], null);
+});
+
+test('resolveCurrentIntensity: polar day keeps the auto schedule off, polar night keeps it on', () => {
+  const base = { enabled: true, scheduleType: 'auto', intensity: 70, startTime: '21:00', endTime: '07:00' };
+  assert.equal(bg.resolveCurrentIntensity({ ...base, sunPolar: 'day' }), 0);
+  assert.equal(bg.resolveCurrentIntensity({ ...base, sunPolar: 'night' }), 70);
+});
+
+test('calculateCurrentIntensity: ramps up after the start and down before the end, across midnight', () => {
+  const settings = { startTime: '21:00', endTime: '07:00', intensity: 80, transitionMinutes: 30, transitionCurve: 'linear' };
+  const at = (time) => bg.calculateCurrentIntensity(settings, minutes(time));
+
+  assert.equal(at('20:59'), 0);
+  assert.equal(at('21:00'), 3);
+  assert.equal(at('21:14'), 40);
+  assert.equal(at('21:29'), 80);
+  assert.equal(at('00:00'), 80);
+  assert.equal(at('06:30'), 80);
+  assert.equal(at('06:45'), 40);
+  assert.equal(at('06:59'), 3);
+  assert.equal(at('07:00'), 0);
+});
+
+test('calculateCurrentIntensity: a short window straddling midnight fades over half of it each way', () => {
+  const settings = { startTime: '23:50', endTime: '00:10', intensity: 80, transitionMinutes: 30, transitionCurve: 'linear' };
+  const at = (time) => bg.calculateCurrentIntensity(settings, minutes(time));
+
+  assert.equal(at('23:55'), 48);
+  assert.equal(at('00:00'), 80);
+  assert.equal(at('00:05'), 40);
+  assert.equal(at('00:10'), 0);
+});
+
+test('calculateCurrentIntensity: every curve passes through the midpoint and never rounds to 0 in the window', () => {
+  for (const transitionCurve of ['linear', 'ease-in-out', 'sigmoid']) {
+    const settings = { startTime: '21:00', endTime: '07:00', intensity: 80, transitionMinutes: 30, transitionCurve };
+    assert.equal(bg.calculateCurrentIntensity(settings, minutes('21:14')), 40, transitionCurve);
+    assert.ok(bg.calculateCurrentIntensity({ ...settings, intensity: 1 }, minutes('21:00')) >= 1, transitionCurve);
+  }
+});
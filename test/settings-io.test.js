@@ -0,0 +1,126 @@
+// Stored-settings repair and migration, and reading imported settings (settings-io.js, background.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/background');
+
+const bg = loadBackground();
+const { SettingsIO } = bg.context;
+const DEFAULT_SETTINGS = bg.evaluate('DEFAULT_SETTINGS');
+
+// Objects made inside the vm context have its prototypes; compare them as plain data
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test('repairSettings keeps valid fields, resets invalid ones and drops unknown ones', () => {
+  const { settings, repaired } = SettingsIO.repairSettings({
+    ...DEFAULT_SETTINGS,
+    mode: 'darkmode',
+    intensity: 250,
+    startTime: '25:00',
+    siteRules: [{ pattern: 'a.com', action: 'exclude' }, { pattern: 'b.com', action: 'explode' }],
+    snoozeUntil: 'later',
+    unknownField: true
+  }, DEFAULT_SETTINGS);
+
+  assert.equal(settings.mode, 'darkmode');
+  assert.equal(settings.intensity, DEFAULT_SETTINGS.intensity);
+  assert.equal(settings.startTime, DEFAULT_SETTINGS.startTime);
+  assert.equal(settings.snoozeUntil, null);
+  // A bad list entry is dropped, not the whole list
+  assert.deepEqual(plain(settings.siteRules), [{ pattern: 'a.com', action: 'exclude' }]);
+  assert.equal('unknownField' in settings, false);
+  assert.deepEqual(plain(repaired).sort(), ['intensity', 'snoozeUntil', 'startTime']);
+});
+
+test('repairSettings fills in missing fields without reporting them', () => {
+  const { settings, repaired } = SettingsIO.repairSettings({ mode: 'grayscale' }, DEFAULT_SETTINGS);
+  assert.deepEqual(plain(settings), plain({ ...DEFAULT_SETTINGS, mode: 'grayscale' }));
+  assert.deepEqual(plain(repaired), []);
+});
+
+test('repairSettings resets a mode whose custom filter no longer exists', () => {
+  const { settings, repaired } = SettingsIO.repairSettings({
+    ...DEFAULT_SETTINGS, mode: 'custom:gone', combineFilter2: 'custom:gone'
+  }, DEFAULT_SETTINGS);
+  assert.equal(settings.mode, DEFAULT_SETTINGS.mode);
+  assert.equal(settings.combineFilter2, DEFAULT_SETTINGS.combineFilter2);
+  assert.deepEqual(plain(repaired).sort(), ['combineFilter2', 'mode']);
+});
+
+test('settings from before versioning lose the runtime values version 1 stored', () => {
+  const { settings, repaired } = bg.context.normalizeSettings({
+    mode: 'reader-mode', currentIntensity: 42, isActive: true, sunEvents: {}, activeRule: null
+  });
+  assert.equal(settings.schemaVersion, bg.evaluate('SETTINGS_VERSION'));
+  assert.equal(settings.mode, 'reader-mode');
+  assert.equal('currentIntensity' in settings, false);
+  assert.equal('isActive' in settings, false);
+  assert.deepEqual(plain(repaired), []);
+});
+
+test('settings from a newer release are repaired rather than migrated backwards', () => {
+  const { settings } = bg.context.normalizeSettings({ schemaVersion: 99, mode: 'dim', futureField: 1 });
+  assert.equal(settings.schemaVersion, 99);
+  assert.equal(settings.mode, 'dim');
+  assert.equal('futureField' in settings, false);
+});
+
+test('parseImport reads a settings file and reports what it left out', async () => {
+  const doc = SettingsIO.exportDocument({ ...DEFAULT_SETTINGS, mode: 'sleep-prep', latitude: 40.7 });
+  doc.settings.intensity = 'high';
+  doc.settings.madeUp = 1;
+
+  const result = plain(await SettingsIO.parseImport(JSON.stringify(doc)));
+  assert.equal(result.version, SettingsIO.EXPORT_VERSION);
+  assert.equal(result.settings.mode, 'sleep-prep');
+  // Location stays on this device unless asked for
+  assert.equal('latitude' in result.settings, false);
+  assert.deepEqual(result.skipped, ['intensity']);
+  assert.deepEqual(result.unknown, ['madeUp']);
+});
+
+test('parseImport rejects text that isn\'t a settings file, or is from a newer version', async () => {
+  await assert.rejects(SettingsIO.parseImport(''), /Paste a settings file/);
+  await assert.rejects(SettingsIO.parseImport('{"mode":'), /copied in full/);
+  await assert.rejects(SettingsIO.parseImport('{"mode":"dim"}'), /isn't a ChromeTones settings file/);
+
+  const newer = { format: SettingsIO.EXPORT_FORMAT, version: SettingsIO.EXPORT_VERSION + 1, settings: {} };
+  await assert.rejects(SettingsIO.parseImport(JSON.stringify(newer)), /newer version/);
+});
+
+test('dropPremiumModes holds every field that picks a filter to the free ones', () => {
+  const settings = {
+    mode: 'reader-mode',
+    combineFilter1: 'bluelight',
+    combineFilter2: 'custom:warm',
+    siteRules: [
+      { pattern: 'a.com', action: 'force', mode: 'grayscale', intensity: 50 },
+      { pattern: 'b.com', action: 'force', mode: 'dim' },
+      { pattern: 'c.com', action: 'force', mode: 'darkmode' }
+    ],
+    weeklyRules: [{ id: 'w', days: [1], start: '09:00', end: '17:00', mode: 'sleep-prep', intensity: 60, priority: 1 }],
+    profiles: [
+      { id: 'work', name: 'Work', mode: 'combine' },
+      { id: 'night', name: 'Night', mode: 'darkmode', combineFilter1: 'sleep-prep', combineFilter2: 'darkmode' }
+    ]
+  };
+
+  assert.deepEqual(plain(SettingsIO.dropPremiumModes(settings)),
+    ['mode', 'combineFilter2', 'siteRules', 'weeklyRules', 'profiles']);
+  assert.equal('mode' in settings, false);
+  assert.equal(settings.combineFilter1, 'bluelight');
+  assert.equal('combineFilter2' in settings, false);
+  assert.deepEqual(plain(settings.siteRules), [
+    { pattern: 'a.com', action: 'force', intensity: 50 },
+    { pattern: 'c.com', action: 'force', mode: 'darkmode' }
+  ]);
+  assert.equal(settings.weeklyRules[0].mode, 'bluelight');
+  assert.deepEqual(plain(settings.profiles), [
+    { id: 'night', name: 'Night', mode: 'darkmode', combineFilter1: 'bluelight', combineFilter2: 'darkmode' }
+  ]);
+});
+
+test('dropPremiumModes leaves free settings alone', () => {
+  const settings = { mode: 'both', siteRules: [{ pattern: 'a.com', action: 'exclude' }], weeklyRules: [] };
+  assert.deepEqual(plain(SettingsIO.dropPremiumModes(settings)), []);
+  assert.equal(settings.mode, 'both');
+});
@@ -0,0 +1,101 @@
+// Merging this device's preferences with chrome.storage.sync (sync.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, settle } = require('./helpers/background');
+
+const NOW = new Date(2026, 0, 5, 12, 0);
+const MINUTE = 60000;
+const at = (minutes) => new Date(NOW.getTime() + minutes * MINUTE);
+
+// Objects made inside the vm context have its prototypes; compare them as plain data
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+async function setup() {
+  const bg = loadBackground({ now: NOW });
+  await settle();
+  const defaults = bg.evaluate('DEFAULT_SETTINGS');
+  // One reconcile against an empty sync area, as the first run after install does
+  const reconcile = async (settings, now) => {
+    if (now) bg.setNow(now);
+    return plain(await bg.context.reconcileSync({ ...defaults, ...settings }));
+  };
+  const deviceId = () => bg.chrome.storage.local.data.syncState.deviceId;
+  return { bg, remote: bg.chrome.storage.sync.data, reconcile, deviceId };
+}
+
+test('a field edited on another device replaces the local value', async () => {
+  const { remote, reconcile } = await setup();
+  remote['pref:intensity'] = { v: 50, t: at(-5).getTime(), d: 'other' };
+
+  const merged = await reconcile({});
+  assert.equal(merged.intensity, 50);
+  // Already up to date, so nothing is written back
+  assert.deepEqual(remote['pref:intensity'], { v: 50, t: at(-5).getTime(), d: 'other' });
+});
+
+test('a fresh install adopts every synced value, even one no device has edited', async () => {
+  const { bg, remote, reconcile } = await setup();
+  // Untouched fields tie at t 0; this device's id would have won the tie on its own
+  await bg.chrome.storage.local.set({ syncState: { deviceId: 'zzzz' } });
+  remote['pref:mode'] = { v: 'darkmode', t: 0, d: 'aaaa' };
+  remote['pref:siteRules'] = { v: [{ pattern: 'a.com', action: 'exclude' }], t: 0, d: 'aaaa', m: {}, x: {} };
+
+  const merged = await reconcile({ siteRules: [{ pattern: 'a.com', action: 'no-darkmode' }] });
+  assert.equal(merged.mode, 'darkmode');
+  assert.deepEqual(merged.siteRules, [{ pattern: 'a.com', action: 'exclude' }]);
+  assert.equal(remote['pref:mode'].d, 'aaaa');
+});
+
+test('an edit on this device is pushed as { v, t, d } and beats an older remote edit', async () => {
+  const { remote, reconcile, deviceId } = await setup();
+  await reconcile({});
+
+  remote['pref:intensity'] = { v: 60, t: at(1).getTime(), d: 'other' };
+  const merged = await reconcile({ intensity: 40 }, at(2));
+  assert.equal(merged, null);
+  assert.deepEqual(remote['pref:intensity'], { v: 40, t: at(2).getTime(), d: deviceId() });
+});
+
+test('site rules added on two devices at the same time are both kept', async () => {
+  const { remote, reconcile } = await setup();
+  await reconcile({});
+
+  const theirs = { pattern: 'b.com', action: 'exclude' };
+  remote['pref:siteRules'] = { v: [theirs], t: at(1).getTime(), d: 'other', m: { 'b.com': at(1).getTime() }, x: {} };
+  const merged = await reconcile({ siteRules: [{ pattern: 'a.com', action: 'exclude' }] }, at(1));
+
+  assert.deepEqual(merged.siteRules.map((rule) => rule.pattern), ['b.com', 'a.com']);
+  assert.deepEqual(remote['pref:siteRules'].v.map((rule) => rule.pattern), ['b.com', 'a.com']);
+});
+
+test('a site rule deleted on another device is deleted here too', async () => {
+  const { remote, reconcile } = await setup();
+  const rule = { pattern: 'a.com', action: 'exclude' };
+  await reconcile({ siteRules: [rule] });
+
+  remote['pref:siteRules'] = { v: [], t: at(1).getTime(), d: 'other', m: {}, x: { 'a.com': at(1).getTime() } };
+  const merged = await reconcile({ siteRules: [rule] }, at(2));
+  assert.deepEqual(merged.siteRules, []);
+});
+
+test('a remote value this version can\'t read is ignored', async () => {
+  const { remote, reconcile } = await setup();
+  remote['pref:intensity'] = { v: 500, t: at(-5).getTime(), d: 'other' };
+  remote['pref:mode'] = { v: 'no-such-mode', t: at(-5).getTime(), d: 'other' };
+
+  assert.equal(await reconcile({}), null);
+});
+
+test('a record too big for one sync item is split into chunks and read back whole', async () => {
+  const siteRules = Array.from({ length: 120 }, (_, i) => ({ pattern: `site-${i}.example.com/some/long/path/*`, action: 'exclude' }));
+  const first = await setup();
+  await first.reconcile({ siteRules });
+
+  assert.ok(first.remote['pref:siteRules'].n > 1);
+  assert.equal(typeof first.remote['pref:siteRules#0'], 'string');
+
+  const second = await setup();
+  Object.assign(second.remote, plain(first.remote));
+  const merged = await second.reconcile({});
+  assert.deepEqual(merged.siteRules, siteRules);
+});